@@ -0,0 +1,550 @@
+/**
+ * Editor de niveles sobre el canvas del juego
+ * Permite añadir, arrastrar y borrar puntos de los caminos, pintar celdas bloqueadas
+ * o construibles y exportar el resultado en el formato de LevelLoader
+ */
+
+class LevelEditor {
+    /**
+     * Constructor del LevelEditor
+     * @param {Game} game - Juego sobre el que se edita (usa game.level y game.levelLoader)
+     */
+    constructor(game) {
+        this.game = game;
+        this.levelLoader = game.levelLoader || new LevelLoader();
+        
+        // Estado del editor
+        this.active = false;
+        this.level = null;
+        this.map = null;
+        this.validation = null; // Resultado de validar el nivel, se descarta en cada edición (ver markDirty)
+        this.waveEditor = null; // Editor de las oleadas del mismo nivel
+        
+        // Herramienta actual: 'path', 'block', 'buildable' o 'erase'
+        this.tool = 'path';
+        this.currentPath = DEFAULT_PATH_NAME;
+        
+        // Interacción con el puntero
+        this.selectedWaypoint = null; // { pathName, index }
+        this.dragging = false;
+        this.painting = false;
+        this.hoverPosition = { x: 0, y: 0 };
+        
+        // Configuración
+        this.waypointRadius = 10;
+        this.edgeMargin = 16; // Clics a menos de esta distancia del borde colocan el punto fuera del canvas
+        this.offscreenOffset = 20;
+        this.snapToGrid = true;
+        
+        console.log('LevelEditor inicializado');
+    }
+    
+    /**
+     * Activa el editor partiendo del nivel actual del juego
+     */
+    open() {
+        this.level = deepCopy(this.game.level);
+        this.waveEditor = new WaveEditor(this.level, () => this.markDirty());
+        this.currentPath = DEFAULT_PATH_NAME;
+        this.selectedWaypoint = null;
+        this.active = true;
+        
+        this.refreshPreview();
+        console.log(`Editor abierto sobre el nivel "${this.level.name}"`);
+    }
+    
+    /**
+     * Cierra el editor restaurando los caminos del nivel en juego
+     */
+    close() {
+        this.active = false;
+        this.dragging = false;
+        this.painting = false;
+        
+        setPaths(this.game.level.paths);
+        console.log('Editor cerrado');
+    }
+    
+    /**
+     * Registra los caminos editados y reconstruye el mapa de previsualización
+     */
+    refreshPreview() {
+        setPaths(this.level.paths);
+        this.markDirty();
+        
+        this.map = new Map({
+            cols: this.level.grid.cols,
+            rows: this.level.grid.rows,
+            backgroundColor: this.level.backgroundColor,
+            blockedCells: this.level.blockedCells,
+            buildableCells: this.level.buildableCells
+        });
+    }
+    
+    /**
+     * Registra los caminos editados y los actualiza en el mapa de previsualización sin reconstruirlo
+     * Se llama en cada movimiento al arrastrar un punto, así que solo recalcula lo que depende de los caminos
+     */
+    refreshPaths() {
+        setPaths(this.level.paths);
+        this.markDirty();
+        
+        this.map.paths = getAllPaths();
+        this.map.occupiedCells = this.map.initializeOccupiedCells();
+        this.map.invalidateCache();
+    }
+    
+    /**
+     * Descarta la validación cacheada del nivel
+     * Hay que llamarlo tras cualquier cambio en el nivel, incluidas sus oleadas
+     */
+    markDirty() {
+        this.validation = null;
+    }
+    
+    /**
+     * Valida el nivel editado, reutilizando el resultado mientras no haya cambios
+     * @returns {Object} { valid, errors } de LevelLoader.validate
+     */
+    getValidation() {
+        if (!this.validation) {
+            this.validation = this.levelLoader.validate(this.level);
+        }
+        
+        return this.validation;
+    }
+    
+    /**
+     * Cambia la herramienta activa
+     * @param {string} tool - 'path', 'block', 'buildable' o 'erase'
+     */
+    setTool(tool) {
+        if (['path', 'block', 'buildable', 'erase'].includes(tool)) {
+            this.tool = tool;
+            this.selectedWaypoint = null;
+        }
+    }
+    
+    /**
+     * Selecciona el camino a editar
+     * @param {string} pathName - Nombre del camino
+     */
+    selectPath(pathName) {
+        if (this.level.paths[pathName]) {
+            this.currentPath = pathName;
+            this.selectedWaypoint = null;
+        }
+    }
+    
+    /**
+     * Propone un nombre libre para un camino nuevo
+     * @returns {string} Nombre del tipo "camino2"
+     */
+    getNextPathName() {
+        let index = Object.keys(this.level.paths).length + 1;
+        while (this.level.paths[`camino${index}`]) index++;
+        return `camino${index}`;
+    }
+    
+    /**
+     * Crea un camino nuevo con dos puntos iniciales y lo selecciona
+     * @param {string} pathName - Nombre del camino
+     * @returns {boolean} True si se creó
+     */
+    addPath(pathName) {
+        if (!pathName || this.level.paths[pathName]) return false;
+        
+        const end = this.level.paths[DEFAULT_PATH_NAME];
+        const target = end[end.length - 1];
+        
+        this.level.paths[pathName] = [
+            { x: -this.offscreenOffset, y: gridToPixel(0, 0).pixelY },
+            { x: target.x, y: target.y }
+        ];
+        this.currentPath = pathName;
+        this.refreshPaths();
+        return true;
+    }
+    
+    /**
+     * Elimina un camino (el camino por defecto no se puede eliminar)
+     * @param {string} pathName - Nombre del camino
+     * @returns {boolean} True si se eliminó
+     */
+    removePath(pathName) {
+        if (pathName === DEFAULT_PATH_NAME || !this.level.paths[pathName]) return false;
+        
+        delete this.level.paths[pathName];
+        
+        // Las oleadas que usaban el camino pasan al camino por defecto
+        this.level.waves.forEach(wave => {
+            wave.enemies.forEach(group => {
+                if (group.path === pathName) delete group.path;
+            });
+        });
+        
+        if (this.currentPath === pathName) this.currentPath = DEFAULT_PATH_NAME;
+        this.selectedWaypoint = null;
+        this.refreshPaths();
+        return true;
+    }
+    
+    /**
+     * Ajusta un punto al centro de su celda; cerca del borde lo saca del canvas para usarlo como spawn o salida
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {Object} Punto ajustado
+     */
+    snapPoint(x, y) {
+        if (!this.snapToGrid) return { x: Math.round(x), y: Math.round(y) };
+        
+        const gridPos = pixelToGrid(x, y);
+        const pixelPos = gridToPixel(gridPos.gridX, gridPos.gridY);
+        const point = { x: pixelPos.pixelX, y: pixelPos.pixelY };
+        
+        if (x < this.edgeMargin) point.x = -this.offscreenOffset;
+        if (x > GAME_CONFIG.CANVAS_WIDTH - this.edgeMargin) point.x = GAME_CONFIG.CANVAS_WIDTH + this.offscreenOffset;
+        if (y < this.edgeMargin) point.y = -this.offscreenOffset;
+        if (y > GAME_CONFIG.CANVAS_HEIGHT - this.edgeMargin) point.y = GAME_CONFIG.CANVAS_HEIGHT + this.offscreenOffset;
+        
+        return point;
+    }
+    
+    /**
+     * Busca el punto de camino más cercano bajo el cursor
+     * Los puntos fuera del canvas se buscan en su proyección sobre el borde
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {Object|null} { pathName, index } o null
+     */
+    findWaypointAt(x, y) {
+        const pathNames = [this.currentPath, ...Object.keys(this.level.paths).filter(name => name !== this.currentPath)];
+        
+        for (const pathName of pathNames) {
+            const points = this.level.paths[pathName];
+            for (let i = 0; i < points.length; i++) {
+                const visible = this.getVisiblePosition(points[i]);
+                if (pointInCircle(x, y, visible.x, visible.y, this.waypointRadius + 4)) {
+                    return { pathName: pathName, index: i };
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Obtiene la posición visible de un punto (los puntos fuera del canvas se dibujan en el borde)
+     * @param {Object} point - Punto del camino
+     * @returns {Object} Posición dentro del canvas
+     */
+    getVisiblePosition(point) {
+        return {
+            x: clamp(point.x, this.waypointRadius, GAME_CONFIG.CANVAS_WIDTH - this.waypointRadius),
+            y: clamp(point.y, this.waypointRadius, GAME_CONFIG.CANVAS_HEIGHT - this.waypointRadius)
+        };
+    }
+    
+    /**
+     * Añade un punto al camino actual, justo antes del punto final (la base)
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {number} Índice del punto añadido
+     */
+    addWaypoint(x, y) {
+        const points = this.level.paths[this.currentPath];
+        const index = points.length - 1;
+        
+        points.splice(index, 0, this.snapPoint(x, y));
+        this.refreshPaths();
+        return index;
+    }
+    
+    /**
+     * Mueve un punto de un camino
+     * @param {string} pathName - Nombre del camino
+     * @param {number} index - Índice del punto
+     * @param {number} x - Nueva coordenada X
+     * @param {number} y - Nueva coordenada Y
+     */
+    moveWaypoint(pathName, index, x, y) {
+        const points = this.level.paths[pathName];
+        if (!points || !points[index]) return;
+        
+        points[index] = this.snapPoint(x, y);
+        this.refreshPaths();
+    }
+    
+    /**
+     * Elimina un punto de un camino (cada camino conserva al menos 2 puntos)
+     * @param {string} pathName - Nombre del camino
+     * @param {number} index - Índice del punto
+     * @returns {boolean} True si se eliminó
+     */
+    deleteWaypoint(pathName, index) {
+        const points = this.level.paths[pathName];
+        if (!points || !points[index] || points.length <= 2) return false;
+        
+        points.splice(index, 1);
+        this.selectedWaypoint = null;
+        this.refreshPaths();
+        return true;
+    }
+    
+    /**
+     * Pinta una celda con la herramienta indicada
+     * @param {number} gridX - Columna
+     * @param {number} gridY - Fila
+     * @param {string} tool - 'block', 'buildable' o 'erase'
+     */
+    paintCell(gridX, gridY, tool = this.tool) {
+        if (gridX < 0 || gridY < 0 || gridX >= this.level.grid.cols || gridY >= this.level.grid.rows) return;
+        
+        const matches = ([cellX, cellY]) => cellX === gridX && cellY === gridY;
+        const without = (cells) => (cells || []).filter(cell => !matches(cell));
+        
+        this.level.blockedCells = without(this.level.blockedCells);
+        if (this.level.buildableCells) {
+            this.level.buildableCells = without(this.level.buildableCells);
+        }
+        
+        if (tool === 'block') {
+            this.level.blockedCells.push([gridX, gridY]);
+        } else if (tool === 'buildable') {
+            this.level.buildableCells = this.level.buildableCells || [];
+            this.level.buildableCells.push([gridX, gridY]);
+        } else if (tool === 'erase' && this.level.buildableCells && this.level.buildableCells.length === 0) {
+            // Sin celdas construibles explícitas se vuelve a permitir construir en todo el mapa
+            this.level.buildableCells = null;
+        }
+        
+        this.refreshPreview();
+    }
+    
+    /**
+     * Maneja la pulsación del puntero
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @param {Object} modifiers - { button, shiftKey }
+     */
+    pointerDown(x, y, modifiers = {}) {
+        if (!this.active) return;
+        
+        if (this.tool !== 'path') {
+            this.painting = true;
+            const gridPos = pixelToGrid(x, y);
+            this.paintCell(gridPos.gridX, gridPos.gridY);
+            return;
+        }
+        
+        const waypoint = this.findWaypointAt(x, y);
+        
+        // Clic derecho o Mayús+clic sobre un punto lo elimina
+        if (waypoint && (modifiers.button === 2 || modifiers.shiftKey)) {
+            this.deleteWaypoint(waypoint.pathName, waypoint.index);
+            return;
+        }
+        
+        if (waypoint) {
+            this.selectedWaypoint = waypoint;
+            this.currentPath = waypoint.pathName;
+            this.dragging = true;
+            return;
+        }
+        
+        if (modifiers.button !== 2) {
+            const index = this.addWaypoint(x, y);
+            this.selectedWaypoint = { pathName: this.currentPath, index: index };
+        }
+    }
+    
+    /**
+     * Maneja el movimiento del puntero
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     */
+    pointerMove(x, y) {
+        if (!this.active) return;
+        
+        this.hoverPosition = { x: x, y: y };
+        
+        if (this.dragging && this.selectedWaypoint) {
+            this.moveWaypoint(this.selectedWaypoint.pathName, this.selectedWaypoint.index, x, y);
+        } else if (this.painting) {
+            const gridPos = pixelToGrid(x, y);
+            this.paintCell(gridPos.gridX, gridPos.gridY);
+        }
+    }
+    
+    /**
+     * Maneja la liberación del puntero
+     */
+    pointerUp() {
+        this.dragging = false;
+        this.painting = false;
+    }
+    
+    /**
+     * Elimina el punto seleccionado (tecla Supr)
+     * @returns {boolean} True si se eliminó
+     */
+    deleteSelectedWaypoint() {
+        if (!this.selectedWaypoint) return false;
+        return this.deleteWaypoint(this.selectedWaypoint.pathName, this.selectedWaypoint.index);
+    }
+    
+    /**
+     * Obtiene la longitud de un camino editado
+     * @param {string} pathName - Nombre del camino
+     * @returns {number} Longitud en pixels
+     */
+    getPathLength(pathName = this.currentPath) {
+        return hasPath(pathName) ? calculatePathLength(pathName) : 0;
+    }
+    
+    /**
+     * Exporta el nivel editado en el formato de LevelLoader
+     * @returns {Object} { level, valid, errors }
+     */
+    exportLevel() {
+        const level = deepCopy(this.level);
+        const result = this.getValidation();
+        
+        return { level: level, valid: result.valid, errors: result.errors };
+    }
+    
+    /**
+     * Exporta el nivel editado como texto JSON
+     * @returns {string} JSON con sangría de 4 espacios
+     */
+    exportJSON() {
+        return JSON.stringify(this.exportLevel().level, null, 4);
+    }
+    
+    /**
+     * Obtiene el estado del editor para la UI
+     * Se pide en cada frame: usa la validación cacheada en lugar de exportar el nivel
+     * @returns {Object} Estado del editor
+     */
+    getState() {
+        const validation = this.active ? this.getValidation() : { valid: true, errors: [] };
+        
+        return {
+            active: this.active,
+            tool: this.tool,
+            currentPath: this.currentPath,
+            pathNames: this.level ? Object.keys(this.level.paths) : [],
+            pathLength: this.active ? Math.round(this.getPathLength()) : 0,
+            waypointCount: this.active ? this.level.paths[this.currentPath].length : 0,
+            valid: validation.valid,
+            errors: validation.errors
+        };
+    }
+    
+    /**
+     * Renderiza el editor
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    render(ctx) {
+        if (!this.active) return;
+        
+        this.map.render(ctx, true);
+        this.renderBuildableCells(ctx);
+        this.renderWaypoints(ctx);
+        this.renderCursor(ctx);
+        this.renderInfo(ctx);
+    }
+    
+    /**
+     * Resalta las celdas marcadas como construibles
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderBuildableCells(ctx) {
+        if (!this.level.buildableCells) return;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(76, 175, 80, 0.35)';
+        this.level.buildableCells.forEach(([gridX, gridY]) => {
+            ctx.fillRect(gridX * GAME_CONFIG.GRID_SIZE, gridY * GAME_CONFIG.GRID_SIZE,
+                         GAME_CONFIG.GRID_SIZE, GAME_CONFIG.GRID_SIZE);
+        });
+        ctx.restore();
+    }
+    
+    /**
+     * Dibuja los puntos de todos los caminos, destacando el camino actual
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderWaypoints(ctx) {
+        ctx.save();
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        Object.keys(this.level.paths).forEach(pathName => {
+            const isCurrent = pathName === this.currentPath;
+            
+            this.level.paths[pathName].forEach((point, index) => {
+                const visible = this.getVisiblePosition(point);
+                const isSelected = this.selectedWaypoint &&
+                                   this.selectedWaypoint.pathName === pathName &&
+                                   this.selectedWaypoint.index === index;
+                
+                ctx.globalAlpha = isCurrent ? 1 : 0.5;
+                ctx.fillStyle = isSelected ? '#FFEB3B' : (isCurrent ? '#2196F3' : '#90A4AE');
+                ctx.beginPath();
+                ctx.arc(visible.x, visible.y, this.waypointRadius, 0, Math.PI * 2);
+                ctx.fill();
+                
+                ctx.strokeStyle = 'white';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+                
+                ctx.fillStyle = isSelected ? '#000000' : 'white';
+                ctx.fillText(String(index), visible.x, visible.y);
+            });
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Dibuja la celda bajo el cursor cuando se usa una herramienta de pintado
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderCursor(ctx) {
+        if (this.tool === 'path') return;
+        
+        const gridPos = pixelToGrid(this.hoverPosition.x, this.hoverPosition.y);
+        const colors = { block: '#F44336', buildable: '#4CAF50', erase: '#FFFFFF' };
+        
+        ctx.save();
+        ctx.strokeStyle = colors[this.tool];
+        ctx.lineWidth = 2;
+        ctx.strokeRect(gridPos.gridX * GAME_CONFIG.GRID_SIZE, gridPos.gridY * GAME_CONFIG.GRID_SIZE,
+                       GAME_CONFIG.GRID_SIZE, GAME_CONFIG.GRID_SIZE);
+        ctx.restore();
+    }
+    
+    /**
+     * Dibuja la información del camino actual
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderInfo(ctx) {
+        const state = this.getState();
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(8, GAME_CONFIG.CANVAS_HEIGHT - 58, 300, 50);
+        
+        ctx.fillStyle = 'white';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`Editor - camino "${state.currentPath}": ${state.waypointCount} puntos, ${state.pathLength}px`, 16, GAME_CONFIG.CANVAS_HEIGHT - 52);
+        
+        ctx.fillStyle = state.valid ? '#8BC34A' : '#FF7043';
+        ctx.fillText(state.valid ? 'Nivel válido' : state.errors[0], 16, GAME_CONFIG.CANVAS_HEIGHT - 32);
+        ctx.restore();
+    }
+}
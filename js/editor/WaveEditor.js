@@ -0,0 +1,199 @@
+/**
+ * Editor de oleadas del nivel en edición
+ * Permite crear oleadas y grupos de enemigos, valida el resultado con WaveValidator
+ * y calcula la línea temporal de spawn que produciría el WaveManager
+ */
+
+class WaveEditor {
+    /**
+     * Constructor del WaveEditor
+     * @param {Object} level - Nivel en edición (se modifican level.waves directamente)
+     * @param {Function|null} onChange - Se llama tras cada cambio en las oleadas
+     */
+    constructor(level, onChange = null) {
+        this.level = level;
+        this.onChange = onChange;
+        this.validator = new WaveValidator();
+        this.selectedWave = 0;
+        
+        console.log(`WaveEditor inicializado con ${this.level.waves.length} oleadas`);
+    }
+    
+    /**
+     * Obtiene las oleadas del nivel
+     * @returns {Array} Oleadas
+     */
+    getWaves() {
+        return this.level.waves;
+    }
+    
+    /**
+     * Obtiene la oleada seleccionada
+     * @returns {Object|null} Datos de la oleada
+     */
+    getSelectedWave() {
+        return this.level.waves[this.selectedWave] || null;
+    }
+    
+    /**
+     * Selecciona una oleada
+     * @param {number} waveIndex - Índice de la oleada
+     */
+    selectWave(waveIndex) {
+        if (waveIndex >= 0 && waveIndex < this.level.waves.length) {
+            this.selectedWave = waveIndex;
+        }
+    }
+    
+    /**
+     * Añade una oleada al final con un grupo de enemigos básicos y la selecciona
+     * @returns {number} Índice de la oleada nueva
+     */
+    addWave() {
+        const previous = this.level.waves[this.level.waves.length - 1];
+        
+        this.level.waves.push({
+            waveNumber: this.level.waves.length + 1,
+            enemies: [{ type: 'BASIC', count: 10, spawnInterval: 1000 }],
+            reward: previous ? previous.reward : 50
+        });
+        
+        this.selectedWave = this.level.waves.length - 1;
+        this.notifyChange();
+        return this.selectedWave;
+    }
+    
+    /**
+     * Elimina una oleada (siempre queda al menos una) y renumera las siguientes
+     * @param {number} waveIndex - Índice de la oleada
+     * @returns {boolean} True si se eliminó
+     */
+    removeWave(waveIndex = this.selectedWave) {
+        if (this.level.waves.length <= 1 || !this.level.waves[waveIndex]) return false;
+        
+        this.level.waves.splice(waveIndex, 1);
+        this.level.waves.forEach((wave, index) => {
+            wave.waveNumber = index + 1;
+        });
+        
+        this.selectedWave = Math.min(this.selectedWave, this.level.waves.length - 1);
+        this.notifyChange();
+        return true;
+    }
+    
+    /**
+     * Cambia la recompensa de la oleada seleccionada
+     * @param {number} reward - Recompensa al completarla
+     */
+    setReward(reward) {
+        const wave = this.getSelectedWave();
+        if (!wave) return;
+        
+        wave.reward = reward;
+        this.notifyChange();
+    }
+    
+    /**
+     * Añade un grupo de enemigos a la oleada seleccionada
+     * @param {Object} group - Grupo { type, count, spawnInterval, path }
+     * @returns {number} Índice del grupo nuevo
+     */
+    addGroup(group = { type: 'BASIC', count: 5, spawnInterval: 1000 }) {
+        const wave = this.getSelectedWave();
+        wave.enemies.push({ ...group });
+        this.notifyChange();
+        return wave.enemies.length - 1;
+    }
+    
+    /**
+     * Cambia un campo de un grupo de la oleada seleccionada
+     * Los valores se guardan tal cual para que el validador informe de los incorrectos
+     * @param {number} groupIndex - Índice del grupo
+     * @param {string} field - 'type', 'count', 'spawnInterval' o 'path'
+     * @param {*} value - Nuevo valor
+     */
+    updateGroup(groupIndex, field, value) {
+        const group = this.getSelectedWave().enemies[groupIndex];
+        if (!group) return;
+        
+        // El camino por defecto se representa omitiendo el campo
+        if (field === 'path' && (value === DEFAULT_PATH_NAME || value === '')) {
+            delete group.path;
+        } else {
+            group[field] = value;
+        }
+        
+        this.notifyChange();
+    }
+    
+    /**
+     * Elimina un grupo de la oleada seleccionada
+     * @param {number} groupIndex - Índice del grupo
+     * @returns {boolean} True si se eliminó
+     */
+    removeGroup(groupIndex) {
+        const wave = this.getSelectedWave();
+        if (!wave || !wave.enemies[groupIndex]) return false;
+        
+        wave.enemies.splice(groupIndex, 1);
+        this.notifyChange();
+        return true;
+    }
+    
+    /**
+     * Avisa del cambio de las oleadas a quien creó el editor
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange();
+    }
+    
+    /**
+     * Valida todas las oleadas contra los caminos del nivel
+     * @returns {Object} { valid, errors } de WaveValidator
+     */
+    validate() {
+        return this.validator.validate(this.level.waves, { paths: this.level.paths });
+    }
+    
+    /**
+     * Obtiene los errores de la oleada seleccionada, ya formateados
+     * @returns {Array} Mensajes de error
+     */
+    getSelectedWaveErrors() {
+        return this.validate().errors
+            .filter(error => error.wave === this.selectedWave)
+            .map(error => this.validator.formatError(error));
+    }
+    
+    /**
+     * Calcula la línea temporal de spawn de la oleada seleccionada
+     * Requiere que los caminos del nivel estén registrados (lo hace LevelEditor)
+     * @returns {Object|null} Línea temporal de WaveManager.getSpawnTimeline o null si la oleada no es válida
+     */
+    getTimeline() {
+        const wave = this.getSelectedWave();
+        if (!wave || this.validator.validateWave(wave, this.selectedWave, { paths: this.level.paths }).length > 0) {
+            return null;
+        }
+        
+        // Solo se pasa la oleada seleccionada: los errores de otras oleadas no impiden la previsualización
+        const waveManager = new WaveManager([wave], new GameClock());
+        return waveManager.getSpawnTimeline(this.selectedWave, null, wave);
+    }
+    
+    /**
+     * Obtiene el estado del editor para la UI
+     * @returns {Object} Estado del editor de oleadas
+     */
+    getState() {
+        return {
+            waveCount: this.level.waves.length,
+            selectedWave: this.selectedWave,
+            wave: this.getSelectedWave(),
+            pathNames: Object.keys(this.level.paths),
+            enemyTypes: Object.keys(ENEMY_TYPES),
+            errors: this.getSelectedWaveErrors(),
+            timeline: this.getTimeline()
+        };
+    }
+}
@@ -6,16 +6,22 @@
 class Enemy {
     /**
      * Constructor de la clase Enemy
-     * @param {string} type - Tipo de enemigo (BASIC, TANK, FAST)
-     * @param {Array} path - Array de coordenadas del camino a seguir
+     * @param {string} type - Tipo de enemigo (clave de ENEMY_TYPES)
+     * @param {string} pathName - Nombre del camino a seguir (ver pathData.js)
      */
-    constructor(type, path = null) {
+    constructor(type, pathName = DEFAULT_PATH_NAME) {
         // Validar tipo de enemigo
         if (!ENEMY_TYPES[type]) {
             throw new Error(`Tipo de enemigo inválido: ${type}`);
         }
         
+        // Validar camino
+        if (!hasPath(pathName)) {
+            throw new Error(`Camino inválido: ${pathName}`);
+        }
+        
         this.type = type;
+        this.pathName = pathName;
         this.config = { ...ENEMY_TYPES[type] };
         
         // Propiedades de salud
@@ -33,8 +39,23 @@ class Enemy {
         this.color = this.config.color;
         this.size = this.config.size;
         
+        // Comportamientos especiales (ver ENEMY_TYPES)
+        this.flying = !!this.config.flying;
+        this.maxShield = this.config.shield ? this.config.shield.max : 0;
+        this.shield = this.maxShield;
+        this.shieldRegenDelay = 0; // ms hasta que el escudo vuelve a regenerarse
+        this.healTimer = 0; // ms acumulados hasta la siguiente curación
+        this.healPulse = 0; // Timer del efecto visual de curación
+        
+        // Jefes (ver config.boss)
+        this.bonusReward = 0; // Recompensa extra que declara la oleada de jefe
+        this.phase = 0; // Número de fases ya activadas
+        this.invulnerableTime = 0; // ms de invulnerabilidad restantes
+        this.pendingSpawns = []; // Enemigos invocados que Game debe añadir a la partida
+        
         // Propiedades de posición y movimiento
         this.position = { x: 0, y: 0 };
+        this.previousPosition = { x: 0, y: 0 }; // Posición al empezar el último paso de simulación (para interpolar el render)
         this.pathProgress = 0; // Progreso del 0 al 1 en el camino
         this.direction = { x: 1, y: 0 }; // Vector de dirección normalizado
         this.angle = 0; // Ángulo de rotación en radianes
@@ -43,6 +64,10 @@ class Enemy {
         this.alive = true;
         this.reachedEnd = false;
         this.markedForRemoval = false;
+        this.killedBy = null; // Fuente del golpe final (normalmente una Tower)
+        
+        // Efectos de estado activos (ralentización, veneno, aturdimiento...), ver STATUS_EFFECTS
+        this.statusEffects = [];
         
         // Efectos visuales
         this.damageFlash = 0; // Timer para efecto de daño
@@ -50,18 +75,20 @@ class Enemy {
         
         // Inicializar posición en el camino
         this.updatePositionFromPath();
+        this.storePreviousPosition();
         
         // ID único para debugging
-        this.id = Math.random().toString(36).substr(2, 9);
+        this.id = rng.nextId();
         
-        console.log(`Enemigo ${this.type} creado con ID: ${this.id}`);
+        console.log(`Enemigo ${this.type} creado con ID: ${this.id} en el camino ${this.pathName}`);
     }
     
     /**
      * Actualiza el enemigo cada frame
      * @param {number} deltaTime - Tiempo transcurrido desde el último frame en ms
+     * @param {Array} enemies - Enemigos en juego (los sanadores curan a los cercanos)
      */
-    update(deltaTime) {
+    update(deltaTime, enemies = []) {
         if (!this.alive || this.reachedEnd) {
             return;
         }
@@ -69,6 +96,13 @@ class Enemy {
         // Actualizar efectos visuales
         this.updateVisualEffects(deltaTime);
         
+        // Actualizar efectos de estado (el veneno puede eliminarlo)
+        this.updateStatusEffects(deltaTime);
+        if (!this.alive) return;
+        
+        // Escudo y curación
+        this.updateBehaviours(deltaTime, enemies);
+        
         // Mover el enemigo
         this.move(deltaTime);
         
@@ -77,7 +111,7 @@ class Enemy {
     }
     
     /**
-     * Mueve el enemigo a lo largo del camino
+     * Mueve el enemigo a lo largo del camino (o de su ruta de vuelo)
      * @param {number} deltaTime - Tiempo transcurrido en ms
      */
     move(deltaTime) {
@@ -86,8 +120,8 @@ class Enemy {
         // Calcular la distancia a mover basada en la velocidad y tiempo
         const moveDistance = (this.speed * this.pathSpeed * deltaTime) / 1000;
         
-        // Calcular el progreso basado en la longitud total del camino
-        const totalPathLength = calculatePathLength();
+        // Calcular el progreso basado en la longitud total de la ruta
+        const totalPathLength = this.getRouteLength();
         const progressIncrement = moveDistance / totalPathLength;
         
         // Actualizar progreso en el camino
@@ -102,9 +136,12 @@ class Enemy {
     
     /**
      * Actualiza la posición del enemigo basada en su progreso en el camino
+     * Los voladores usan el mismo progreso sobre la recta de su ruta de vuelo
      */
     updatePositionFromPath() {
-        const pathData = getPositionOnPath(this.pathProgress);
+        const pathData = this.flying ?
+            this.getFlightPosition(this.pathProgress) :
+            getPositionOnPath(this.pathProgress, this.pathName);
         
         this.position.x = pathData.x;
         this.position.y = pathData.y;
@@ -115,6 +152,67 @@ class Enemy {
         this.direction.y = Math.sin(this.angle);
     }
     
+    /**
+     * Calcula la posición de un volador: recta desde el spawn de su camino hasta el objetivo
+     * @param {number} progress - Progreso del 0 al 1
+     * @returns {Object} Objeto con x, y y ángulo de dirección
+     */
+    getFlightPosition(progress) {
+        const start = getSpawnPoint(this.pathName);
+        const target = PATH_CONFIG.targetPoint;
+        
+        return {
+            x: lerp(start.x, target.x, progress),
+            y: lerp(start.y, target.y, progress),
+            angle: angleBetween(start.x, start.y, target.x, target.y)
+        };
+    }
+    
+    /**
+     * Obtiene la longitud de la ruta del enemigo (camino, o recta de vuelo para voladores)
+     * @returns {number} Longitud en pixels
+     */
+    getRouteLength() {
+        if (this.flying) {
+            const start = getSpawnPoint(this.pathName);
+            return distance(start.x, start.y, PATH_CONFIG.targetPoint.x, PATH_CONFIG.targetPoint.y);
+        }
+        
+        return calculatePathLength(this.pathName);
+    }
+    
+    /**
+     * Coloca el enemigo en un punto de su ruta
+     * @param {number} progress - Progreso del 0 al 1
+     */
+    setPathProgress(progress) {
+        this.pathProgress = clamp(progress, 0, 1);
+        this.updatePositionFromPath();
+        
+        // Es un salto, no un movimiento: no interpolar desde la posición anterior
+        this.storePreviousPosition();
+    }
+    
+    /**
+     * Guarda la posición actual como punto de partida del siguiente paso de simulación
+     */
+    storePreviousPosition() {
+        this.previousPosition.x = this.position.x;
+        this.previousPosition.y = this.position.y;
+    }
+    
+    /**
+     * Obtiene la posición a dibujar entre el paso de simulación anterior y el actual
+     * @param {number} alpha - Fracción del paso siguiente ya transcurrida (0 = paso anterior, 1 = actual)
+     * @returns {Object} Coordenadas x e y interpoladas
+     */
+    getRenderPosition(alpha = 1) {
+        return {
+            x: lerp(this.previousPosition.x, this.position.x, alpha),
+            y: lerp(this.previousPosition.y, this.position.y, alpha)
+        };
+    }
+    
     /**
      * Verifica si el enemigo ha llegado al final del camino
      */
@@ -129,24 +227,462 @@ class Enemy {
     /**
      * Aplica daño al enemigo
      * @param {number} damage - Cantidad de daño a aplicar
+     * @param {Object|null} source - Quién causa el daño (torre), para atribuir la eliminación
+     * @param {string} damageType - Tipo de daño (clave de DAMAGE_TYPES)
      * @returns {boolean} True si el enemigo murió por este daño
      */
-    takeDamage(damage) {
-        if (!this.alive) return false;
+    takeDamage(damage, source = null, damageType = 'PHYSICAL') {
+        return this.applyDamage(damage, source, damageType).killed;
+    }
+    
+    /**
+     * Aplica daño al enemigo y devuelve el detalle de lo ocurrido
+     * @param {number} damage - Cantidad de daño a aplicar
+     * @param {Object|null} source - Quién causa el daño (torre), para atribuir la eliminación
+     * @param {string} damageType - Tipo de daño (clave de DAMAGE_TYPES)
+     * @param {Object} options - { silent } con silent no se registra cada golpe en consola (daño continuo)
+     * @returns {Object} { damage, dealt, overkill, killed, mitigated, absorbed }: damage es el daño
+     *                   tras armadura y resistencias, dealt la vida y el escudo realmente quitados,
+     *                   overkill el daño sobrante del golpe final, mitigated lo que absorbieron las
+     *                   defensas y absorbed la parte de dealt que se llevó el escudo
+     */
+    applyDamage(damage, source = null, damageType = 'PHYSICAL', options = {}) {
+        if (!this.alive) {
+            return { damage: damage, dealt: 0, overkill: 0, killed: false, mitigated: 0, absorbed: 0 };
+        }
         
-        this.health -= damage;
+        // Un jefe en transición de fase no recibe daño
+        if (this.invulnerableTime > 0) {
+            return { damage: 0, dealt: 0, overkill: 0, killed: false, mitigated: damage, absorbed: 0 };
+        }
+        
+        const rawDamage = damage;
+        
+        // Armadura y resistencias reducen el daño; la armadura rota lo aumenta
+        damage *= this.getDamageMultiplier(damageType) * this.getDamageTakenMultiplier();
+        const mitigated = Math.max(0, rawDamage - damage);
+        
+        // El escudo absorbe el daño antes que la vida y deja de regenerarse un tiempo
+        const absorbed = Math.min(this.shield, damage);
+        if (this.maxShield > 0) {
+            this.shield -= absorbed;
+            this.shieldRegenDelay = this.config.shield.regenDelay;
+        }
+        
+        const healthDamage = damage - absorbed;
+        const dealt = absorbed + Math.min(healthDamage, this.health);
+        this.health -= healthDamage;
         this.damageFlash = 200; // Activar efecto visual de daño por 200ms
         
-        console.log(`Enemigo ${this.id} recibió ${damage} de daño. Salud: ${this.health}/${this.maxHealth}`);
+        if (!options.silent) {
+            console.log(`Enemigo ${this.id} recibió ${damage} de daño ${damageType}. Salud: ${this.health}/${this.maxHealth}`);
+        }
         
         if (this.health <= 0) {
             this.health = 0;
             this.alive = false;
+            this.killedBy = source;
             console.log(`Enemigo ${this.id} eliminado`);
-            return true;
+            return { damage: damage, dealt: dealt, overkill: damage - dealt, killed: true, mitigated: mitigated, absorbed: absorbed };
+        }
+        
+        if (this.isBoss()) {
+            this.checkBossPhases();
+        }
+        
+        return { damage: damage, dealt: dealt, overkill: 0, killed: false, mitigated: mitigated, absorbed: absorbed };
+    }
+    
+    /**
+     * Calcula el multiplicador de daño de un tipo de daño contra un tipo de enemigo
+     * La armadura (menos la fracción que penetra el tipo de daño) reduce el daño en
+     * armor / (armor + 100) y después se aplica la resistencia del enemigo a ese tipo
+     * @param {Object} enemyConfig - Configuración del enemigo (entrada de ENEMY_TYPES)
+     * @param {string} damageType - Tipo de daño (clave de DAMAGE_TYPES)
+     * @returns {number} Multiplicador del daño (1 = daño completo)
+     */
+    static getDamageMultiplierFor(enemyConfig, damageType) {
+        const damageConfig = DAMAGE_TYPES[damageType] || DAMAGE_TYPES.PHYSICAL;
+        const armor = (enemyConfig.armor || 0) * (1 - damageConfig.armorPenetration);
+        const resistance = (enemyConfig.resistances || {})[damageType] || 0;
+        
+        return (1 - armor / (armor + 100)) * (1 - resistance);
+    }
+    
+    /**
+     * Calcula el multiplicador de daño de un tipo de daño contra este enemigo
+     * @param {string} damageType - Tipo de daño (clave de DAMAGE_TYPES)
+     * @returns {number} Multiplicador del daño (1 = daño completo)
+     */
+    getDamageMultiplier(damageType) {
+        return Enemy.getDamageMultiplierFor(this.config, damageType);
+    }
+    
+    /**
+     * Escala la vida del enemigo respecto a la de su tipo (oleadas del modo infinito)
+     * @param {number} multiplier - Multiplicador de vida
+     */
+    applyHealthMultiplier(multiplier) {
+        this.maxHealth = Math.round(this.config.maxHealth * multiplier);
+        this.health = this.maxHealth;
+        
+        if (this.config.shield) {
+            this.maxShield = Math.round(this.config.shield.max * multiplier);
+            this.shield = this.maxShield;
+        }
+    }
+    
+    /**
+     * Cura al enemigo sin superar su vida máxima
+     * @param {number} amount - Vida a recuperar
+     * @returns {number} Vida realmente recuperada
+     */
+    heal(amount) {
+        if (!this.alive) return 0;
+        
+        const healed = Math.min(amount, this.maxHealth - this.health);
+        this.health += healed;
+        return healed;
+    }
+    
+    /**
+     * Actualiza los comportamientos especiales del tipo (escudo, curación e invulnerabilidad de jefe)
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     * @param {Array} enemies - Enemigos en juego
+     */
+    updateBehaviours(deltaTime, enemies) {
+        if (this.maxShield > 0) {
+            this.updateShield(deltaTime);
+        }
+        
+        if (this.config.heal) {
+            this.updateHealing(deltaTime, enemies);
+        }
+        
+        if (this.healPulse > 0) {
+            this.healPulse = Math.max(0, this.healPulse - deltaTime);
+        }
+        
+        if (this.invulnerableTime > 0) {
+            this.invulnerableTime = Math.max(0, this.invulnerableTime - deltaTime);
+        }
+    }
+    
+    /**
+     * Regenera el escudo cuando lleva regenDelay ms sin recibir daño
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     */
+    updateShield(deltaTime) {
+        if (this.shieldRegenDelay > 0) {
+            this.shieldRegenDelay = Math.max(0, this.shieldRegenDelay - deltaTime);
+            return;
+        }
+        
+        this.shield = Math.min(this.maxShield, this.shield + this.config.shield.regenRate * deltaTime / 1000);
+    }
+    
+    /**
+     * Cura periódicamente a los aliados dentro del radio (no a sí mismo). Aturdido no cura
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     * @param {Array} enemies - Enemigos en juego
+     */
+    updateHealing(deltaTime, enemies) {
+        if (this.isStunned()) return;
+        
+        const heal = this.config.heal;
+        this.healTimer += deltaTime;
+        
+        while (this.healTimer >= heal.interval) {
+            this.healTimer -= heal.interval;
+            
+            const allies = enemies.filter(enemy => 
+                enemy !== this && enemy.isAlive() &&
+                distance(this.position.x, this.position.y, enemy.position.x, enemy.position.y) <= heal.radius
+            );
+            const healed = allies.reduce((total, ally) => total + ally.heal(heal.amount), 0);
+            
+            this.healPulse = 400;
+            console.log(`Enemigo ${this.id} curó ${Math.round(healed)} de vida a ${allies.length} aliados`);
         }
+    }
+    
+    /**
+     * Crea los enemigos que suelta un divisor al morir, en su punto del camino
+     * Heredan el multiplicador de vida del padre (oleadas del modo infinito)
+     * @returns {Array} Enemigos nuevos (vacío si el tipo no se divide)
+     */
+    createSplitChildren() {
+        const split = this.config.split;
+        if (!split) return [];
         
-        return false;
+        const children = this.createMinions(split.type, split.count);
+        console.log(`Enemigo ${this.id} se dividió en ${children.length} ${split.type}`);
+        return children;
+    }
+    
+    /**
+     * Crea enemigos en el punto del camino de este, escalonados hacia atrás para que no se solapen
+     * Heredan su multiplicador de vida (oleadas del modo infinito)
+     * @param {string} type - Tipo de enemigo
+     * @param {number} count - Número de enemigos
+     * @returns {Array} Enemigos nuevos
+     */
+    createMinions(type, count) {
+        const healthMultiplier = this.maxHealth / this.config.maxHealth;
+        const minions = [];
+        
+        for (let i = 0; i < count; i++) {
+            const minion = enemyPool.acquire(type, this.pathName);
+            if (healthMultiplier !== 1) {
+                minion.applyHealthMultiplier(healthMultiplier);
+            }
+            
+            minion.setPathProgress(this.pathProgress - i * minion.size / minion.getRouteLength());
+            minions.push(minion);
+        }
+        
+        return minions;
+    }
+    
+    /**
+     * Entrega y vacía los enemigos invocados pendientes de añadir a la partida
+     * @returns {Array} Enemigos nuevos
+     */
+    takePendingSpawns() {
+        if (this.pendingSpawns.length === 0) return this.pendingSpawns;
+        
+        const spawns = this.pendingSpawns;
+        this.pendingSpawns = [];
+        return spawns;
+    }
+    
+    /**
+     * Verifica si el enemigo es un jefe con fases
+     * @returns {boolean} True si es un jefe
+     */
+    isBoss() {
+        return !!this.config.boss;
+    }
+    
+    /**
+     * Obtiene el número total de fases del jefe (la inicial más una por umbral)
+     * @returns {number} Número de fases (1 si no es jefe)
+     */
+    getPhaseCount() {
+        return this.isBoss() ? this.config.boss.phases.length + 1 : 1;
+    }
+    
+    /**
+     * Activa las fases cuyo umbral de vida se ha cruzado, en orden
+     * Un golpe fuerte puede activar varias fases a la vez
+     */
+    checkBossPhases() {
+        const phases = this.config.boss.phases;
+        
+        while (this.phase < phases.length && this.health <= this.maxHealth * phases[this.phase].threshold) {
+            this.phase++;
+            this.enterPhase(phases[this.phase - 1]);
+        }
+    }
+    
+    /**
+     * Aplica los efectos de una fase de jefe
+     * @param {Object} phase - Fase { threshold, speedMultiplier, spawn, invulnerable }
+     */
+    enterPhase(phase) {
+        if (phase.invulnerable) {
+            this.invulnerableTime = Math.max(this.invulnerableTime, phase.invulnerable);
+        }
+        
+        if (phase.spawn) {
+            this.pendingSpawns.push(...this.createMinions(phase.spawn.type, phase.spawn.count));
+        }
+        
+        this.refreshEffectModifiers();
+        console.log(`Jefe ${this.id} entra en la fase ${this.phase + 1}/${this.getPhaseCount()}`);
+    }
+    
+    /**
+     * Calcula el multiplicador de velocidad de las fases activadas (el de la última que lo define)
+     * @returns {number} Multiplicador de velocidad
+     */
+    getPhaseSpeedMultiplier() {
+        if (!this.isBoss()) return 1;
+        
+        return this.config.boss.phases
+            .slice(0, this.phase)
+            .reduce((multiplier, phase) => phase.speedMultiplier || multiplier, 1);
+    }
+    
+    /**
+     * Verifica si el jefe es inmune al daño
+     * @returns {boolean} True durante la invulnerabilidad de una fase
+     */
+    isInvulnerable() {
+        return this.invulnerableTime > 0;
+    }
+    
+    /**
+     * Aplica un efecto de estado al enemigo según su regla de acumulación
+     * @param {Object} effect - Efecto { type, duration, magnitude } (duration en ms)
+     * @param {Object|null} source - Quién lo aplica (torre), para atribuir el daño del efecto
+     * @returns {boolean} True si se aplicó
+     */
+    applyEffect(effect, source = null) {
+        const config = STATUS_EFFECTS[effect.type];
+        if (!config) {
+            throw new Error(`Efecto de estado inválido: ${effect.type}`);
+        }
+        
+        if (!this.alive) return false;
+        
+        const magnitude = effect.magnitude || 0;
+        const existing = this.statusEffects.find(active => active.type === effect.type);
+        
+        if (existing && config.stacking === 'refresh') {
+            // Una sola instancia: se queda con lo más fuerte y lo más largo
+            existing.magnitude = Math.max(existing.magnitude, magnitude);
+            existing.remaining = Math.max(existing.remaining, effect.duration);
+            existing.source = source || existing.source;
+        } else if (existing && config.stacking === 'intensity') {
+            // Acumulaciones con temporizador compartido: cada aplicación suma una y lo renueva
+            existing.stacks = Math.min(existing.stacks + 1, config.maxStacks || 1);
+            existing.magnitude = Math.max(existing.magnitude, magnitude);
+            existing.remaining = Math.max(existing.remaining, effect.duration);
+            existing.source = source || existing.source;
+        } else {
+            // Instancias independientes: al llegar al máximo se sustituye la que antes acaba
+            const instances = this.statusEffects.filter(active => active.type === effect.type);
+            if (config.stacking === 'independent' && instances.length >= (config.maxStacks || 1)) {
+                const oldest = instances.reduce((a, b) => (a.remaining <= b.remaining ? a : b));
+                this.statusEffects.splice(this.statusEffects.indexOf(oldest), 1);
+            }
+            
+            this.statusEffects.push({
+                type: effect.type,
+                magnitude: magnitude,
+                duration: effect.duration,
+                remaining: effect.duration,
+                stacks: 1,
+                tickTimer: 0,
+                source: source
+            });
+        }
+        
+        this.refreshEffectModifiers();
+        console.log(`Enemigo ${this.id} afectado por ${effect.type} (${effect.duration}ms)`);
+        return true;
+    }
+    
+    /**
+     * Actualiza la duración de los efectos de estado y aplica el daño periódico
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     */
+    updateStatusEffects(deltaTime) {
+        if (this.statusEffects.length === 0) return;
+        
+        for (const effect of this.statusEffects) {
+            const config = STATUS_EFFECTS[effect.type];
+            const activeTime = Math.min(deltaTime, effect.remaining);
+            effect.remaining -= deltaTime;
+            
+            // Daño periódico (magnitude = daño por segundo y acumulación)
+            if (config.tickInterval) {
+                effect.tickTimer += activeTime;
+                while (effect.tickTimer >= config.tickInterval && this.alive) {
+                    effect.tickTimer -= config.tickInterval;
+                    const tickDamage = effect.magnitude * effect.stacks * config.tickInterval / 1000;
+                    const result = this.applyDamage(tickDamage, effect.source, config.damageType);
+                    
+                    if (effect.source && effect.source.registerDamage) {
+                        effect.source.registerDamage(result, 'effect');
+                    }
+                }
+            }
+        }
+        
+        const activeCount = this.statusEffects.length;
+        this.statusEffects = this.statusEffects.filter(effect => effect.remaining > 0);
+        
+        if (this.statusEffects.length !== activeCount) {
+            this.refreshEffectModifiers();
+        }
+    }
+    
+    /**
+     * Recalcula la velocidad a partir de la base del tipo, la fase de jefe y los efectos activos
+     */
+    refreshEffectModifiers() {
+        this.speed = this.config.speed * this.getPhaseSpeedMultiplier() * this.getSpeedMultiplier();
+    }
+    
+    /**
+     * Calcula el multiplicador de velocidad por efectos (0 si está aturdido)
+     * @returns {number} Multiplicador de velocidad
+     */
+    getSpeedMultiplier() {
+        if (this.isStunned()) return 0;
+        
+        const slow = this.statusEffects
+            .filter(effect => effect.type === 'SLOW')
+            .reduce((max, effect) => Math.max(max, effect.magnitude), 0);
+        
+        return 1 - Math.min(slow, STATUS_EFFECTS.SLOW.maxMagnitude);
+    }
+    
+    /**
+     * Calcula el multiplicador de daño recibido por armadura rota
+     * @returns {number} Multiplicador (1 sin efectos)
+     */
+    getDamageTakenMultiplier() {
+        return this.statusEffects
+            .filter(effect => effect.type === 'ARMOR_BREAK')
+            .reduce((multiplier, effect) => multiplier + effect.magnitude * effect.stacks, 1);
+    }
+    
+    /**
+     * Verifica si el enemigo vuela (ignora el camino; solo le atacan torres con targetsAir)
+     * @returns {boolean} True si es un volador
+     */
+    isFlying() {
+        return this.flying;
+    }
+    
+    /**
+     * Verifica si el enemigo está aturdido
+     * @returns {boolean} True si no puede moverse
+     */
+    isStunned() {
+        return this.hasEffect('STUN');
+    }
+    
+    /**
+     * Verifica si el enemigo tiene un efecto activo
+     * @param {string} type - Tipo de efecto (ver STATUS_EFFECTS)
+     * @returns {boolean} True si está activo
+     */
+    hasEffect(type) {
+        return this.statusEffects.some(effect => effect.type === type);
+    }
+    
+    /**
+     * Cuenta las acumulaciones activas de un efecto
+     * @param {string} type - Tipo de efecto
+     * @returns {number} Acumulaciones (instancias o stacks según el efecto)
+     */
+    getEffectStacks(type) {
+        return this.statusEffects
+            .filter(effect => effect.type === type)
+            .reduce((total, effect) => total + effect.stacks, 0);
+    }
+    
+    /**
+     * Elimina todos los efectos de un tipo, o todos si no se indica
+     * @param {string|null} type - Tipo de efecto
+     */
+    clearEffects(type = null) {
+        this.statusEffects = type ? this.statusEffects.filter(effect => effect.type !== type) : [];
+        this.refreshEffectModifiers();
     }
     
     /**
@@ -166,14 +702,22 @@ class Enemy {
     /**
      * Renderiza el enemigo en el canvas
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {number} alpha - Interpolación entre el paso de simulación anterior y el actual
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         if (!this.alive && this.damageFlash <= 0) return;
         
+        const position = this.getRenderPosition(alpha);
+        
+        // Sombra en el suelo para los voladores
+        if (this.flying) {
+            this.renderShadow(ctx, position);
+        }
+        
         ctx.save();
         
         // Trasladar al centro del enemigo
-        ctx.translate(this.position.x, this.position.y);
+        ctx.translate(position.x, position.y);
         
         // Rotar según la dirección de movimiento
         ctx.rotate(this.angle);
@@ -192,11 +736,15 @@ class Enemy {
         
         // Renderizar barra de salud (sin rotación)
         if (this.healthBarVisible && this.alive) {
-            this.renderHealthBar(ctx);
+            this.renderHealthBar(ctx, position);
+            
+            if (this.maxShield > 0) {
+                this.renderShieldBar(ctx, position);
+            }
         }
         
         // Renderizar efectos adicionales según el tipo
-        this.renderTypeSpecificEffects(ctx);
+        this.renderTypeSpecificEffects(ctx, position);
     }
     
     /**
@@ -237,12 +785,13 @@ class Enemy {
     /**
      * Renderiza la barra de salud del enemigo
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} position - Posición interpolada donde se dibuja el enemigo
      */
-    renderHealthBar(ctx) {
+    renderHealthBar(ctx, position = this.position) {
         const barWidth = this.size + 10;
         const barHeight = 6;
-        const barX = this.position.x - barWidth / 2;
-        const barY = this.position.y - this.size / 2 - 15;
+        const barX = position.x - barWidth / 2;
+        const barY = position.y - this.size / 2 - 15;
         
         // Fondo de la barra de salud
         ctx.fillStyle = '#000000';
@@ -266,19 +815,51 @@ class Enemy {
             ctx.textBaseline = 'middle';
             ctx.fillText(
                 `${Math.ceil(this.health)}/${this.maxHealth}`,
-                this.position.x,
+                position.x,
                 barY - 8
             );
         }
     }
     
+    /**
+     * Renderiza la barra de escudo justo debajo de la de salud
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} position - Posición interpolada donde se dibuja el enemigo
+     */
+    renderShieldBar(ctx, position = this.position) {
+        const barWidth = this.size + 10;
+        const barX = position.x - barWidth / 2;
+        const barY = position.y - this.size / 2 - 8;
+        
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(barX - 1, barY - 1, barWidth + 2, 5);
+        
+        ctx.fillStyle = '#2196F3';
+        ctx.fillRect(barX, barY, barWidth * (this.shield / this.maxShield), 3);
+    }
+    
+    /**
+     * Renderiza la sombra de un volador desplazada hacia abajo
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} position - Posición interpolada donde se dibuja el enemigo
+     */
+    renderShadow(ctx, position = this.position) {
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.beginPath();
+        ctx.ellipse(position.x, position.y + this.size, this.size / 2, this.size / 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+    
     /**
      * Renderiza efectos específicos según el tipo de enemigo
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} position - Posición interpolada donde se dibuja el enemigo
      */
-    renderTypeSpecificEffects(ctx) {
+    renderTypeSpecificEffects(ctx, position = this.position) {
         ctx.save();
-        ctx.translate(this.position.x, this.position.y);
+        ctx.translate(position.x, position.y);
         
         switch (this.type) {
             case 'TANK':
@@ -303,15 +884,183 @@ class Enemy {
                 }
                 break;
                 
+            case 'HEALER':
+                // Onda de curación que se expande hasta el radio
+                if (this.healPulse > 0) {
+                    const progress = 1 - this.healPulse / 400;
+                    ctx.strokeStyle = '#81C784';
+                    ctx.lineWidth = 2;
+                    ctx.globalAlpha = 1 - progress;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, this.config.heal.radius * progress, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.globalAlpha = 1;
+                }
+                
+                // Cruz blanca sobre el enemigo
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillRect(-2, -this.size / 2 - 10, 4, 10);
+                ctx.fillRect(-5, -this.size / 2 - 7, 10, 4);
+                break;
+                
+            case 'SPLITTER':
+                // Núcleos de los enemigos que soltará
+                ctx.fillStyle = ENEMY_TYPES[this.config.split.type].color;
+                ctx.globalAlpha = 0.7;
+                for (let i = 0; i < this.config.split.count; i++) {
+                    const angle = (i * Math.PI * 2) / this.config.split.count;
+                    ctx.beginPath();
+                    ctx.arc(Math.cos(angle) * this.size / 4, Math.sin(angle) * this.size / 4, 3, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                break;
+                
+            case 'SHIELDED':
+                // Burbuja más opaca cuanto más escudo le queda
+                if (this.shield > 0) {
+                    ctx.strokeStyle = '#2196F3';
+                    ctx.fillStyle = '#2196F3';
+                    ctx.lineWidth = 2;
+                    ctx.globalAlpha = 0.2 + 0.5 * (this.shield / this.maxShield);
+                    ctx.beginPath();
+                    ctx.arc(0, 0, this.size / 2 + 5, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.globalAlpha *= 0.3;
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                }
+                break;
+                
+            case 'FLYER':
+                // Alas perpendiculares a la dirección de vuelo
+                ctx.rotate(this.angle);
+                ctx.fillStyle = this.color;
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 1;
+                [-1, 1].forEach(side => {
+                    ctx.beginPath();
+                    ctx.moveTo(0, side * this.size / 3);
+                    ctx.lineTo(-this.size / 3, side * this.size);
+                    ctx.lineTo(this.size / 4, side * this.size / 3);
+                    ctx.closePath();
+                    ctx.fill();
+                    ctx.stroke();
+                });
+                ctx.rotate(-this.angle);
+                break;
+                
             case 'BASIC':
             default:
                 // Sin efectos especiales para enemigos básicos
                 break;
         }
         
+        if (this.isBoss()) {
+            this.renderBossEffects(ctx);
+        }
+        
+        // Indicadores de efectos de estado
+        if (this.alive) {
+            this.renderStatusEffects(ctx);
+        }
+        
         ctx.restore();
     }
     
+    /**
+     * Renderiza la corona del jefe y su escudo de invulnerabilidad (el contexto ya está en su centro)
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderBossEffects(ctx) {
+        const radius = this.size / 2;
+        
+        // Corona con una punta por fase
+        const points = this.getPhaseCount();
+        const width = radius * 1.2;
+        ctx.fillStyle = '#FFD700';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(-width / 2, -radius - 4);
+        for (let i = 0; i <= points * 2; i++) {
+            const x = -width / 2 + (width * i) / (points * 2);
+            ctx.lineTo(x, i % 2 === 1 ? -radius - 14 : -radius - 8);
+        }
+        ctx.lineTo(width / 2, -radius - 4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // Escudo dorado parpadeante durante la invulnerabilidad
+        if (this.isInvulnerable()) {
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 3;
+            ctx.globalAlpha = 0.5 + 0.4 * Math.sin(this.invulnerableTime / 60);
+            ctx.beginPath();
+            ctx.arc(0, 0, radius + 6, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+    }
+    
+    /**
+     * Renderiza los indicadores de los efectos de estado (el contexto ya está en el centro del enemigo)
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderStatusEffects(ctx) {
+        const radius = this.size / 2;
+        
+        this.statusEffects.forEach(effect => {
+            const color = STATUS_EFFECTS[effect.type].color;
+            
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            
+            switch (effect.type) {
+                case 'SLOW':
+                    // Anillo discontinuo de hielo
+                    ctx.lineWidth = 2;
+                    ctx.setLineDash([4, 3]);
+                    ctx.beginPath();
+                    ctx.arc(0, 0, radius + 5, 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+                    
+                case 'POISON':
+                    // Tinte verde más intenso con cada acumulación
+                    ctx.globalAlpha = Math.min(0.15 * this.getEffectStacks('POISON'), 0.6);
+                    ctx.beginPath();
+                    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+                    ctx.fill();
+                    break;
+                    
+                case 'STUN':
+                    // Estrellas girando sobre la cabeza
+                    for (let i = 0; i < 3; i++) {
+                        const angle = effect.remaining / 150 + (i * Math.PI * 2) / 3;
+                        ctx.beginPath();
+                        ctx.arc(Math.cos(angle) * radius, -radius - 4 + Math.sin(angle) * 3, 2, 0, Math.PI * 2);
+                        ctx.fill();
+                    }
+                    break;
+                    
+                case 'ARMOR_BREAK':
+                    // Un segmento de anillo por acumulación
+                    ctx.lineWidth = 3;
+                    for (let i = 0; i < effect.stacks; i++) {
+                        const start = (i * Math.PI * 2) / STATUS_EFFECTS.ARMOR_BREAK.maxStacks;
+                        ctx.beginPath();
+                        ctx.arc(0, 0, radius + 8, start, start + Math.PI / 3);
+                        ctx.stroke();
+                    }
+                    break;
+            }
+            
+            ctx.restore();
+        });
+    }
+    
     /**
      * Verifica si el enemigo está vivo
      * @returns {boolean} True si el enemigo está vivo
@@ -353,7 +1102,7 @@ class Enemy {
      * @returns {number} Distancia en pixels hasta el final
      */
     getDistanceToEnd() {
-        const totalLength = calculatePathLength();
+        const totalLength = this.getRouteLength();
         return totalLength * (1 - this.pathProgress);
     }
     
@@ -396,25 +1145,99 @@ class Enemy {
         return {
             id: this.id,
             type: this.type,
+            path: this.pathName,
             health: `${this.health}/${this.maxHealth}`,
+            shield: this.maxShield > 0 ? `${Math.round(this.shield)}/${this.maxShield}` : 'none',
+            flying: this.flying,
             position: `(${Math.round(this.position.x)}, ${Math.round(this.position.y)})`,
             pathProgress: `${Math.round(this.pathProgress * 100)}%`,
             alive: this.alive,
             reachedEnd: this.reachedEnd,
-            distanceToEnd: Math.round(this.getDistanceToEnd())
+            distanceToEnd: Math.round(this.getDistanceToEnd()),
+            phase: this.isBoss() ? `${this.phase + 1}/${this.getPhaseCount()}` : 'none',
+            effects: this.statusEffects.map(effect => `${effect.type}x${effect.stacks}`)
         };
     }
     
     /**
-     * Resetea el enemigo a su estado inicial
+     * Exporta el estado del enemigo para guardado
+     * @returns {Object} Datos serializables del enemigo
+     */
+    exportData() {
+        return {
+            id: this.id,
+            type: this.type,
+            path: this.pathName,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            pathProgress: this.pathProgress,
+            alive: this.alive,
+            reachedEnd: this.reachedEnd,
+            shield: this.shield,
+            maxShield: this.maxShield,
+            shieldRegenDelay: this.shieldRegenDelay,
+            healTimer: this.healTimer,
+            bonusReward: this.bonusReward,
+            phase: this.phase,
+            invulnerableTime: this.invulnerableTime,
+            // La fuente se guarda por ID y Game la vuelve a enlazar con su torre
+            statusEffects: this.statusEffects.map(effect => ({
+                type: effect.type,
+                magnitude: effect.magnitude,
+                duration: effect.duration,
+                remaining: effect.remaining,
+                stacks: effect.stacks,
+                tickTimer: effect.tickTimer,
+                sourceId: effect.source ? effect.source.id : null
+            }))
+        };
+    }
+    
+    /**
+     * Importa el estado del enemigo desde un guardado
+     * @param {Object} data - Datos exportados con exportData()
+     */
+    importData(data) {
+        if (data.id) this.id = data.id;
+        if (data.maxHealth !== undefined) this.maxHealth = data.maxHealth;
+        if (data.health !== undefined) this.health = data.health;
+        if (data.pathProgress !== undefined) this.pathProgress = clamp(data.pathProgress, 0, 1);
+        if (data.alive !== undefined) this.alive = data.alive;
+        if (data.reachedEnd !== undefined) this.reachedEnd = data.reachedEnd;
+        if (data.maxShield !== undefined) this.maxShield = data.maxShield;
+        if (data.shield !== undefined) this.shield = data.shield;
+        if (data.shieldRegenDelay !== undefined) this.shieldRegenDelay = data.shieldRegenDelay;
+        if (data.healTimer !== undefined) this.healTimer = data.healTimer;
+        if (data.bonusReward !== undefined) this.bonusReward = data.bonusReward;
+        if (data.phase !== undefined) this.phase = data.phase;
+        if (data.invulnerableTime !== undefined) this.invulnerableTime = data.invulnerableTime;
+        if (data.statusEffects) {
+            this.statusEffects = data.statusEffects.map(effect => ({ ...effect, source: null }));
+        }
+        this.refreshEffectModifiers();
+        
+        this.updatePositionFromPath();
+        this.storePreviousPosition();
+    }
+    
+    /**
+     * Resetea el enemigo a su estado inicial como si fuera nuevo (lo usa enemyPool al reutilizarlo)
+     * Recibe un ID nuevo para que las referencias guardadas al anterior no lo confundan
      * @param {string} newType - Nuevo tipo de enemigo (opcional)
+     * @param {string} newPathName - Nuevo camino a seguir (opcional)
      */
-    reset(newType = null) {
-        if (newType && ENEMY_TYPES[newType]) {
-            this.type = newType;
-            this.config = { ...ENEMY_TYPES[newType] };
+    reset(newType = null, newPathName = null) {
+        if (newType && !ENEMY_TYPES[newType]) {
+            throw new Error(`Tipo de enemigo inválido: ${newType}`);
+        }
+        if (newPathName && !hasPath(newPathName)) {
+            throw new Error(`Camino inválido: ${newPathName}`);
         }
         
+        if (newType) this.type = newType;
+        if (newPathName) this.pathName = newPathName;
+        this.config = { ...ENEMY_TYPES[this.type] };
+        
         this.health = this.config.health;
         this.maxHealth = this.config.maxHealth;
         this.speed = this.config.speed;
@@ -422,15 +1245,41 @@ class Enemy {
         this.reward = this.config.reward;
         this.color = this.config.color;
         this.size = this.config.size;
+        this.flying = !!this.config.flying;
+        this.maxShield = this.config.shield ? this.config.shield.max : 0;
+        this.shield = this.maxShield;
+        this.shieldRegenDelay = 0;
+        this.healTimer = 0;
+        this.healPulse = 0;
+        this.bonusReward = 0;
+        this.phase = 0;
+        this.invulnerableTime = 0;
+        this.pendingSpawns = [];
         
         this.pathProgress = 0;
+        this.direction = { x: 1, y: 0 };
+        this.angle = 0;
         this.alive = true;
         this.reachedEnd = false;
         this.markedForRemoval = false;
+        this.rewardProcessed = false;
+        this.killedBy = null;
+        this.statusEffects = [];
         this.damageFlash = 0;
+        this.healthBarVisible = true;
         
         this.updatePositionFromPath();
+        this.storePreviousPosition();
+        
+        this.id = rng.nextId();
         
         console.log(`Enemigo ${this.id} reseteado como ${this.type}`);
     }
-}
\ No newline at end of file
+}
+
+// Pool global de enemigos: los que salen de la partida se reutilizan en los siguientes spawns
+const enemyPool = new ObjectPool(
+    'enemies',
+    (type, pathName = DEFAULT_PATH_NAME) => new Enemy(type, pathName),
+    (enemy, type, pathName = DEFAULT_PATH_NAME) => enemy.reset(type, pathName)
+);
\ No newline at end of file
@@ -13,10 +13,22 @@ class Projectile {
      * @param {number} speed - Velocidad del proyectil en pixels/segundo
      * @param {boolean} splash - Si el proyectil hace daño de área
      * @param {number} splashRadius - Radio del daño de área
+     * @param {Tower|null} tower - Torre que lo disparó (recibe el daño y las eliminaciones)
      */
-    constructor(x, y, target, damage, speed, splash = false, splashRadius = 0) {
+    constructor(x, y, target, damage, speed, splash = false, splashRadius = 0, tower = null) {
+        this.reset(x, y, target, damage, speed, splash, splashRadius, tower);
+        
+        console.log(`Proyectil creado con ID: ${this.id}, daño: ${this.damage}, splash: ${this.splash}`);
+    }
+    
+    /**
+     * Reinicia el proyectil con un disparo nuevo (al crearlo o al reutilizarlo desde el pool)
+     * Recibe los mismos parámetros que el constructor
+     */
+    reset(x, y, target, damage, speed, splash = false, splashRadius = 0, tower = null) {
         // Propiedades de posición
         this.position = { x: x, y: y };
+        this.previousPosition = { x: x, y: y }; // Posición al empezar el último paso de simulación (para interpolar el render)
         this.startPosition = { x: x, y: y };
         
         // Propiedades de objetivo y movimiento
@@ -29,10 +41,14 @@ class Projectile {
         this.damage = damage;
         this.splash = splash;
         this.splashRadius = splashRadius;
+        this.tower = tower;
+        this.damageType = tower && tower.damageType ? tower.damageType : 'PHYSICAL';
+        this.effects = []; // Efectos de estado que aplica a los enemigos que daña
         
         // Estado del proyectil
         this.active = true;
         this.hasHit = false;
+        this.processed = false; // Game ya registró el impacto en la torre
         this.markedForRemoval = false;
         
         // Propiedades visuales
@@ -59,9 +75,7 @@ class Projectile {
         this.calculateInitialVelocity();
         
         // ID único para debugging
-        this.id = Math.random().toString(36).substr(2, 9);
-        
-        console.log(`Proyectil creado con ID: ${this.id}, daño: ${this.damage}, splash: ${this.splash}`);
+        this.id = rng.nextId();
     }
     
     /**
@@ -270,6 +284,16 @@ class Projectile {
         }
     }
     
+    /**
+     * Obtiene la distancia máxima desde la posición actual a la que el proyectil puede impactar en un paso
+     * Suma su avance, su tamaño y el radio de área; el radio de los enemigos lo añade quien consulta
+     * @param {number} deltaTime - Tiempo del paso en ms
+     * @returns {number} Radio de búsqueda en píxeles
+     */
+    getQueryRadius(deltaTime) {
+        return this.speed * deltaTime / 1000 + this.size / 2 + this.splashRadius;
+    }
+    
     /**
      * Verifica colisión con un enemigo específico
      * @param {Enemy} enemy - Enemigo a verificar
@@ -298,7 +322,8 @@ class Projectile {
         console.log(`Proyectil ${this.id} impactó enemigo ${hitEnemy.id}`);
         
         // Aplicar daño directo
-        const killed = hitEnemy.takeDamage(this.damage);
+        this.creditDamage(hitEnemy.applyDamage(this.damage, this.tower, this.damageType), 'direct');
+        this.applyEffects(hitEnemy);
         
         // Aplicar daño de área si corresponde
         if (this.splash && this.splashRadius > 0) {
@@ -308,6 +333,11 @@ class Projectile {
         // Crear efecto de explosión
         this.createExplosionEffect();
         
+        // Sonido de impacto: las explosiones de área suenan más fuerte
+        if (typeof audioManager !== 'undefined') {
+            audioManager.play('explosion', { volume: this.splash ? 1 : 0.4 });
+        }
+        
         // Marcar para destrucción
         this.destroy();
     }
@@ -323,6 +353,9 @@ class Projectile {
         for (const enemy of allEnemies) {
             if (!enemy.isAlive() || enemy === centerEnemy) continue;
             
+            // Las explosiones de torres terrestres no alcanzan a los voladores
+            if (this.tower && !this.tower.canTarget(enemy)) continue;
+            
             const dist = distance(
                 this.position.x, this.position.y,
                 enemy.position.x, enemy.position.y
@@ -334,13 +367,41 @@ class Projectile {
                 const finalDamage = Math.floor(splashDamage * damageMultiplier);
                 
                 if (finalDamage > 0) {
-                    enemy.takeDamage(finalDamage);
+                    this.creditDamage(enemy.applyDamage(finalDamage, this.tower, this.damageType), 'splash');
+                    this.applyEffects(enemy);
                     console.log(`Daño de área: ${finalDamage} a enemigo ${enemy.id}`);
                 }
             }
         }
     }
     
+    /**
+     * Atribuye el resultado de un daño a la torre que disparó el proyectil
+     * @param {Object} result - Resultado de Enemy.applyDamage
+     * @param {string} kind - 'direct' o 'splash'
+     */
+    creditDamage(result, kind) {
+        if (this.tower) {
+            this.tower.registerDamage(result, kind);
+        }
+    }
+    
+    /**
+     * Define los efectos de estado que aplica el proyectil al impactar
+     * @param {Array} effects - Efectos { type, duration, magnitude } (ver STATUS_EFFECTS)
+     */
+    setEffects(effects) {
+        this.effects = effects.map(effect => ({ ...effect }));
+    }
+    
+    /**
+     * Aplica los efectos de estado del proyectil a un enemigo que sobrevivió al daño
+     * @param {Enemy} enemy - Enemigo dañado
+     */
+    applyEffects(enemy) {
+        this.effects.forEach(effect => enemy.applyEffect(effect, this.tower));
+    }
+    
     /**
      * Crea efecto visual de explosión
      */
@@ -380,20 +441,43 @@ class Projectile {
         this.glowIntensity = 0.7 + 0.3 * Math.sin(this.timeAlive * pulseSpeed);
     }
     
+    /**
+     * Guarda la posición actual como punto de partida del siguiente paso de simulación
+     */
+    storePreviousPosition() {
+        this.previousPosition.x = this.position.x;
+        this.previousPosition.y = this.position.y;
+    }
+    
+    /**
+     * Obtiene la posición a dibujar entre el paso de simulación anterior y el actual
+     * @param {number} alpha - Fracción del paso siguiente ya transcurrida (0 = paso anterior, 1 = actual)
+     * @returns {Object} Coordenadas x e y interpoladas
+     */
+    getRenderPosition(alpha = 1) {
+        return {
+            x: lerp(this.previousPosition.x, this.position.x, alpha),
+            y: lerp(this.previousPosition.y, this.position.y, alpha)
+        };
+    }
+    
     /**
      * Renderiza el proyectil en el canvas
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {number} alpha - Interpolación entre el paso de simulación anterior y el actual
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         if (!this.active) return;
         
+        const position = this.getRenderPosition(alpha);
+        
         ctx.save();
         
         // Renderizar trail
         this.renderTrail(ctx);
         
         // Trasladar al centro del proyectil
-        ctx.translate(this.position.x, this.position.y);
+        ctx.translate(position.x, position.y);
         
         // Rotar según la dirección
         ctx.rotate(this.rotationAngle);
@@ -556,6 +640,50 @@ class Projectile {
         return { ...this.position };
     }
     
+    /**
+     * Exporta el estado del proyectil para guardado. El objetivo se guarda por ID
+     * @returns {Object} Datos serializables del proyectil
+     */
+    exportData() {
+        return {
+            id: this.id,
+            position: { ...this.position },
+            startPosition: { ...this.startPosition },
+            targetId: this.target ? this.target.id : null,
+            towerId: this.tower ? this.tower.id : null,
+            targetPosition: { ...this.targetPosition },
+            velocity: { ...this.velocity },
+            speed: this.speed,
+            damage: this.damage,
+            damageType: this.damageType,
+            splash: this.splash,
+            splashRadius: this.splashRadius,
+            effects: this.effects.map(effect => ({ ...effect })),
+            timeAlive: this.timeAlive,
+            distanceTraveled: this.distanceTraveled,
+            rotationAngle: this.rotationAngle
+        };
+    }
+    
+    /**
+     * Importa el estado del proyectil desde un guardado
+     * @param {Object} data - Datos exportados con exportData()
+     */
+    importData(data) {
+        if (data.id) this.id = data.id;
+        if (data.position) this.position = { ...data.position };
+        this.previousPosition = { ...this.position };
+        if (data.startPosition) this.startPosition = { ...data.startPosition };
+        if (data.targetPosition) this.targetPosition = { ...data.targetPosition };
+        if (data.velocity) this.velocity = { ...data.velocity };
+        if (data.timeAlive !== undefined) this.timeAlive = data.timeAlive;
+        if (data.distanceTraveled !== undefined) this.distanceTraveled = data.distanceTraveled;
+        if (data.rotationAngle !== undefined) this.rotationAngle = data.rotationAngle;
+        if (data.damageType) this.damageType = data.damageType;
+        if (data.effects) this.setEffects(data.effects);
+        this.trail = [];
+    }
+    
     /**
      * Obtiene información de debug del proyectil
      * @returns {Object} Información de debug
@@ -565,7 +693,9 @@ class Projectile {
             id: this.id,
             position: `(${Math.round(this.position.x)}, ${Math.round(this.position.y)})`,
             target: this.target ? this.target.id : 'none',
+            tower: this.tower ? this.tower.id : 'none',
             damage: this.damage,
+            damageType: this.damageType,
             splash: this.splash,
             splashRadius: this.splashRadius,
             speed: this.speed,
@@ -575,4 +705,12 @@ class Projectile {
             hasHit: this.hasHit
         };
     }
-}
\ No newline at end of file
+}
+
+// Pool global de proyectiles: como mucho PERFORMANCE_CONFIG.maxProjectiles en vuelo a la vez
+const projectilePool = new ObjectPool(
+    'projectiles',
+    (...args) => new Projectile(...args),
+    (projectile, ...args) => projectile.reset(...args),
+    PERFORMANCE_CONFIG.maxProjectiles
+);
\ No newline at end of file
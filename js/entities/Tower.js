@@ -9,8 +9,9 @@ class Tower {
      * @param {string} type - Tipo de torre (BASIC, SNIPER, AREA)
      * @param {number} x - Coordenada X de la torre
      * @param {number} y - Coordenada Y de la torre
+     * @param {GameClock} clock - Reloj de simulación (por defecto el global)
      */
-    constructor(type, x, y) {
+    constructor(type, x, y, clock = gameClock) {
         // Validar tipo de torre
         if (!TOWER_TYPES[type]) {
             throw new Error(`Tipo de torre inválido: ${type}`);
@@ -18,9 +19,12 @@ class Tower {
         
         this.type = type;
         this.config = { ...TOWER_TYPES[type] };
+        this.attackType = this.config.attackType || 'projectile'; // 'projectile', 'beam' o 'aura'
         
         // Propiedades de combate
         this.damage = this.config.damage;
+        this.damageType = this.config.damageType || 'PHYSICAL'; // Clave de DAMAGE_TYPES
+        this.targetsAir = this.config.targetsAir !== false; // Si puede atacar a enemigos voladores
         this.range = this.config.range;
         this.fireRate = this.config.fireRate; // disparos por segundo
         this.cost = this.config.cost;
@@ -31,23 +35,38 @@ class Tower {
         this.projectileSize = this.config.projectileSize;
         this.splash = this.config.splash;
         this.splashRadius = this.config.splashRadius;
+        this.effects = this.config.effects || []; // Efectos de estado que aplican sus proyectiles
+        this.aura = this.config.aura || null; // Mejora que da a sus vecinas (torres de apoyo)
+        
+        // Mejoras recibidas de torres de apoyo vecinas (fracciones extra sobre el nivel)
+        this.buffs = { range: 0, fireRate: 0 };
+        
+        // Estado del rayo (torres láser)
+        this.beamActive = false;
         
         // Propiedades visuales
         this.color = this.config.color;
         this.size = this.config.size;
         
+        // Sistema de mejoras
+        this.level = 1;
+        this.upgrades = this.config.upgrades || [];
+        this.maxLevel = this.upgrades.length + 1;
+        this.totalInvested = this.cost;
+        
         // Propiedades de posición
         this.position = { x: x, y: y };
         this.gridPosition = pixelToGrid(x, y);
         
         // Sistema de targeting
         this.target = null;
-        this.targetingMode = 'closest_to_end'; // 'closest_to_end', 'closest_to_tower', 'strongest', 'weakest'
+        this.targetingMode = DEFAULT_TARGETING_MODE; // Ver TARGETING_STRATEGIES en targeting.js
+        this.keepTarget = true; // false: vuelve a elegir objetivo antes de cada disparo
         
         // Sistema de disparo
-        this.lastShotTime = 0;
+        this.clock = clock;
+        this.lastShotTime = -Infinity; // Lista para disparar desde el primer frame
         this.shotCooldown = 1000 / this.fireRate; // milisegundos entre disparos
-        this.canShoot = true;
         
         // Estado de la torre
         this.active = true;
@@ -63,14 +82,18 @@ class Tower {
         // Estadísticas
         this.stats = {
             enemiesKilled: 0,
-            totalDamageDealt: 0,
+            totalDamageDealt: 0, // Vida quitada (directa + área), sin contar el sobrante
+            directDamage: 0,
+            splashDamage: 0,
+            effectDamage: 0, // Daño periódico de los efectos que aplica (veneno)
+            overkillDamage: 0, // Daño sobrante de los golpes finales
             shotsFired: 0,
             shotsHit: 0,
             timeActive: 0
         };
         
         // ID único para debugging
-        this.id = Math.random().toString(36).substr(2, 9);
+        this.id = rng.nextId();
         
         console.log(`Torre ${this.type} creada en (${x}, ${y}) con ID: ${this.id}`);
     }
@@ -79,9 +102,10 @@ class Tower {
      * Actualiza la torre cada frame
      * @param {Array} enemies - Array de enemigos en el juego
      * @param {number} deltaTime - Tiempo transcurrido desde el último frame en ms
+     * @returns {Projectile|null} Proyectil disparado en este frame, si lo hay
      */
     update(enemies, deltaTime) {
-        if (!this.active) return;
+        if (!this.active) return null;
         
         // Actualizar estadísticas
         this.stats.timeActive += deltaTime;
@@ -89,14 +113,23 @@ class Tower {
         // Actualizar efectos visuales
         this.updateVisualEffects(deltaTime);
         
+        // Las torres de apoyo no atacan: solo mejoran a sus vecinas
+        if (this.attackType === 'aura') return null;
+        
         // Buscar objetivo
         this.findTarget(enemies);
         
         // Rotar hacia el objetivo
         this.updateRotation(deltaTime);
         
+        // El láser daña de forma continua en lugar de disparar proyectiles
+        if (this.attackType === 'beam') {
+            this.updateBeam(deltaTime);
+            return null;
+        }
+        
         // Disparar si es posible
-        this.attemptShoot(deltaTime);
+        return this.attemptShoot(deltaTime);
     }
     
     /**
@@ -109,14 +142,14 @@ class Tower {
             this.target = null;
         }
         
-        // Si ya tenemos un objetivo válido, mantenerlo
-        if (this.target && this.target.isAlive() && this.isInRange(this.target)) {
+        // Si ya tenemos un objetivo válido, mantenerlo salvo que la torre reevalúe en cada disparo
+        if (this.target && !this.shouldReevaluateTarget()) {
             return;
         }
         
         // Buscar nuevo objetivo
         const validTargets = enemies.filter(enemy => 
-            enemy.isAlive() && this.isInRange(enemy)
+            enemy.isAlive() && this.canTarget(enemy) && this.isInRange(enemy)
         );
         
         if (validTargets.length === 0) {
@@ -128,50 +161,32 @@ class Tower {
         this.target = this.selectBestTarget(validTargets);
     }
     
+    /**
+     * Indica si la torre debe volver a elegir objetivo aunque el actual siga siendo válido
+     * Sin objetivo fijo se reevalúa justo antes de cada disparo (el láser, en cada frame)
+     * @returns {boolean} True si hay que reevaluar
+     */
+    shouldReevaluateTarget() {
+        if (this.keepTarget) return false;
+        return this.attackType === 'beam' || this.canShoot();
+    }
+    
     /**
      * Selecciona el mejor objetivo según el modo de targeting
      * @param {Array} validTargets - Array de objetivos válidos
      * @returns {Enemy|null} El mejor objetivo o null
      */
     selectBestTarget(validTargets) {
-        if (validTargets.length === 0) return null;
-        
-        switch (this.targetingMode) {
-            case 'closest_to_end':
-                // Priorizar enemigo más cercano al final del camino
-                return validTargets.reduce((best, current) => 
-                    current.getDistanceToEnd() < best.getDistanceToEnd() ? current : best
-                );
-                
-            case 'closest_to_tower':
-                // Priorizar enemigo más cercano a la torre
-                return validTargets.reduce((best, current) => {
-                    const currentDist = distance(
-                        this.position.x, this.position.y,
-                        current.position.x, current.position.y
-                    );
-                    const bestDist = distance(
-                        this.position.x, this.position.y,
-                        best.position.x, best.position.y
-                    );
-                    return currentDist < bestDist ? current : best;
-                });
-                
-            case 'strongest':
-                // Priorizar enemigo con más salud
-                return validTargets.reduce((best, current) => 
-                    current.health > best.health ? current : best
-                );
-                
-            case 'weakest':
-                // Priorizar enemigo con menos salud
-                return validTargets.reduce((best, current) => 
-                    current.health < best.health ? current : best
-                );
-                
-            default:
-                return validTargets[0];
-        }
+        return selectTarget(this.targetingMode, validTargets, this);
+    }
+    
+    /**
+     * Verifica si la torre puede atacar a un enemigo según su capa (tierra o aire)
+     * @param {Enemy} enemy - Enemigo a verificar
+     * @returns {boolean} True si puede atacarlo
+     */
+    canTarget(enemy) {
+        return this.targetsAir || !enemy.isFlying();
     }
     
     /**
@@ -225,24 +240,116 @@ class Tower {
     /**
      * Intenta disparar si las condiciones son apropiadas
      * @param {number} deltaTime - Tiempo transcurrido en ms
+     * @returns {Projectile|null} El proyectil creado o null si no se disparó
      */
     attemptShoot(deltaTime) {
         // Verificar si puede disparar
-        if (!this.canShoot()) return;
+        if (!this.canShoot()) return null;
         
         // Verificar si tiene objetivo válido
         if (!this.target || !this.target.isAlive() || !this.isInRange(this.target)) {
-            return;
+            return null;
         }
         
-        // Verificar si está apuntando correctamente (tolerancia de 0.1 radianes)
+        // Verificar si está apuntando correctamente
+        if (!this.isAimedAtTarget()) return null;
+        
+        // Disparar
+        return this.shoot();
+    }
+    
+    /**
+     * Verifica si el cañón apunta al objetivo (tolerancia de 0.1 radianes)
+     * @returns {boolean} True si está apuntando
+     */
+    isAimedAtTarget() {
         const angleDiff = Math.abs(this.targetAngle - this.rotationAngle);
         const normalizedDiff = Math.min(angleDiff, 2 * Math.PI - angleDiff);
+        return normalizedDiff <= 0.1;
+    }
+    
+    /**
+     * Aplica el daño continuo del rayo al objetivo (torres láser)
+     * @param {number} deltaTime - Tiempo transcurrido en ms
+     */
+    updateBeam(deltaTime) {
+        this.beamActive = false;
         
-        if (normalizedDiff > 0.1) return;
+        if (!this.target || !this.target.isAlive() || !this.isInRange(this.target) || !this.isAimedAtTarget()) {
+            return;
+        }
         
-        // Disparar
-        this.shoot();
+        // El rayo daña en cada paso: solo se registra en consola la eliminación
+        const result = this.target.applyDamage(this.damage * deltaTime / 1000, this, this.damageType, { silent: true });
+        this.registerDamage(result, 'direct');
+        this.beamActive = true;
+    }
+    
+    /**
+     * Calcula la mejora que da una torre de apoyo a sus vecinas según su nivel
+     * @returns {Object|null} { radius, range, fireRate } o null si no es de apoyo
+     */
+    getAuraBuffs() {
+        if (!this.aura) return null;
+        
+        const multiplier = this.getStatsForLevel(this.level).aura;
+        return {
+            radius: this.aura.radius,
+            range: this.aura.range * multiplier,
+            fireRate: this.aura.fireRate * multiplier
+        };
+    }
+    
+    /**
+     * Aplica las mejoras recibidas de torres de apoyo vecinas
+     * @param {Object} buffs - Fracciones extra { range, fireRate }
+     */
+    setBuffs(buffs) {
+        this.buffs = { range: buffs.range || 0, fireRate: buffs.fireRate || 0 };
+        this.applyLevelStats();
+    }
+    
+    /**
+     * Reparte las mejoras de las torres de apoyo entre sus vecinas en el grid del mapa
+     * Con varias torres de apoyo alrededor se aplica la mayor mejora de cada estadística
+     * @param {Array} towers - Torres colocadas
+     * @param {Map} map - Mapa con las celdas ocupadas
+     */
+    static applySupportBuffs(towers, map) {
+        const towersByCell = {};
+        const buffsById = {};
+        
+        towers.forEach(tower => {
+            const { gridX, gridY } = tower.getGridPosition();
+            towersByCell[`${gridX},${gridY}`] = tower;
+        });
+        
+        towers.forEach(support => {
+            const aura = support.getAuraBuffs();
+            if (!aura) return;
+            
+            const { gridX, gridY } = support.getGridPosition();
+            map.getTowerCellsAround(gridX, gridY, aura.radius).forEach(cell => {
+                const tower = towersByCell[`${cell.gridX},${cell.gridY}`];
+                if (!tower || tower.aura) return;
+                
+                const current = buffsById[tower.id] || { range: 0, fireRate: 0 };
+                buffsById[tower.id] = {
+                    range: Math.max(current.range, aura.range),
+                    fireRate: Math.max(current.fireRate, aura.fireRate)
+                };
+            });
+        });
+        
+        towers.forEach(tower => tower.setBuffs(buffsById[tower.id] || { range: 0, fireRate: 0 }));
+    }
+    
+    /**
+     * Verifica si la torre recibe alguna mejora de apoyo
+     * @returns {boolean} True si tiene mejoras activas
+     */
+    isBuffed() {
+        return this.buffs.range > 0 || this.buffs.fireRate > 0;
     }
     
     /**
@@ -252,24 +359,31 @@ class Tower {
     shoot() {
         if (!this.canShoot() || !this.target) return null;
         
-        // Crear proyectil
-        const projectile = new Projectile(
+        // Crear proyectil (null si ya hay PERFORMANCE_CONFIG.maxProjectiles en vuelo: se reintenta el siguiente paso)
+        const projectile = projectilePool.acquire(
             this.position.x,
             this.position.y,
             this.target,
             this.damage,
             this.projectileSpeed,
             this.splash,
-            this.splashRadius
+            this.splashRadius,
+            this
         );
+        if (!projectile) return null;
+        projectile.setEffects(this.effects);
         
         // Actualizar estado de disparo
-        this.lastShotTime = Date.now();
+        this.lastShotTime = this.clock.now();
         this.muzzleFlash = 100; // Efecto visual por 100ms
         
         // Actualizar estadísticas
         this.stats.shotsFired++;
         
+        if (typeof audioManager !== 'undefined') {
+            audioManager.play('shoot');
+        }
+        
         console.log(`Torre ${this.id} disparó a enemigo ${this.target.id}`);
         
         return projectile;
@@ -280,7 +394,7 @@ class Tower {
      * @returns {boolean} True si puede disparar
      */
     canShoot() {
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         return (currentTime - this.lastShotTime) >= this.shotCooldown;
     }
     
@@ -301,8 +415,9 @@ class Tower {
     /**
      * Renderiza la torre en el canvas
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {number|null} upgradeCost - Precio final de la mejora que se muestra al seleccionarla
      */
-    render(ctx) {
+    render(ctx, upgradeCost = this.getUpgradeCost()) {
         if (!this.active) return;
         
         ctx.save();
@@ -318,11 +433,15 @@ class Tower {
         // Renderizar base de la torre
         this.renderBase(ctx);
         
-        // Rotar para el cañón
+        // Rotar para el cañón (las torres de apoyo no tienen)
         ctx.rotate(this.rotationAngle);
         
         // Renderizar cañón
-        this.renderCannon(ctx);
+        if (this.attackType === 'beam') {
+            this.renderEmitter(ctx);
+        } else if (this.attackType !== 'aura') {
+            this.renderCannon(ctx);
+        }
         
         // Renderizar efectos especiales
         this.renderSpecialEffects(ctx);
@@ -331,7 +450,7 @@ class Tower {
         
         // Renderizar información adicional
         if (this.selected) {
-            this.renderInfo(ctx);
+            this.renderInfo(ctx, upgradeCost);
         }
     }
     
@@ -340,6 +459,12 @@ class Tower {
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
      */
     renderRange(ctx) {
+        // Las torres de apoyo muestran las celdas que mejoran
+        if (this.aura) {
+            this.renderAuraArea(ctx);
+            return;
+        }
+        
         ctx.save();
         
         // Círculo de rango
@@ -352,6 +477,33 @@ class Tower {
         ctx.fill();
         ctx.stroke();
         
+        // Preview del rango tras la siguiente mejora
+        if (this.selected && this.canUpgrade()) {
+            const nextStats = this.getStatsForLevel(this.level + 1);
+            
+            ctx.setLineDash([6, 4]);
+            ctx.globalAlpha = 0.7;
+            ctx.beginPath();
+            ctx.arc(this.position.x, this.position.y, nextStats.range, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Renderiza el cuadrado de celdas que alcanza el aura de una torre de apoyo
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderAuraArea(ctx) {
+        const half = (this.aura.radius + 0.5) * GAME_CONFIG.GRID_SIZE;
+        
+        ctx.save();
+        ctx.strokeStyle = VISUAL_CONFIG.rangeIndicator.borderColor;
+        ctx.fillStyle = 'rgba(102, 187, 106, 0.15)';
+        ctx.lineWidth = VISUAL_CONFIG.rangeIndicator.borderWidth;
+        ctx.fillRect(this.position.x - half, this.position.y - half, half * 2, half * 2);
+        ctx.strokeRect(this.position.x - half, this.position.y - half, half * 2, half * 2);
         ctx.restore();
     }
     
@@ -388,6 +540,58 @@ class Tower {
         
         const typeChar = this.type.charAt(0);
         ctx.fillText(typeChar, 0, 0);
+        
+        // Indicadores de nivel
+        this.renderLevelPips(ctx);
+        
+        // Indicador de mejora de apoyo
+        if (this.isBuffed()) {
+            this.renderBuffIndicator(ctx);
+        }
+    }
+    
+    /**
+     * Renderiza una flecha verde cuando una torre de apoyo mejora esta torre
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderBuffIndicator(ctx) {
+        const x = this.size / 2 - 4;
+        const y = -this.size / 2 + 4;
+        
+        ctx.fillStyle = '#66BB6A';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, y - 5);
+        ctx.lineTo(x + 5, y + 3);
+        ctx.lineTo(x - 5, y + 3);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+    
+    /**
+     * Renderiza un punto por cada nivel de mejora adquirido
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderLevelPips(ctx) {
+        if (this.level <= 1) return;
+        
+        const pipRadius = 3;
+        const spacing = 8;
+        const startX = -((this.level - 2) * spacing) / 2;
+        const pipY = this.size / 2 - 6;
+        
+        ctx.fillStyle = '#FFD700';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        
+        for (let i = 0; i < this.level - 1; i++) {
+            ctx.beginPath();
+            ctx.arc(startX + i * spacing, pipY, pipRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
     }
     
     /**
@@ -418,6 +622,25 @@ class Tower {
         }
     }
     
+    /**
+     * Renderiza el emisor de las torres láser
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderEmitter(ctx) {
+        const emitterLength = this.size * 0.7;
+        const emitterWidth = this.size * 0.12;
+        
+        // Tubo del emisor
+        ctx.fillStyle = '#424242';
+        ctx.fillRect(0, -emitterWidth / 2, emitterLength, emitterWidth);
+        
+        // Lente (brilla mientras el rayo está activo)
+        ctx.fillStyle = this.beamActive ? this.config.beamColor : '#9E9E9E';
+        ctx.beginPath();
+        ctx.arc(emitterLength, 0, emitterWidth, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
     /**
      * Renderiza efectos especiales según el tipo de torre
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
@@ -454,6 +677,59 @@ class Tower {
                 }
                 break;
                 
+            case 'FROST':
+                // Cristales de hielo al disparar
+                if (this.muzzleFlash > 0) {
+                    ctx.strokeStyle = 'rgba(179, 229, 252, 0.8)';
+                    ctx.lineWidth = 2;
+                    ctx.globalAlpha = this.muzzleFlash / 100;
+                    for (let i = 0; i < 6; i++) {
+                        const angle = (i * Math.PI) / 3;
+                        ctx.beginPath();
+                        ctx.moveTo(Math.cos(angle) * this.size / 4, Math.sin(angle) * this.size / 4);
+                        ctx.lineTo(Math.cos(angle) * this.size / 2, Math.sin(angle) * this.size / 2);
+                        ctx.stroke();
+                    }
+                }
+                break;
+                
+            case 'LASER':
+                // Rayo continuo hasta el objetivo (la torre ya apunta en su dirección)
+                if (this.beamActive && this.target) {
+                    const beamLength = distance(
+                        this.position.x, this.position.y,
+                        this.target.position.x, this.target.position.y
+                    );
+                    
+                    ctx.strokeStyle = this.config.beamColor;
+                    ctx.shadowColor = this.config.beamColor;
+                    ctx.shadowBlur = 8;
+                    ctx.lineWidth = 3;
+                    ctx.beginPath();
+                    ctx.moveTo(this.size * 0.7, 0);
+                    ctx.lineTo(beamLength, 0);
+                    ctx.stroke();
+                    
+                    // Núcleo blanco del rayo
+                    ctx.strokeStyle = '#FFFFFF';
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+                }
+                break;
+                
+            case 'SUPPORT':
+                // Anillos del aura, pulsando con el tiempo activo
+                ctx.strokeStyle = 'rgba(102, 187, 106, 0.6)';
+                ctx.lineWidth = 2;
+                for (let i = 0; i < 2; i++) {
+                    const pulse = ((this.stats.timeActive / 1000 + i / 2) % 1);
+                    ctx.globalAlpha = 1 - pulse;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, this.size / 2 + pulse * GAME_CONFIG.GRID_SIZE / 2, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+                break;
+                
             case 'BASIC':
             default:
                 // Sin efectos especiales para torre básica
@@ -466,21 +742,36 @@ class Tower {
     /**
      * Renderiza información de la torre cuando está seleccionada
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {number|null} upgradeCost - Precio final de la mejora (con descuentos de EconomyManager)
      */
-    renderInfo(ctx) {
+    renderInfo(ctx, upgradeCost = this.getUpgradeCost()) {
         const infoX = this.position.x + this.size / 2 + 10;
         const infoY = this.position.y - this.size / 2;
         
+        const info = [
+            `Tipo: ${this.config.name}`,
+            `Nivel: ${this.level}/${this.maxLevel}`,
+            ...this.getInfoLines(),
+            this.canUpgrade() ? `Mejora: $${upgradeCost}` : 'Mejora: Máx.'
+        ];
+        
+        // Las torres de apoyo no eligen objetivo
+        if (this.attackType !== 'aura') {
+            info.splice(info.length - 1, 0, `Objetivo: ${TARGETING_STRATEGIES[this.targetingMode].name}${this.keepTarget ? '' : ' (reevalúa)'}`);
+        }
+        
+        const height = 7 + info.length * 11;
+        
         ctx.save();
         
         // Fondo de información
         ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        ctx.fillRect(infoX, infoY, 120, 80);
+        ctx.fillRect(infoX, infoY, 120, height);
         
         // Borde
         ctx.strokeStyle = '#FFFFFF';
         ctx.lineWidth = 1;
-        ctx.strokeRect(infoX, infoY, 120, 80);
+        ctx.strokeRect(infoX, infoY, 120, height);
         
         // Texto de información
         ctx.fillStyle = '#FFFFFF';
@@ -488,16 +779,6 @@ class Tower {
         ctx.textAlign = 'left';
         ctx.textBaseline = 'top';
         
-        const info = [
-            `Tipo: ${this.config.name}`,
-            `Daño: ${this.damage}`,
-            `Rango: ${this.range}`,
-            `Cadencia: ${this.fireRate}/s`,
-            `Eliminados: ${this.stats.enemiesKilled}`,
-            `Disparos: ${this.stats.shotsFired}`,
-            `Precisión: ${this.getAccuracy()}%`
-        ];
-        
         info.forEach((line, index) => {
             ctx.fillText(line, infoX + 5, infoY + 5 + index * 11);
         });
@@ -505,6 +786,123 @@ class Tower {
         ctx.restore();
     }
     
+    /**
+     * Obtiene las líneas de estadísticas del panel de información según el tipo de ataque
+     * @returns {Array} Líneas de texto
+     */
+    getInfoLines() {
+        const damageLine = `Daño total: ${Math.round(this.stats.totalDamageDealt)}`;
+        const damageTypeName = DAMAGE_TYPES[this.damageType].name;
+        
+        switch (this.attackType) {
+            case 'beam':
+                return [
+                    `Daño/s: ${this.damage} (${damageTypeName})`,
+                    `Rango: ${this.range}`,
+                    `Eliminados: ${this.stats.enemiesKilled}`,
+                    damageLine
+                ];
+                
+            case 'aura': {
+                const aura = this.getAuraBuffs();
+                return [
+                    `Rango vecinas: +${Math.round(aura.range * 100)}%`,
+                    `Cadencia vecinas: +${Math.round(aura.fireRate * 100)}%`
+                ];
+            }
+                
+            default:
+                return [
+                    `Daño: ${this.damage} (${damageTypeName})`,
+                    `Rango: ${this.range}`,
+                    `Cadencia: ${this.fireRate}/s`,
+                    `Eliminados: ${this.stats.enemiesKilled}`,
+                    damageLine,
+                    `Disparos: ${this.stats.shotsFired}`,
+                    `Precisión: ${this.getAccuracy()}%`
+                ];
+        }
+    }
+    
+    /**
+     * Calcula las estadísticas de combate para un nivel dado
+     * @param {number} level - Nivel de la torre (1 = sin mejoras)
+     * @returns {Object} Objeto con damage, range, fireRate, splashRadius, effects y aura
+     *                   (multiplicador de la mejora de apoyo)
+     */
+    getStatsForLevel(level) {
+        const upgrade = this.upgrades[level - 2];
+        const multipliers = upgrade ? upgrade.multipliers : {};
+        
+        return {
+            damage: Math.round(this.config.damage * (multipliers.damage || 1)),
+            range: Math.round(this.config.range * (multipliers.range || 1)),
+            fireRate: Math.round(this.config.fireRate * (multipliers.fireRate || 1) * 100) / 100,
+            splashRadius: Math.round(this.config.splashRadius * (multipliers.splashRadius || 1)),
+            effects: (this.config.effects || []).map(effect => ({
+                ...effect,
+                magnitude: Math.round((effect.magnitude || 0) * (multipliers.effects || 1) * 1000) / 1000
+            })),
+            aura: multipliers.aura || 1
+        };
+    }
+    
+    /**
+     * Aplica las estadísticas correspondientes al nivel actual y las mejoras de apoyo
+     */
+    applyLevelStats() {
+        const levelStats = this.getStatsForLevel(this.level);
+        
+        this.damage = levelStats.damage;
+        this.range = Math.round(levelStats.range * (1 + this.buffs.range));
+        this.fireRate = Math.round(levelStats.fireRate * (1 + this.buffs.fireRate) * 100) / 100;
+        this.splashRadius = levelStats.splashRadius;
+        this.effects = levelStats.effects;
+        this.shotCooldown = 1000 / this.fireRate;
+    }
+    
+    /**
+     * Verifica si la torre puede mejorarse
+     * @returns {boolean} True si quedan niveles de mejora
+     */
+    canUpgrade() {
+        return this.level < this.maxLevel;
+    }
+    
+    /**
+     * Obtiene el costo base de la siguiente mejora
+     * @returns {number|null} Costo de la mejora o null si está al máximo
+     */
+    getUpgradeCost() {
+        if (!this.canUpgrade()) return null;
+        return this.upgrades[this.level - 1].cost;
+    }
+    
+    /**
+     * Sube la torre al siguiente nivel. El cobro se realiza en EconomyManager
+     * @param {number} amountPaid - Cantidad pagada por la mejora
+     * @returns {boolean} True si se aplicó la mejora
+     */
+    upgrade(amountPaid = this.getUpgradeCost()) {
+        if (!this.canUpgrade()) return false;
+        
+        this.level++;
+        this.totalInvested += amountPaid;
+        this.applyLevelStats();
+        
+        console.log(`Torre ${this.id} mejorada a nivel ${this.level}`);
+        return true;
+    }
+    
+    /**
+     * Calcula el reembolso al vender la torre
+     * @param {number} refundRate - Porcentaje de reembolso (0-1)
+     * @returns {number} Dinero devuelto por la venta
+     */
+    getSellValue(refundRate = GAME_CONFIG.SELL_REFUND_RATE) {
+        return Math.floor(this.totalInvested * clamp(refundRate, 0, 1));
+    }
+    
     /**
      * Calcula la precisión de la torre
      * @returns {number} Precisión como porcentaje
@@ -522,12 +920,25 @@ class Tower {
     }
     
     /**
-     * Registra la eliminación de un enemigo
-     * @param {number} damageDealt - Daño total infligido
+     * Registra el daño de uno de sus proyectiles o de los efectos que aplicó
+     * @param {Object} result - Resultado de Enemy.applyDamage
+     * @param {string} kind - 'direct' (impacto), 'splash' (área) o 'effect' (daño periódico)
+     */
+    registerDamage(result, kind = 'direct') {
+        this.stats.totalDamageDealt += result.dealt;
+        this.stats.overkillDamage += result.overkill;
+        this.stats[`${kind}Damage`] += result.dealt;
+        
+        if (result.killed) {
+            this.registerKill();
+        }
+    }
+    
+    /**
+     * Registra la eliminación de un enemigo (golpe final de esta torre)
      */
-    registerKill(damageDealt) {
+    registerKill() {
         this.stats.enemiesKilled++;
-        this.stats.totalDamageDealt += damageDealt;
     }
     
     /**
@@ -541,14 +952,28 @@ class Tower {
     
     /**
      * Cambia el modo de targeting de la torre
-     * @param {string} mode - Nuevo modo de targeting
+     * @param {string} mode - Nuevo modo de targeting (o un alias antiguo como 'closest_to_end')
+     * @returns {boolean} True si el modo existe
      */
     setTargetingMode(mode) {
-        const validModes = ['closest_to_end', 'closest_to_tower', 'strongest', 'weakest'];
-        if (validModes.includes(mode)) {
-            this.targetingMode = mode;
-            console.log(`Torre ${this.id} cambió modo de targeting a: ${mode}`);
+        const resolved = resolveTargetingMode(mode);
+        if (!resolved) {
+            console.warn(`Modo de targeting desconocido: ${mode}`);
+            return false;
         }
+        
+        this.targetingMode = resolved;
+        console.log(`Torre ${this.id} cambió modo de targeting a: ${resolved}`);
+        return true;
+    }
+    
+    /**
+     * Define si la torre mantiene su objetivo mientras siga en rango o lo reevalúa en cada disparo
+     * @param {boolean} keepTarget - True para mantener el objetivo
+     */
+    setKeepTarget(keepTarget) {
+        this.keepTarget = Boolean(keepTarget);
+        console.log(`Torre ${this.id} ${this.keepTarget ? 'mantiene' : 'reevalúa'} su objetivo`);
     }
     
     /**
@@ -595,11 +1020,56 @@ class Tower {
             gridPosition: `(${this.gridPosition.gridX}, ${this.gridPosition.gridY})`,
             target: this.target ? this.target.id : 'none',
             targetingMode: this.targetingMode,
+            keepTarget: this.keepTarget,
+            level: this.level,
+            totalInvested: this.totalInvested,
+            sellValue: this.getSellValue(),
             canShoot: this.canShoot(),
             stats: this.stats
         };
     }
     
+    /**
+     * Exporta el estado de la torre para guardado
+     * @returns {Object} Datos serializables de la torre
+     */
+    exportData() {
+        return {
+            id: this.id,
+            type: this.type,
+            gridX: this.gridPosition.gridX,
+            gridY: this.gridPosition.gridY,
+            level: this.level,
+            totalInvested: this.totalInvested,
+            targetingMode: this.targetingMode,
+            keepTarget: this.keepTarget,
+            targetId: this.target ? this.target.id : null,
+            // -Infinity no sobrevive a JSON; null indica que nunca ha disparado
+            lastShotTime: Number.isFinite(this.lastShotTime) ? this.lastShotTime : null,
+            rotationAngle: this.rotationAngle,
+            stats: { ...this.stats }
+        };
+    }
+    
+    /**
+     * Importa el estado de la torre desde un guardado
+     * @param {Object} data - Datos exportados con exportData()
+     */
+    importData(data) {
+        if (data.id) this.id = data.id;
+        if (data.level) {
+            this.level = clamp(data.level, 1, this.maxLevel);
+            this.applyLevelStats();
+        }
+        if (data.totalInvested !== undefined) this.totalInvested = data.totalInvested;
+        if (data.targetingMode) this.setTargetingMode(data.targetingMode);
+        if (data.keepTarget !== undefined) this.keepTarget = data.keepTarget;
+        this.lastShotTime = data.lastShotTime === null || data.lastShotTime === undefined ?
+                            -Infinity : data.lastShotTime;
+        if (data.rotationAngle !== undefined) this.rotationAngle = data.rotationAngle;
+        if (data.stats) this.stats = { ...this.stats, ...data.stats };
+    }
+    
     /**
      * Desactiva la torre
      */
@@ -7,15 +7,26 @@ class Game {
     /**
      * Constructor de la clase Game
      * @param {HTMLCanvasElement} canvas - Canvas del juego
+     * @param {GameClock} clock - Reloj de simulación (por defecto el global)
      */
-    constructor(canvas) {
+    constructor(canvas, clock = gameClock) {
         // Referencias del canvas
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         
+        // Reloj de simulación: solo avanza en update() mientras se juega
+        this.clock = clock;
+        
         // Estado del juego
         this.gameState = GAME_STATES.PLAYING;
-        this.isPaused = false;
+        this.paused = false;
+        this.speed = 1; // Multiplicador de velocidad de la simulación (GAME_CONFIG.SPEED_OPTIONS)
+        this.accumulator = 0; // Tiempo real pendiente de simular (menos de un paso entre frames)
+        this.interpolationAlpha = 1; // Fracción del siguiente paso ya transcurrida, para interpolar el render
+        this.seed = null; // Semilla del generador aleatorio de la partida actual
+        this.mode = GAME_MODES.NORMAL; // Normal (termina con las oleadas del nivel) o infinito
+        this.bestWave = 0; // Oleada más alta alcanzada en modo infinito en el nivel actual
+        this.newRecord = false; // Si esta partida ya superó la marca anterior
         this.gameStartTime = 0;
         this.lastUpdateTime = 0;
         
@@ -24,15 +35,25 @@ class Game {
         this.towers = [];
         this.projectiles = [];
         
+        // Índice espacial de los enemigos vivos, reconstruido en cada paso tras moverlos
+        this.enemyIndex = new SpatialHash(GAME_CONFIG.GRID_SIZE);
+        
+        // Nivel actual (mapa, caminos, oleadas y economía inicial)
+        this.levelLoader = new LevelLoader();
+        this.level = this.levelLoader.createDefaultLevel();
+        
         // Sistemas del juego
         this.map = null;
         this.waveManager = null;
         this.economyManager = null;
+        this.saveManager = null;
         this.uiManager = null;
+        this.editor = null;
         
         // Estado del jugador
         this.lives = GAME_CONFIG.STARTING_LIVES;
         this.selectedTowerType = null;
+        this.selectedTower = null;
         this.mousePosition = { x: 0, y: 0 };
         this.showingTowerPreview = false;
         
@@ -51,6 +72,7 @@ class Game {
             enemiesSpawned: 0,
             enemiesKilled: 0,
             towersBuilt: 0,
+            towersSold: 0,
             projectilesFired: 0,
             moneyEarned: 0,
             moneySpent: 0,
@@ -63,13 +85,17 @@ class Game {
         this.showFPS = false;
         this.showEntityCount = false;
         
+        // Capas de render en orden de dibujo (las del mapa salen de sus cachés fuera de pantalla)
+        this.renderLayers = this.createRenderLayers();
+        
         console.log('Game inicializado');
     }
     
     /**
      * Inicializa todos los sistemas del juego
+     * @param {number|string|null} seed - Semilla de la partida (aleatoria si es null)
      */
-    init() {
+    init(seed = null) {
         try {
             // Inicializar sistemas
             this.initializeSystems();
@@ -78,7 +104,7 @@ class Game {
             this.setupCallbacks();
             
             // Configurar estado inicial
-            this.setupInitialState();
+            this.setupInitialState(seed);
             
             console.log('Juego inicializado correctamente');
             
@@ -92,17 +118,101 @@ class Game {
      * Inicializa todos los sistemas del juego
      */
     initializeSystems() {
-        // Inicializar mapa
-        this.map = new Map();
+        // Inicializar mapa, oleadas y economía desde el nivel actual
+        this.applyLevel(this.level);
         
         // Inicializar gestores
-        this.waveManager = new WaveManager();
-        this.economyManager = new EconomyManager();
+        this.saveManager = new SaveManager();
         this.uiManager = new UIManager(this);
+        this.uiManager.updateTowerAvailability(this.level.towerTypes);
+        this.editor = new LevelEditor(this);
         
         console.log('Sistemas inicializados');
     }
     
+    /**
+     * Construye el mapa, el WaveManager y el EconomyManager de un nivel
+     * @param {Object} level - Datos del nivel (ver LevelLoader)
+     */
+    applyLevel(level) {
+        const systems = this.levelLoader.build(level, this.clock);
+        
+        this.level = systems.level;
+        this.map = systems.map;
+        this.waveManager = systems.waveManager;
+        this.economyManager = systems.economyManager;
+    }
+    
+    /**
+     * Carga un nivel y empieza una partida nueva en él
+     * @param {Object} level - Datos del nivel (ver LevelLoader)
+     * @returns {boolean} True si el nivel se cargó correctamente
+     */
+    loadLevel(level) {
+        this.closeEditor();
+        
+        try {
+            this.applyLevel(level);
+        } catch (error) {
+            console.error('Error al cargar el nivel:', error);
+            this.uiManager.showNotification(error.message, 'error');
+            return false;
+        }
+        
+        this.setupCallbacks();
+        this.uiManager.reset();
+        this.uiManager.updateTowerAvailability(this.level.towerTypes);
+        this.setupInitialState();
+        
+        this.uiManager.showNotification(`Nivel cargado: ${this.level.name}`, 'success');
+        return true;
+    }
+    
+    /**
+     * Verifica si el editor de niveles está activo
+     * @returns {boolean} True si se está editando
+     */
+    isEditing() {
+        return this.editor !== null && this.editor.active;
+    }
+    
+    /**
+     * Abre el editor de niveles sobre el nivel actual
+     */
+    openEditor() {
+        if (this.isEditing()) return;
+        
+        this.selectTowerType(null);
+        this.towers.forEach(tower => tower.setSelected(false));
+        this.selectedTower = null;
+        this.editor.open();
+        this.uiManager.showEditorPanel(true);
+        this.uiManager.updateEditorPanel(this.editor.getState());
+    }
+    
+    /**
+     * Cierra el editor de niveles
+     * @param {boolean} applyLevel - Si es true, empieza una partida con el nivel editado
+     * @returns {boolean} True si el editor se cerró
+     */
+    closeEditor(applyLevel = false) {
+        if (!this.isEditing()) return false;
+        
+        const exported = this.editor.exportLevel();
+        if (applyLevel && !exported.valid) {
+            this.uiManager.showNotification(`Nivel inválido: ${exported.errors[0]}`, 'error');
+            return false;
+        }
+        
+        this.editor.close();
+        this.uiManager.showEditorPanel(false);
+        
+        if (applyLevel) {
+            return this.loadLevel(exported.level);
+        }
+        return true;
+    }
+    
     /**
      * Configura los callbacks entre sistemas
      */
@@ -126,21 +236,33 @@ class Game {
     
     /**
      * Configura el estado inicial del juego
+     * @param {number|string|null} seed - Semilla de la partida (aleatoria si es null)
      */
-    setupInitialState() {
+    setupInitialState(seed = null) {
+        // Sembrar el generador aleatorio para que la partida sea reproducible
+        this.applySeed(seed === null ? SeededRandom.createSeed() : seed);
+        
         // Resetear estadísticas
         this.stats.gameStartTime = Date.now();
         this.gameStartTime = Date.now();
         
         // Estado inicial
         this.gameState = GAME_STATES.PLAYING;
-        this.isPaused = false;
-        this.lives = GAME_CONFIG.STARTING_LIVES;
+        this.paused = false;
+        this.clock.reset();
+        this.accumulator = 0;
+        this.interpolationAlpha = 1;
+        this.lives = this.level.startingLives;
+        
+        // Modo de juego: en infinito el WaveManager genera oleadas tras las del nivel
+        this.waveManager.setEndlessMode(this.isEndless());
+        this.bestWave = this.saveManager.getHighestWave(this.level.id);
+        this.newRecord = false;
         
         // Limpiar entidades
-        this.enemies = [];
+        this.clearEntities();
         this.towers = [];
-        this.projectiles = [];
+        this.selectedTower = null;
         
         console.log('Estado inicial configurado');
     }
@@ -150,11 +272,58 @@ class Game {
      * @param {number} deltaTime - Tiempo transcurrido desde la última actualización en ms
      */
     update(deltaTime) {
-        // No actualizar si está pausado
-        if (this.isPaused || this.gameState === GAME_STATES.GAME_OVER) {
+        // La simulación queda congelada mientras se edita el nivel
+        if (this.isEditing()) {
+            this.uiManager.updateEditorPanel(this.editor.getState());
+            return;
+        }
+        
+        if (this.gameState === GAME_STATES.GAME_OVER) {
             return;
         }
         
+        // En pausa la simulación no avanza, pero la interfaz sigue respondiendo (selección, paso a paso)
+        if (this.paused) {
+            this.uiManager.update(this.getGameState());
+            return;
+        }
+        
+        // Limitar el paso para que un frame largo (pestaña en segundo plano) no haga saltar la simulación
+        deltaTime = Math.min(deltaTime, GAME_CONFIG.MAX_FRAME_DELTA);
+        
+        // La simulación avanza siempre en pasos fijos: el resultado no depende de la tasa de refresco
+        // y los proyectiles rápidos no atraviesan a los enemigos entre dos comprobaciones de colisión.
+        // A más velocidad se acumula más tiempo por frame y se ejecutan más pasos
+        const step = GAME_CONFIG.FIXED_TIMESTEP;
+        this.accumulator += deltaTime * this.speed;
+        
+        while (this.accumulator >= step && this.gameState !== GAME_STATES.GAME_OVER) {
+            this.simulateStep(step);
+            this.accumulator -= step;
+        }
+        
+        // El tiempo sobrante se dibuja interpolando entre el paso anterior y el actual
+        this.interpolationAlpha = this.accumulator / step;
+        
+        // Actualizar UIManager una vez por frame
+        this.uiManager.update(this.getGameState());
+        
+        // Actualizar contador de FPS
+        this.updateFPSCounter();
+    }
+    
+    /**
+     * Avanza la simulación un paso
+     * @param {number} deltaTime - Tiempo simulado del paso en ms
+     */
+    simulateStep(deltaTime) {
+        // Guardar las posiciones de partida para interpolar el render
+        this.enemies.forEach(enemy => enemy.storePreviousPosition());
+        this.projectiles.forEach(projectile => projectile.storePreviousPosition());
+        
+        // Avanzar el reloj de simulación
+        this.clock.advance(deltaTime);
+        
         // Actualizar estadísticas de tiempo
         this.updateTimeStats(deltaTime);
         
@@ -172,9 +341,52 @@ class Game {
         
         // Verificar condiciones de juego
         this.checkGameConditions();
+    }
+    
+    /**
+     * Avanza un único paso de simulación con el juego en pausa (para depurar)
+     * @returns {boolean} True si se avanzó
+     */
+    stepFrame() {
+        if (!this.paused || this.isEditing() || this.gameState === GAME_STATES.GAME_OVER) {
+            return false;
+        }
         
-        // Actualizar contador de FPS
-        this.updateFPSCounter();
+        this.simulateStep(GAME_CONFIG.FIXED_TIMESTEP);
+        this.uiManager.update(this.getGameState());
+        
+        // Mostrar el estado exacto tras el paso, sin interpolar
+        this.interpolationAlpha = 1;
+        
+        console.log(`Paso de simulación: t=${Math.round(this.clock.now())}ms`);
+        return true;
+    }
+    
+    /**
+     * Cambia la velocidad de la simulación
+     * @param {number} speed - Multiplicador de GAME_CONFIG.SPEED_OPTIONS
+     * @returns {boolean} True si la velocidad es válida
+     */
+    setSpeed(speed) {
+        if (!GAME_CONFIG.SPEED_OPTIONS.includes(speed)) {
+            console.warn(`Velocidad no válida: ${speed}`);
+            return false;
+        }
+        
+        this.speed = speed;
+        console.log(`Velocidad de simulación: ${speed}x`);
+        return true;
+    }
+    
+    /**
+     * Pasa a la siguiente velocidad disponible (vuelve a 1x tras la más alta)
+     * @returns {number} Nueva velocidad
+     */
+    cycleSpeed() {
+        const options = GAME_CONFIG.SPEED_OPTIONS;
+        const index = options.indexOf(this.speed);
+        this.setSpeed(options[(index + 1) % options.length]);
+        return this.speed;
     }
     
     /**
@@ -196,9 +408,6 @@ class Game {
         // Actualizar EconomyManager
         this.economyManager.update(deltaTime);
         
-        // Actualizar UIManager
-        this.uiManager.update(this.getGameState());
-        
         // Actualizar sistema de partículas
         if (typeof particleSystem !== 'undefined') {
             particleSystem.update(deltaTime);
@@ -212,34 +421,47 @@ class Game {
     updateEntities(deltaTime) {
         // Actualizar enemigos
         this.enemies.forEach(enemy => {
-            enemy.update(deltaTime);
+            enemy.update(deltaTime, this.enemies);
             
-            // Verificar si llegó al final
-            if (enemy.hasReachedEnd() && enemy.isAlive()) {
+            // Verificar si llegó al final (checkEndReached ya lo marca como no vivo)
+            if (enemy.hasReachedEnd() && !enemy.isMarkedForRemoval()) {
                 this.handleEnemyReachedEnd(enemy);
             }
         });
         
+        // Indexar las posiciones nuevas para que torres y proyectiles solo miren a los enemigos cercanos
+        this.enemyIndex.rebuild(this.enemies, enemy => enemy.isAlive());
+        
         // Actualizar torres
         this.towers.forEach(tower => {
-            tower.update(this.enemies, deltaTime);
+            const nearby = this.getEnemiesInRadius(tower.position.x, tower.position.y, tower.range);
+            const projectile = tower.update(nearby, deltaTime);
             
             // Procesar disparos
-            if (tower.canShoot() && tower.target) {
-                const projectile = tower.shoot();
-                if (projectile) {
-                    this.projectiles.push(projectile);
-                    this.stats.projectilesFired++;
-                }
+            if (projectile) {
+                this.projectiles.push(projectile);
+                this.stats.projectilesFired++;
             }
         });
         
-        // Actualizar proyectiles
+        // Actualizar proyectiles (el radio cubre su avance, su tamaño, el área y el enemigo más grande)
         this.projectiles.forEach(projectile => {
-            projectile.update(deltaTime, this.enemies);
+            const reach = projectile.getQueryRadius(deltaTime) + this.enemyIndex.maxRadius;
+            projectile.update(deltaTime, this.getEnemiesInRadius(projectile.position.x, projectile.position.y, reach));
         });
     }
     
+    /**
+     * Obtiene los enemigos vivos cuyo centro está dentro de un radio, según el índice espacial del paso actual
+     * @param {number} x - Coordenada X del centro
+     * @param {number} y - Coordenada Y del centro
+     * @param {number} radius - Radio en píxeles
+     * @returns {Array} Enemigos en el radio, en el mismo orden que this.enemies
+     */
+    getEnemiesInRadius(x, y, radius) {
+        return this.enemyIndex.queryRadius(x, y, radius);
+    }
+    
     /**
      * Procesa las interacciones entre entidades
      */
@@ -262,26 +484,74 @@ class Game {
      * Limpia las entidades que deben ser removidas
      */
     cleanupEntities() {
+        // Enemigos nuevos: esbirros invocados por los jefes y los que sueltan los divisores al morir
+        const newEnemies = [];
+        const removedEnemies = [];
+        
         // Limpiar enemigos muertos o que llegaron al final
         this.enemies = this.enemies.filter(enemy => {
+            newEnemies.push(...enemy.takePendingSpawns());
+            
             if (!enemy.isAlive() && !enemy.hasReachedEnd()) {
                 // Enemigo eliminado por torres
                 if (!enemy.rewardProcessed) {
                     this.handleEnemyKilled(enemy);
                     enemy.rewardProcessed = true;
+                    newEnemies.push(...enemy.createSplitChildren());
                 }
+                removedEnemies.push(enemy);
                 return false;
             }
             if (enemy.hasReachedEnd()) {
+                removedEnemies.push(enemy);
                 return false;
             }
             return true;
         });
         
+        // Se añaden tras el filtrado para que la oleada no se dé por completada sin ellos
+        newEnemies.forEach(enemy => this.handleEnemySpawn(enemy));
+        
         // Limpiar proyectiles inactivos
         this.projectiles = this.projectiles.filter(projectile => {
-            return projectile.isActive() && !projectile.isMarkedForRemoval();
+            if (projectile.isActive() && !projectile.isMarkedForRemoval()) return true;
+            
+            projectilePool.release(projectile);
+            return false;
+        });
+        
+        this.releaseEnemies(removedEnemies);
+    }
+    
+    /**
+     * Devuelve enemigos al pool tras soltar las referencias que torres y proyectiles tienen a ellos
+     * (un enemigo reutilizado vuelve a estar vivo y no debe heredar los disparos del anterior)
+     * @param {Array} enemies - Enemigos que ya no están en la partida
+     */
+    releaseEnemies(enemies) {
+        if (enemies.length === 0) return;
+        
+        const released = new Set(enemies);
+        this.towers.forEach(tower => {
+            if (released.has(tower.target)) tower.target = null;
         });
+        this.projectiles.forEach(projectile => {
+            if (released.has(projectile.target)) projectile.target = null;
+        });
+        
+        enemyPool.releaseAll(enemies);
+    }
+    
+    /**
+     * Saca de la partida todos los enemigos y proyectiles devolviéndolos a sus pools
+     */
+    clearEntities() {
+        projectilePool.releaseAll(this.projectiles);
+        this.projectiles = [];
+        
+        this.releaseEnemies(this.enemies);
+        this.enemies = [];
+        this.enemyIndex.clear();
     }
     
     /**
@@ -290,7 +560,10 @@ class Game {
     checkGameConditions() {
         // Verificar Game Over
         if (this.lives <= 0) {
-            this.triggerGameOver(false, 'Te quedaste sin vidas');
+            const message = this.isEndless() ?
+                `Te quedaste sin vidas en la oleada ${this.waveManager.currentWave} (récord: ${this.bestWave})` :
+                'Te quedaste sin vidas';
+            this.triggerGameOver(false, message);
             return;
         }
         
@@ -323,26 +596,75 @@ class Game {
         // Limpiar canvas
         this.clearCanvas();
         
-        // Renderizar mapa
-        this.map.render(this.ctx, true);
+        // En modo editor solo se dibuja el nivel en edición
+        if (this.isEditing()) {
+            this.editor.render(this.ctx);
+            return;
+        }
+        
+        // Componer las capas de abajo arriba
+        this.renderLayers.forEach(layer => {
+            if (layer.visible) {
+                layer.render(this.ctx);
+            }
+        });
+    }
+    
+    /**
+     * Crea las capas de render en orden de dibujo
+     * Las estáticas (terreno, camino y grid) se pre-renderizan en el Map y solo se redibujan
+     * cuando el mapa cambia; las dinámicas se dibujan cada frame encima
+     * @returns {Array} Capas { name, static, visible, render(ctx) }
+     */
+    createRenderLayers() {
+        const layers = [
+            { name: 'terrain', static: true, render: ctx => this.map.renderLayer(ctx, 'terrain') },
+            { name: 'path', static: true, render: ctx => this.map.renderLayer(ctx, 'path') },
+            { name: 'grid', static: true, render: ctx => this.map.renderLayer(ctx, 'grid') },
+            { name: 'placement', render: ctx => this.renderPlacementPreview(ctx) },
+            // Torres primero para que queden debajo
+            { name: 'towers', render: ctx => this.towers.forEach(tower => tower.render(ctx, this.getTowerUpgradeCost(tower))) },
+            // Proyectiles y enemigos interpolados entre los dos últimos pasos de simulación
+            { name: 'projectiles', render: ctx => this.projectiles.forEach(projectile => projectile.render(ctx, this.interpolationAlpha)) },
+            { name: 'enemies', render: ctx => this.enemies.forEach(enemy => enemy.render(ctx, this.interpolationAlpha)) },
+            { name: 'particles', render: ctx => typeof particleSystem !== 'undefined' && particleSystem.render(ctx) },
+            // Información de debug encima de todo
+            { name: 'overlay', render: () => { if (this.debugMode) this.renderDebugInfo(); } }
+        ];
+        
+        return layers.map(layer => ({ static: false, visible: true, ...layer }));
+    }
+    
+    /**
+     * Muestra u oculta una capa de render
+     * @param {string} name - Nombre de la capa
+     * @param {boolean} visible - Si se dibuja
+     * @returns {boolean} True si la capa existe
+     */
+    setLayerVisible(name, visible) {
+        const layer = this.renderLayers.find(layer => layer.name === name);
+        if (!layer) {
+            console.warn(`Capa de render desconocida: ${name}`);
+            return false;
+        }
         
-        // Renderizar preview de torre si corresponde
+        layer.visible = visible;
+        return true;
+    }
+    
+    /**
+     * Renderiza la previsualización de la torre seleccionada bajo el cursor
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderPlacementPreview(ctx) {
         if (this.selectedTowerType && this.showingTowerPreview) {
             this.map.renderPlacementPreview(
-                this.ctx,
+                ctx,
                 this.mousePosition.x,
                 this.mousePosition.y,
                 this.selectedTowerType
             );
         }
-        
-        // Renderizar entidades
-        this.renderEntities();
-        
-        // Renderizar información de debug si está habilitada
-        if (this.debugMode) {
-            this.renderDebugInfo();
-        }
     }
     
     /**
@@ -352,25 +674,6 @@ class Game {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
     
-    /**
-     * Renderiza todas las entidades del juego
-     */
-    renderEntities() {
-        // Renderizar torres (primero para que estén debajo)
-        this.towers.forEach(tower => tower.render(this.ctx));
-        
-        // Renderizar proyectiles
-        this.projectiles.forEach(projectile => projectile.render(this.ctx));
-        
-        // Renderizar enemigos (último para que estén encima)
-        this.enemies.forEach(enemy => enemy.render(this.ctx));
-        
-        // Renderizar partículas (encima de todo)
-        if (typeof particleSystem !== 'undefined') {
-            particleSystem.render(this.ctx);
-        }
-    }
-    
     /**
      * Renderiza información de debug
      */
@@ -406,6 +709,8 @@ class Game {
         this.ctx.fillText(`Vidas: ${this.lives}`, 10, y);
         y += lineHeight;
         this.ctx.fillText(`Dinero: ${this.economyManager.getFormattedMoney()}`, 10, y);
+        y += lineHeight;
+        this.ctx.fillText(`Semilla: ${this.seed}`, 10, y);
         
         this.ctx.restore();
     }
@@ -416,7 +721,8 @@ class Game {
      * @param {number} y - Coordenada Y del clic
      */
     handleClick(x, y) {
-        if (this.gameState === GAME_STATES.GAME_OVER || this.isPaused) {
+        // El editor recibe el puntero por separado (pointerDown / pointerUp)
+        if (this.isEditing() || this.gameState === GAME_STATES.GAME_OVER || this.paused) {
             return;
         }
         
@@ -451,11 +757,15 @@ class Game {
         
         // Crear y colocar la torre
         const pixelPos = this.map.gridToPixel(gridPos.gridX, gridPos.gridY);
-        const tower = new Tower(this.selectedTowerType, pixelPos.pixelX, pixelPos.pixelY);
+        const tower = new Tower(this.selectedTowerType, pixelPos.pixelX, pixelPos.pixelY, this.clock);
+        tower.totalInvested = this.economyManager.getFinalCost(tower.getCost());
         
         this.towers.push(tower);
         this.map.occupyCell(gridPos.gridX, gridPos.gridY, this.selectedTowerType);
         
+        // La torre nueva puede dar o recibir mejoras de apoyo
+        this.updateSupportBuffs();
+        
         // Actualizar estadísticas
         this.stats.towersBuilt++;
         this.stats.moneySpent += TOWER_TYPES[this.selectedTowerType].cost;
@@ -474,6 +784,7 @@ class Game {
     selectTowerAt(x, y) {
         // Deseleccionar todas las torres primero
         this.towers.forEach(tower => tower.setSelected(false));
+        this.selectedTower = null;
         
         // Buscar torre en la posición
         const selectedTower = this.towers.find(tower => {
@@ -484,10 +795,285 @@ class Game {
         
         if (selectedTower) {
             selectedTower.setSelected(true);
+            this.selectedTower = selectedTower;
             console.log(`Torre ${selectedTower.type} seleccionada`);
         }
     }
     
+    /**
+     * Obtiene lo que cuesta realmente mejorar una torre (con descuentos de EconomyManager)
+     * Lo usan el cobro, el panel de la torre y la información del canvas para mostrar el mismo precio
+     * @param {Tower} tower - Torre a mejorar
+     * @returns {number|null} Precio final o null si está al nivel máximo
+     */
+    getTowerUpgradeCost(tower) {
+        return tower.canUpgrade() ? this.economyManager.getFinalCost(tower.getUpgradeCost()) : null;
+    }
+    
+    /**
+     * Mejora la torre seleccionada al siguiente nivel
+     * @returns {boolean} True si se realizó la mejora
+     */
+    upgradeSelectedTower() {
+        const tower = this.selectedTower;
+        if (!tower || this.gameState === GAME_STATES.GAME_OVER) {
+            return false;
+        }
+        
+        if (!tower.canUpgrade()) {
+            this.uiManager.showNotification('La torre ya está al nivel máximo', 'info');
+            return false;
+        }
+        
+        const finalCost = this.getTowerUpgradeCost(tower);
+        
+        // El cobro pasa por EconomyManager.spendMoney
+        if (!this.economyManager.processTowerUpgrade(tower)) {
+            return false;
+        }
+        
+        tower.upgrade(finalCost);
+        this.stats.moneySpent += finalCost;
+        this.updateSupportBuffs();
+        
+        this.uiManager.showNotification(`${tower.config.name} mejorada a nivel ${tower.level}`, 'success');
+        return true;
+    }
+    
+    /**
+     * Cambia el modo de targeting de la torre seleccionada
+     * @param {string} mode - Modo registrado en TARGETING_STRATEGIES
+     * @returns {boolean} True si se aplicó el cambio
+     */
+    setSelectedTowerTargeting(mode) {
+        const tower = this.selectedTower;
+        if (!tower || tower.attackType === 'aura') return false;
+        
+        if (!tower.setTargetingMode(mode)) return false;
+        
+        // El objetivo actual se eligió con el modo anterior
+        tower.target = null;
+        this.uiManager.showNotification(`Objetivo: ${TARGETING_STRATEGIES[tower.targetingMode].name}`, 'info');
+        return true;
+    }
+    
+    /**
+     * Define si la torre seleccionada mantiene su objetivo o lo reevalúa en cada disparo
+     * @param {boolean} keepTarget - True para mantener el objetivo
+     * @returns {boolean} True si se aplicó el cambio
+     */
+    setSelectedTowerKeepTarget(keepTarget) {
+        const tower = this.selectedTower;
+        if (!tower || tower.attackType === 'aura') return false;
+        
+        tower.setKeepTarget(keepTarget);
+        return true;
+    }
+    
+    /**
+     * Vende la torre seleccionada, reembolsa parte de lo invertido y libera su celda
+     * @returns {number} Cantidad reembolsada (0 si no se vendió nada)
+     */
+    sellSelectedTower() {
+        const tower = this.selectedTower;
+        if (!tower || this.gameState === GAME_STATES.GAME_OVER) {
+            return 0;
+        }
+        
+        const refund = this.economyManager.processTowerSale(tower);
+        const gridPos = tower.getGridPosition();
+        
+        // Liberar la celda y remover la torre
+        this.map.freeCell(gridPos.gridX, gridPos.gridY);
+        tower.deactivate();
+        this.towers = this.towers.filter(t => t !== tower);
+        this.selectedTower = null;
+        this.updateSupportBuffs();
+        
+        this.stats.towersSold++;
+        this.stats.moneyEarned += refund;
+        
+        console.log(`Torre ${tower.type} vendida por $${refund}`);
+        this.uiManager.showNotification(`${tower.config.name} vendida por ${formatMoney(refund)}`, 'info');
+        
+        return refund;
+    }
+    
+    /**
+     * Recalcula las mejoras que reciben las torres de sus vecinas de apoyo en el grid
+     */
+    updateSupportBuffs() {
+        Tower.applySupportBuffs(this.towers, this.map);
+    }
+    
+    /**
+     * Guarda la partida actual en una ranura
+     * @param {number} slot - Número de ranura
+     * @returns {boolean} True si se guardó correctamente
+     */
+    saveGame(slot) {
+        if (this.gameState === GAME_STATES.GAME_OVER) {
+            this.uiManager.showNotification('No se puede guardar una partida terminada', 'warning');
+            return false;
+        }
+        
+        const saved = this.saveManager.save(slot, this.exportData());
+        
+        if (saved) {
+            this.uiManager.showNotification(`Partida guardada en la ranura ${slot}`, 'success');
+        } else {
+            this.uiManager.showNotification(`No se pudo guardar en la ranura ${slot}`, 'error');
+        }
+        
+        return saved;
+    }
+    
+    /**
+     * Carga la partida guardada en una ranura
+     * @param {number} slot - Número de ranura
+     * @returns {boolean} True si se cargó correctamente
+     */
+    loadGame(slot) {
+        const data = this.saveManager.load(slot);
+        
+        if (!data) {
+            this.uiManager.showNotification(`La ranura ${slot} está vacía o no es válida`, 'warning');
+            return false;
+        }
+        
+        this.importData(data);
+        this.uiManager.showNotification(`Partida cargada de la ranura ${slot}`, 'success');
+        return true;
+    }
+    
+    /**
+     * Exporta una instantánea completa de la partida en curso
+     * @returns {Object} Datos serializables del juego
+     */
+    exportData() {
+        return {
+            level: this.level,
+            mode: this.mode,
+            gameState: this.gameState,
+            paused: this.paused,
+            lives: this.lives,
+            stats: { ...this.stats },
+            random: rng.exportData(),
+            clock: this.clock.exportData(),
+            towers: this.towers.map(tower => tower.exportData()),
+            enemies: this.enemies
+                .filter(enemy => enemy.isAlive() && !enemy.hasReachedEnd())
+                .map(enemy => enemy.exportData()),
+            projectiles: this.projectiles
+                .filter(projectile => projectile.isActive())
+                .map(projectile => projectile.exportData()),
+            waveManager: this.waveManager.exportData(),
+            economy: this.economyManager.exportData()
+        };
+    }
+    
+    /**
+     * Restaura una instantánea exportada con exportData()
+     * @param {Object} data - Datos del juego
+     */
+    importData(data) {
+        // Descartar la edición en curso: el guardado trae su propio nivel
+        this.closeEditor();
+        
+        // Reconstruir el nivel guardado (mapa, caminos y oleadas)
+        if (data.level) {
+            this.applyLevel(data.level);
+            this.setupCallbacks();
+            this.uiManager.updateTowerAvailability(this.level.towerTypes);
+        }
+        
+        // Limpiar el estado actual
+        this.uiManager.reset();
+        this.map.reset();
+        this.clearEntities();
+        this.towers = [];
+        this.selectedTower = null;
+        this.selectedTowerType = null;
+        this.showingTowerPreview = false;
+        
+        if (typeof particleSystem !== 'undefined') {
+            particleSystem.clear();
+        }
+        
+        // Estado del jugador
+        this.mode = data.mode || GAME_MODES.NORMAL;
+        this.bestWave = this.saveManager.getHighestWave(this.level.id);
+        this.gameState = data.gameState || GAME_STATES.PLAYING;
+        this.paused = Boolean(data.paused);
+        this.accumulator = 0;
+        this.interpolationAlpha = 1;
+        this.lives = data.lives;
+        if (data.stats) this.stats = { ...this.stats, ...data.stats };
+        
+        // Managers
+        this.clock.importData(data.clock || {});
+        this.economyManager.reset();
+        this.economyManager.importData(data.economy || {});
+        this.waveManager.reset();
+        this.waveManager.importData(data.waveManager || {});
+        
+        // Enemigos
+        const enemiesById = {};
+        (data.enemies || []).forEach(enemyData => {
+            const pathName = hasPath(enemyData.path) ? enemyData.path : DEFAULT_PATH_NAME;
+            const enemy = enemyPool.acquire(enemyData.type, pathName);
+            enemy.importData(enemyData);
+            enemiesById[enemy.id] = enemy;
+            this.enemies.push(enemy);
+        });
+        
+        // Torres
+        const towersById = {};
+        (data.towers || []).forEach(towerData => {
+            const pixelPos = this.map.gridToPixel(towerData.gridX, towerData.gridY);
+            const tower = new Tower(towerData.type, pixelPos.pixelX, pixelPos.pixelY, this.clock);
+            tower.importData(towerData);
+            tower.target = enemiesById[towerData.targetId] || null;
+            towersById[tower.id] = tower;
+            this.towers.push(tower);
+            this.map.occupyCell(towerData.gridX, towerData.gridY, towerData.type);
+        });
+        
+        this.updateSupportBuffs();
+        
+        // Enlazar los efectos de estado con la torre que los aplicó
+        this.enemies.forEach(enemy => {
+            enemy.statusEffects.forEach(effect => {
+                effect.source = towersById[effect.sourceId] || null;
+            });
+        });
+        
+        // Proyectiles en vuelo
+        (data.projectiles || []).forEach(projectileData => {
+            const projectile = projectilePool.acquire(
+                projectileData.position.x,
+                projectileData.position.y,
+                enemiesById[projectileData.targetId] || null,
+                projectileData.damage,
+                projectileData.speed,
+                projectileData.splash,
+                projectileData.splashRadius,
+                towersById[projectileData.towerId] || null
+            );
+            if (!projectile) return;
+            projectile.importData(projectileData);
+            this.projectiles.push(projectile);
+        });
+        
+        // El generador se restaura al final: crear las entidades consume IDs
+        if (data.random) {
+            rng.importData(data.random);
+            this.seed = rng.getSeed();
+        }
+        
+        console.log(`Partida restaurada: ${this.towers.length} torres, ${this.enemies.length} enemigos`);
+    }
+    
     /**
      * Maneja el movimiento del mouse
      * @param {number} x - Coordenada X del mouse
@@ -497,6 +1083,11 @@ class Game {
         this.mousePosition.x = x;
         this.mousePosition.y = y;
         
+        if (this.isEditing()) {
+            this.editor.pointerMove(x, y);
+            return;
+        }
+        
         // Mostrar preview si hay torre seleccionada
         this.showingTowerPreview = this.selectedTowerType !== null;
     }
@@ -513,11 +1104,18 @@ class Game {
      * @param {string} towerType - Tipo de torre a seleccionar
      */
     selectTowerType(towerType) {
+        // El nivel puede limitar las torres disponibles
+        if (towerType && !this.level.towerTypes.includes(towerType)) {
+            console.log(`La torre ${towerType} no está disponible en este nivel`);
+            return;
+        }
+        
         this.selectedTowerType = towerType;
         this.uiManager.selectTowerType(towerType);
         
         // Deseleccionar torres existentes
         this.towers.forEach(tower => tower.setSelected(false));
+        this.selectedTower = null;
     }
     
     /**
@@ -531,9 +1129,9 @@ class Game {
      * Alterna el estado de pausa
      */
     togglePause() {
-        this.isPaused = !this.isPaused;
+        this.paused = !this.paused;
         
-        if (this.isPaused) {
+        if (this.paused) {
             this.gameState = GAME_STATES.PAUSED;
             console.log('Juego pausado');
         } else {
@@ -547,7 +1145,59 @@ class Game {
      * @returns {boolean} True si está pausado
      */
     isPaused() {
-        return this.isPaused;
+        return this.paused;
+    }
+    
+    /**
+     * Obtiene el estado del jefe vivo para la barra del HUD
+     * @returns {Object|null} { name, health, maxHealth, phase, totalPhases, invulnerable } o null sin jefe
+     */
+    getBossState() {
+        const boss = this.enemies.find(enemy => enemy.isBoss() && enemy.isAlive());
+        if (!boss) return null;
+        
+        return {
+            name: boss.config.name,
+            health: boss.health,
+            maxHealth: boss.maxHealth,
+            phase: boss.phase + 1,
+            totalPhases: boss.getPhaseCount(),
+            invulnerable: boss.isInvulnerable()
+        };
+    }
+    
+    /**
+     * Obtiene el estado de la torre seleccionada para el panel de inspección
+     * @returns {Object|null} Datos de la torre (estadísticas en vivo incluidas) o null sin selección
+     */
+    getSelectedTowerState() {
+        const tower = this.selectedTower;
+        if (!tower) return null;
+        
+        return {
+            id: tower.id,
+            name: tower.config.name,
+            level: tower.level,
+            maxLevel: tower.maxLevel,
+            canUpgrade: tower.canUpgrade(),
+            upgradeCost: this.getTowerUpgradeCost(tower),
+            sellValue: tower.getSellValue(),
+            totalInvested: tower.totalInvested,
+            canTarget: tower.attackType !== 'aura',
+            targetingMode: tower.targetingMode,
+            keepTarget: tower.keepTarget,
+            
+            // Estadísticas de combate
+            attackType: tower.attackType,
+            damage: tower.damage,
+            damageType: tower.damageType,
+            range: tower.range,
+            fireRate: tower.fireRate,
+            buffed: tower.isBuffed(),
+            aura: tower.getAuraBuffs(),
+            stats: tower.getStats(),
+            accuracy: tower.getAccuracy()
+        };
     }
     
     /**
@@ -560,8 +1210,9 @@ class Game {
         return {
             // Estado básico
             gameState: this.gameState,
-            isPaused: this.isPaused,
+            isPaused: this.paused,
             gameOver: this.gameState === GAME_STATES.GAME_OVER,
+            speed: this.speed,
             
             // Información del jugador
             lives: this.lives,
@@ -576,11 +1227,17 @@ class Game {
             countdownTime: waveInfo.countdownTime,
             canStartWave: waveInfo.canStartWave,
             allWavesComplete: waveInfo.allWavesComplete,
+            endless: waveInfo.endless,
+            bestWave: this.bestWave,
+            boss: this.getBossState(),
             
             // Información de entidades
             enemyCount: this.enemies.length,
             towerCount: this.towers.length,
-            projectileCount: this.projectiles.length
+            projectileCount: this.projectiles.length,
+            
+            // Torre seleccionada
+            selectedTower: this.getSelectedTowerState()
         };
     }
     
@@ -594,6 +1251,10 @@ class Game {
         this.enemies.push(enemy);
         this.stats.enemiesSpawned++;
         console.log(`Enemigo ${enemy.type} spawneado`);
+        
+        if (enemy.isBoss()) {
+            this.uiManager.showNotification(`¡Jefe a la vista: ${enemy.config.name}!`, 'warning');
+        }
     }
     
     /**
@@ -604,6 +1265,31 @@ class Game {
     handleWaveStart(waveNumber, waveData) {
         console.log(`Oleada ${waveNumber} iniciada`);
         this.uiManager.showNotification(`Oleada ${waveNumber} iniciada`, 'info');
+        
+        if (typeof audioManager !== 'undefined') {
+            audioManager.play('waveStart');
+        }
+        
+        if (this.isEndless()) {
+            this.recordWaveReached(waveNumber);
+        }
+    }
+    
+    /**
+     * Registra la oleada alcanzada en modo infinito si supera la mejor marca del nivel
+     * @param {number} waveNumber - Número de oleada alcanzada
+     */
+    recordWaveReached(waveNumber) {
+        if (waveNumber <= this.bestWave) return;
+        
+        // Avisar solo la primera vez que se supera una marca anterior
+        if (this.bestWave > 0 && !this.newRecord) {
+            this.uiManager.showNotification(`¡Nuevo récord: oleada ${waveNumber}!`, 'success');
+        }
+        
+        this.bestWave = waveNumber;
+        this.newRecord = true;
+        this.saveManager.recordHighestWave(this.level.id, waveNumber);
     }
     
     /**
@@ -645,6 +1331,7 @@ class Game {
         
         // Marcar enemigo como procesado
         enemy.alive = false;
+        enemy.markForRemoval();
     }
     
     /**
@@ -654,11 +1341,23 @@ class Game {
     handleEnemyKilled(enemy) {
         this.stats.enemiesKilled++;
         
+        if (typeof audioManager !== 'undefined') {
+            audioManager.play('enemyDeath');
+        }
+        
         // Procesar recompensa
         const reward = this.economyManager.processEnemyKillReward(enemy);
         this.stats.moneyEarned += reward;
         
-        console.log(`Enemigo ${enemy.type} eliminado. Recompensa: $${reward}`);
+        const killer = enemy.killedBy ? ` por la torre ${enemy.killedBy.id}` : '';
+        console.log(`Enemigo ${enemy.type} eliminado${killer}. Recompensa: $${reward}`);
+        
+        // Recompensa extra de las oleadas de jefe
+        if (enemy.bonusReward > 0) {
+            this.economyManager.addMoney(enemy.bonusReward, 'boss_bonus', { enemyType: enemy.type });
+            this.stats.moneyEarned += enemy.bonusReward;
+            this.uiManager.showNotification(`¡Jefe derrotado! +$${enemy.bonusReward}`, 'success');
+        }
     }
     
     /**
@@ -727,16 +1426,64 @@ class Game {
         console.log(isVictory ? 'VICTORIA!' : 'GAME OVER');
         console.log('Estadísticas finales:', finalStats);
         
+        if (typeof audioManager !== 'undefined') {
+            audioManager.play(isVictory ? 'victory' : 'gameOver');
+        }
+        
         // Mostrar pantalla de game over
         this.uiManager.showGameOverScreen(isVictory, message, finalStats);
     }
     
+    /**
+     * Verifica si la partida es en modo infinito
+     * @returns {boolean} True si se generan oleadas tras las del nivel
+     */
+    isEndless() {
+        return this.mode === GAME_MODES.ENDLESS;
+    }
+    
+    /**
+     * Cambia el modo de juego y empieza una partida nueva
+     * @param {string} mode - Modo de juego (ver GAME_MODES)
+     * @returns {boolean} True si el modo es válido
+     */
+    setMode(mode) {
+        if (!Object.values(GAME_MODES).includes(mode)) {
+            console.warn(`Modo de juego inválido: ${mode}`);
+            return false;
+        }
+        
+        this.mode = mode;
+        this.reset();
+        
+        console.log(`Modo de juego: ${mode}`);
+        return true;
+    }
+    
+    /**
+     * Siembra el generador de la simulación y el de las partículas
+     * @param {number|string} seed - Semilla de la partida
+     */
+    applySeed(seed) {
+        rng.setSeed(seed);
+        this.seed = rng.getSeed();
+        
+        if (typeof particleSystem !== 'undefined') {
+            particleSystem.setSeed(this.seed);
+        }
+        
+        console.log(`Semilla de la partida: ${this.seed}`);
+    }
+    
     /**
      * Resetea el juego a su estado inicial
+     * @param {number|string|null} seed - Semilla de la nueva partida (aleatoria si es null)
      */
-    reset() {
+    reset(seed = null) {
         console.log('Reseteando juego...');
         
+        this.closeEditor();
+        
         // Resetear sistemas
         this.waveManager.reset();
         this.economyManager.reset();
@@ -744,7 +1491,7 @@ class Game {
         this.map.reset();
         
         // Resetear estado
-        this.setupInitialState();
+        this.setupInitialState(seed);
         
         // Resetear estadísticas
         this.stats = {
@@ -753,6 +1500,7 @@ class Game {
             enemiesSpawned: 0,
             enemiesKilled: 0,
             towersBuilt: 0,
+            towersSold: 0,
             projectilesFired: 0,
             moneyEarned: 0,
             moneySpent: 0,
@@ -783,9 +1531,12 @@ class Game {
     getDebugInfo() {
         return {
             gameState: this.gameState,
-            isPaused: this.isPaused,
+            isPaused: this.paused,
+            speed: this.speed,
             lives: this.lives,
             selectedTowerType: this.selectedTowerType,
+            seed: this.seed,
+            selectedTower: this.selectedTower ? this.selectedTower.id : null,
             entityCounts: {
                 enemies: this.enemies.length,
                 towers: this.towers.length,
@@ -795,6 +1546,16 @@ class Game {
                 fps: this.fpsCounter,
                 frameCount: this.frameCount
             },
+            rendering: {
+                layers: this.renderLayers.filter(layer => layer.visible).map(layer => layer.name),
+                staticRedraws: this.map ? this.map.staticRenderCount : 0
+            },
+            pools: {
+                enemies: enemyPool.getStats(),
+                projectiles: projectilePool.getStats(),
+                particles: typeof particleSystem !== 'undefined' ? particleSystem.pool.getStats() : null
+            },
+            audio: typeof audioManager !== 'undefined' ? audioManager.getDebugInfo() : null,
             systems: {
                 wave: this.waveManager.getDebugInfo(),
                 economy: this.economyManager.getDebugInfo(),
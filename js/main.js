@@ -33,8 +33,11 @@ document.addEventListener('DOMContentLoaded', function() {
     // Crear e inicializar el juego
     try {
         game = new Game(canvas);
-        game.init();
+        game.init(getSeedFromUrl());
         console.log('Juego inicializado correctamente');
+        
+        // Cargar el nivel indicado en la URL (?level=levels/encrucijada.json)
+        loadLevelFromUrl();
     } catch (error) {
         console.error('Error al inicializar el juego:', error);
         showError('Error al cargar el juego. Por favor, recarga la página.');
@@ -64,6 +67,72 @@ function setupCanvas() {
     console.log(`Canvas configurado: ${canvas.width}x${canvas.height}`);
 }
 
+/**
+ * Obtiene la semilla indicada en la URL (?seed=1234) para reproducir una partida
+ * @returns {string|null} Semilla o null si no se indicó
+ */
+function getSeedFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('seed');
+}
+
+/**
+ * Carga el nivel indicado en la URL, si lo hay
+ * Descargar niveles requiere servir el juego por HTTP (no funciona con file://)
+ */
+async function loadLevelFromUrl() {
+    const levelUrl = new URLSearchParams(window.location.search).get('level');
+    if (!levelUrl) return;
+    
+    try {
+        const level = await game.levelLoader.load(levelUrl);
+        game.loadLevel(level);
+        resetTowerButtons();
+    } catch (error) {
+        console.error('Error al cargar el nivel:', error);
+        game.uiManager.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Maneja la selección de un archivo de nivel local
+ */
+function handleLevelFile(event) {
+    if (!game) return;
+    
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const level = game.levelLoader.parse(reader.result);
+            if (game.loadLevel(level)) {
+                resetTowerButtons();
+            }
+        } catch (error) {
+            console.error('Error al cargar el nivel:', error);
+            game.uiManager.showNotification(error.message, 'error');
+        }
+    };
+    reader.readAsText(file);
+    
+    // Permitir volver a elegir el mismo archivo
+    event.target.value = '';
+}
+
+/**
+ * Quita la selección visual de los botones de torre y restaura el botón de pausa
+ */
+function resetTowerButtons() {
+    document.querySelectorAll('.tower-btn').forEach(btn => {
+        btn.classList.remove('selected');
+    });
+    
+    const pauseBtn = document.getElementById('pauseGame');
+    if (pauseBtn) pauseBtn.textContent = game.isPaused() ? 'Reanudar' : 'Pausar';
+}
+
 /**
  * Configura todos los event listeners del juego
  */
@@ -72,6 +141,9 @@ function setupEventListeners() {
     canvas.addEventListener('click', handleCanvasClick);
     canvas.addEventListener('mousemove', handleCanvasMouseMove);
     canvas.addEventListener('mouseleave', handleCanvasMouseLeave);
+    canvas.addEventListener('mousedown', handleCanvasMouseDown);
+    canvas.addEventListener('mouseup', handleCanvasMouseUp);
+    canvas.addEventListener('contextmenu', handleCanvasContextMenu);
     
     // Event listeners de los botones de torres
     document.querySelectorAll('.tower-btn').forEach(btn => {
@@ -81,13 +153,50 @@ function setupEventListeners() {
     // Event listeners de controles del juego
     const startWaveBtn = document.getElementById('startWave');
     const pauseBtn = document.getElementById('pauseGame');
+    const speedBtn = document.getElementById('gameSpeed');
+    const stepBtn = document.getElementById('stepFrame');
     const resetBtn = document.getElementById('resetGame');
     const restartBtn = document.getElementById('restartBtn');
+    const upgradeBtn = document.getElementById('upgradeTower');
+    const sellBtn = document.getElementById('sellTower');
+    const targetingSelect = document.getElementById('selectedTowerTargeting');
+    const keepTargetCheckbox = document.getElementById('selectedTowerKeepTarget');
+    const saveBtn = document.getElementById('saveGame');
+    const loadBtn = document.getElementById('loadGame');
+    const saveSlotSelect = document.getElementById('saveSlot');
+    const levelFileInput = document.getElementById('levelFile');
+    const gameModeSelect = document.getElementById('gameMode');
+    const muteBtn = document.getElementById('toggleMute');
     
     if (startWaveBtn) startWaveBtn.addEventListener('click', handleStartWave);
     if (pauseBtn) pauseBtn.addEventListener('click', handlePauseGame);
+    if (speedBtn) speedBtn.addEventListener('click', handleGameSpeed);
+    if (stepBtn) stepBtn.addEventListener('click', handleStepFrame);
     if (resetBtn) resetBtn.addEventListener('click', handleResetGame);
     if (restartBtn) restartBtn.addEventListener('click', handleRestartGame);
+    if (upgradeBtn) upgradeBtn.addEventListener('click', handleUpgradeTower);
+    if (sellBtn) sellBtn.addEventListener('click', handleSellTower);
+    if (targetingSelect) targetingSelect.addEventListener('change', handleTargetingChange);
+    if (keepTargetCheckbox) keepTargetCheckbox.addEventListener('change', handleKeepTargetChange);
+    if (saveBtn) saveBtn.addEventListener('click', handleSaveGame);
+    if (loadBtn) loadBtn.addEventListener('click', handleLoadGame);
+    if (saveSlotSelect) saveSlotSelect.addEventListener('change', refreshSaveSlots);
+    if (levelFileInput) levelFileInput.addEventListener('change', handleLevelFile);
+    if (gameModeSelect) gameModeSelect.addEventListener('change', handleGameModeChange);
+    if (muteBtn) muteBtn.addEventListener('click', handleToggleMute);
+    
+    document.querySelectorAll('.volume-slider').forEach(slider => {
+        slider.addEventListener('input', handleVolumeChange);
+    });
+    
+    // El navegador solo deja sonar al audio tras un gesto del usuario
+    document.addEventListener('pointerdown', unlockAudio);
+    document.addEventListener('keydown', unlockAudio);
+    
+    setupEditorListeners();
+    
+    refreshSaveSlots();
+    refreshAudioControls();
     
     // Event listeners del teclado
     document.addEventListener('keydown', handleKeyDown);
@@ -142,6 +251,202 @@ function handleCanvasMouseLeave() {
     game.handleMouseLeave();
 }
 
+/**
+ * Convierte la posición de un evento del mouse a coordenadas del canvas
+ */
+function getCanvasPosition(event) {
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = canvas.width / rect.width;
+    const scaleY = canvas.height / rect.height;
+    
+    return {
+        x: (event.clientX - rect.left) * scaleX,
+        y: (event.clientY - rect.top) * scaleY
+    };
+}
+
+/**
+ * Maneja la pulsación del mouse en el canvas (solo la usa el editor)
+ */
+function handleCanvasMouseDown(event) {
+    if (!game || !game.isEditing()) return;
+    
+    const position = getCanvasPosition(event);
+    game.editor.pointerDown(position.x, position.y, {
+        button: event.button,
+        shiftKey: event.shiftKey
+    });
+}
+
+/**
+ * Maneja la liberación del mouse en el canvas
+ */
+function handleCanvasMouseUp() {
+    if (!game || !game.isEditing()) return;
+    game.editor.pointerUp();
+}
+
+/**
+ * Evita el menú contextual en el editor (el clic derecho borra puntos)
+ */
+function handleCanvasContextMenu(event) {
+    if (game && game.isEditing()) {
+        event.preventDefault();
+    }
+}
+
+/**
+ * Configura los controles del panel del editor de niveles
+ */
+function setupEditorListeners() {
+    const toggleBtn = document.getElementById('toggleEditor');
+    const pathSelect = document.getElementById('editorPathSelect');
+    const addPathBtn = document.getElementById('editorAddPath');
+    const removePathBtn = document.getElementById('editorRemovePath');
+    const exportBtn = document.getElementById('editorExport');
+    const testBtn = document.getElementById('editorTest');
+    
+    if (toggleBtn) toggleBtn.addEventListener('click', handleToggleEditor);
+    if (pathSelect) pathSelect.addEventListener('change', () => game.editor.selectPath(pathSelect.value));
+    if (addPathBtn) addPathBtn.addEventListener('click', handleEditorAddPath);
+    if (removePathBtn) removePathBtn.addEventListener('click', handleEditorRemovePath);
+    if (exportBtn) exportBtn.addEventListener('click', handleEditorExport);
+    if (testBtn) testBtn.addEventListener('click', handleEditorTest);
+    
+    document.querySelectorAll('.editor-tool-btn').forEach(btn => {
+        btn.addEventListener('click', () => game.editor.setTool(btn.dataset.tool));
+    });
+    
+    // Editor de oleadas
+    const waveSelect = document.getElementById('waveEditorSelect');
+    const addWaveBtn = document.getElementById('waveEditorAdd');
+    const removeWaveBtn = document.getElementById('waveEditorRemove');
+    const addGroupBtn = document.getElementById('waveEditorAddGroup');
+    const rewardInput = document.getElementById('waveEditorReward');
+    const groupsContainer = document.getElementById('waveEditorGroups');
+    
+    if (waveSelect) waveSelect.addEventListener('change', () => editWaves(editor => editor.selectWave(Number(waveSelect.value))));
+    if (addWaveBtn) addWaveBtn.addEventListener('click', () => editWaves(editor => editor.addWave()));
+    if (removeWaveBtn) removeWaveBtn.addEventListener('click', () => editWaves(editor => editor.removeWave()));
+    if (addGroupBtn) addGroupBtn.addEventListener('click', () => editWaves(editor => editor.addGroup()));
+    if (rewardInput) rewardInput.addEventListener('change', () => editWaves(editor => editor.setReward(Number(rewardInput.value))));
+    if (groupsContainer) {
+        groupsContainer.addEventListener('change', handleWaveGroupChange);
+        groupsContainer.addEventListener('click', handleWaveGroupClick);
+    }
+}
+
+/**
+ * Aplica un cambio al editor de oleadas y redibuja su panel
+ * @param {Function} change - Función que recibe el WaveEditor
+ */
+function editWaves(change) {
+    if (!game || !game.isEditing()) return;
+    
+    change(game.editor.waveEditor);
+    refreshWaveEditor();
+}
+
+/**
+ * Redibuja el panel del editor de oleadas
+ */
+function refreshWaveEditor() {
+    if (!game || !game.isEditing()) return;
+    game.uiManager.renderWaveEditor(game.editor.waveEditor.getState());
+}
+
+/**
+ * Maneja los cambios en los campos de un grupo de enemigos
+ */
+function handleWaveGroupChange(event) {
+    const field = event.target.dataset.field;
+    if (!field) return;
+    
+    // Los números se guardan aunque sean inválidos para que el validador los muestre
+    const numeric = field === 'count' || field === 'spawnInterval';
+    const value = numeric ? Number(event.target.value) : event.target.value;
+    
+    editWaves(editor => editor.updateGroup(Number(event.target.dataset.group), field, value));
+}
+
+/**
+ * Maneja el botón de eliminar grupo
+ */
+function handleWaveGroupClick(event) {
+    if (event.target.dataset.action !== 'remove') return;
+    editWaves(editor => editor.removeGroup(Number(event.target.dataset.group)));
+}
+
+/**
+ * Abre o cierra el editor de niveles
+ */
+function handleToggleEditor() {
+    if (!game) return;
+    
+    if (game.isEditing()) {
+        game.closeEditor();
+    } else {
+        game.openEditor();
+        resetTowerButtons();
+        refreshWaveEditor();
+    }
+}
+
+/**
+ * Crea un camino nuevo en el editor
+ */
+function handleEditorAddPath() {
+    if (!game || !game.isEditing()) return;
+    
+    const name = prompt('Nombre del nuevo camino:', game.editor.getNextPathName());
+    if (name && !game.editor.addPath(name.trim())) {
+        game.uiManager.showNotification(`No se pudo crear el camino "${name}"`, 'warning');
+    }
+    
+    // Los grupos de enemigos pueden elegir el camino nuevo
+    refreshWaveEditor();
+}
+
+/**
+ * Elimina el camino seleccionado en el editor
+ */
+function handleEditorRemovePath() {
+    if (!game || !game.isEditing()) return;
+    
+    game.editor.removePath(game.editor.currentPath);
+    refreshWaveEditor();
+}
+
+/**
+ * Descarga el nivel editado como archivo JSON
+ */
+function handleEditorExport() {
+    if (!game || !game.isEditing()) return;
+    
+    const exported = game.editor.exportLevel();
+    if (!exported.valid) {
+        game.uiManager.showNotification(`El nivel tiene errores: ${exported.errors[0]}`, 'warning');
+    }
+    
+    const blob = new Blob([game.editor.exportJSON()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${exported.level.id}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Empieza una partida con el nivel editado
+ */
+function handleEditorTest() {
+    if (!game) return;
+    
+    if (game.closeEditor(true)) {
+        resetTowerButtons();
+    }
+}
+
 /**
  * Maneja los clics en los botones de torres
  */
@@ -156,7 +461,9 @@ function handleTowerButtonClick(event) {
         document.querySelectorAll('.tower-btn').forEach(btn => {
             btn.classList.remove('selected');
         });
-        event.currentTarget.classList.add('selected');
+        if (game.selectedTowerType === towerType) {
+            event.currentTarget.classList.add('selected');
+        }
     }
 }
 
@@ -168,6 +475,136 @@ function handleStartWave() {
     game.startNextWave();
 }
 
+/**
+ * Maneja el botón de mejorar torre
+ */
+function handleUpgradeTower() {
+    if (!game) return;
+    game.upgradeSelectedTower();
+}
+
+/**
+ * Maneja el botón de vender torre
+ */
+function handleSellTower() {
+    if (!game) return;
+    game.sellSelectedTower();
+}
+
+/**
+ * Maneja el cambio de modo de targeting de la torre seleccionada
+ */
+function handleTargetingChange(event) {
+    if (!game) return;
+    game.setSelectedTowerTargeting(event.target.value);
+}
+
+/**
+ * Maneja la opción de mantener objetivo de la torre seleccionada
+ */
+function handleKeepTargetChange(event) {
+    if (!game) return;
+    game.setSelectedTowerKeepTarget(event.target.checked);
+}
+
+/**
+ * Pasa la torre seleccionada al siguiente modo de targeting registrado
+ */
+function cycleTargetingMode() {
+    if (!game || !game.selectedTower) return;
+    
+    const modes = getTargetingModes().map(entry => entry.mode);
+    const index = modes.indexOf(game.selectedTower.targetingMode);
+    game.setSelectedTowerTargeting(modes[(index + 1) % modes.length]);
+}
+
+/**
+ * Obtiene la ranura de guardado seleccionada
+ * @returns {number} Número de ranura
+ */
+function getSelectedSaveSlot() {
+    const select = document.getElementById('saveSlot');
+    return select ? parseInt(select.value, 10) || 1 : 1;
+}
+
+/**
+ * Actualiza las etiquetas de las ranuras de guardado
+ */
+function refreshSaveSlots() {
+    if (!game || !game.saveManager) return;
+    game.uiManager.updateSaveSlots(game.saveManager.listSlots());
+}
+
+/**
+ * Maneja el botón de guardar partida
+ */
+function handleSaveGame() {
+    if (!game) return;
+    game.saveGame(getSelectedSaveSlot());
+    refreshSaveSlots();
+}
+
+/**
+ * Maneja el botón de cargar partida
+ */
+function handleLoadGame() {
+    if (!game) return;
+    
+    if (game.loadGame(getSelectedSaveSlot())) {
+        // Sincronizar la UI con el estado restaurado
+        resetTowerButtons();
+        
+        const gameModeSelect = document.getElementById('gameMode');
+        if (gameModeSelect) gameModeSelect.value = game.mode;
+    }
+}
+
+/**
+ * Activa el audio con el primer gesto del usuario
+ */
+function unlockAudio() {
+    if (typeof audioManager === 'undefined') return;
+    
+    if (audioManager.unlock()) {
+        document.removeEventListener('pointerdown', unlockAudio);
+        document.removeEventListener('keydown', unlockAudio);
+    }
+}
+
+/**
+ * Sincroniza el botón de silencio y los deslizadores con los ajustes de audio
+ */
+function refreshAudioControls() {
+    if (typeof audioManager === 'undefined') return;
+    
+    const settings = audioManager.getSettings();
+    const muteBtn = document.getElementById('toggleMute');
+    if (muteBtn) {
+        muteBtn.textContent = settings.muted ? '🔇 Activar sonido' : '🔊 Silenciar';
+    }
+    
+    document.querySelectorAll('.volume-slider').forEach(slider => {
+        slider.value = Math.round(settings[`${slider.dataset.channel}Volume`] * 100);
+    });
+}
+
+/**
+ * Maneja el botón de silencio
+ */
+function handleToggleMute() {
+    if (typeof audioManager === 'undefined') return;
+    audioManager.toggleMute();
+    refreshAudioControls();
+}
+
+/**
+ * Maneja los deslizadores de volumen
+ */
+function handleVolumeChange(event) {
+    if (typeof audioManager === 'undefined') return;
+    audioManager.setVolume(event.target.dataset.channel, parseInt(event.target.value, 10) / 100);
+}
+
 /**
  * Maneja el botón de pausa
  */
@@ -181,6 +618,27 @@ function handlePauseGame() {
     }
 }
 
+/**
+ * Maneja el botón de velocidad (1x, 2x, 4x)
+ */
+function handleGameSpeed() {
+    if (!game) return;
+    const speed = game.cycleSpeed();
+    
+    const btn = document.getElementById('gameSpeed');
+    if (btn) {
+        btn.textContent = `Velocidad ${speed}x`;
+    }
+}
+
+/**
+ * Maneja el botón de avanzar un paso en pausa
+ */
+function handleStepFrame() {
+    if (!game) return;
+    game.stepFrame();
+}
+
 /**
  * Maneja el botón de reiniciar
  */
@@ -188,7 +646,7 @@ function handleResetGame() {
     if (!game) return;
     
     if (confirm('¿Estás seguro de que quieres reiniciar el juego?')) {
-        game.reset();
+        game.reset(getSeedFromUrl());
         
         // Resetear UI
         document.querySelectorAll('.tower-btn').forEach(btn => {
@@ -200,13 +658,36 @@ function handleResetGame() {
     }
 }
 
+/**
+ * Maneja el cambio de modo de juego (normal o infinito)
+ * Cambiar de modo empieza una partida nueva
+ */
+function handleGameModeChange(event) {
+    if (!game) return;
+    
+    const mode = event.target.value;
+    if (mode === game.mode) return;
+    
+    if (!confirm('Cambiar de modo reinicia la partida. ¿Continuar?')) {
+        event.target.value = game.mode;
+        return;
+    }
+    
+    game.setMode(mode);
+    resetTowerButtons();
+    game.uiManager.showNotification(
+        mode === GAME_MODES.ENDLESS ? 'Modo infinito: las oleadas no terminan' : 'Modo normal',
+        'info'
+    );
+}
+
 /**
  * Maneja el botón de reiniciar desde la pantalla de game over
  */
 function handleRestartGame() {
     if (!game) return;
     
-    game.reset();
+    game.reset(getSeedFromUrl());
     hideGameOverScreen();
     
     // Resetear UI
@@ -221,6 +702,23 @@ function handleRestartGame() {
 function handleKeyDown(event) {
     if (!game) return;
     
+    if (event.code === 'KeyE') {
+        event.preventDefault();
+        handleToggleEditor();
+        return;
+    }
+    
+    // En el editor solo se atienden sus propios atajos
+    if (game.isEditing()) {
+        if (event.code === 'Delete' || event.code === 'Backspace') {
+            event.preventDefault();
+            game.editor.deleteSelectedWaypoint();
+        } else if (event.code === 'Escape') {
+            game.closeEditor();
+        }
+        return;
+    }
+    
     switch(event.code) {
         case 'Space':
             event.preventDefault();
@@ -230,6 +728,31 @@ function handleKeyDown(event) {
             event.preventDefault();
             handlePauseGame();
             break;
+        case 'KeyF':
+            event.preventDefault();
+            handleGameSpeed();
+            break;
+        case 'KeyN':
+            event.preventDefault();
+            handleStepFrame();
+            break;
+        case 'KeyU':
+            event.preventDefault();
+            handleUpgradeTower();
+            break;
+        case 'KeyS':
+        case 'Delete':
+            event.preventDefault();
+            handleSellTower();
+            break;
+        case 'KeyT':
+            event.preventDefault();
+            cycleTargetingMode();
+            break;
+        case 'KeyM':
+            event.preventDefault();
+            handleToggleMute();
+            break;
         case 'KeyR':
             event.preventDefault();
             if (event.ctrlKey) {
@@ -256,6 +779,18 @@ function handleKeyDown(event) {
             event.preventDefault();
             document.getElementById('areaTower').click();
             break;
+        case 'Digit4':
+            event.preventDefault();
+            document.getElementById('frostTower').click();
+            break;
+        case 'Digit5':
+            event.preventDefault();
+            document.getElementById('laserTower').click();
+            break;
+        case 'Digit6':
+            event.preventDefault();
+            document.getElementById('supportTower').click();
+            break;
     }
 }
 
@@ -0,0 +1,492 @@
+/**
+ * Clase AudioManager para los efectos de sonido y sintonías del juego
+ * Usa Web Audio: cada sonido pasa por su canal (efectos o música) y después por el volumen general.
+ * Si un archivo de AUDIO_CONFIG.sounds no existe se sintetiza un sustituto con osciladores
+ */
+
+/**
+ * Recetas de los sonidos sintetizados
+ * notes: tonos { frequency, endFrequency, start, duration } en segundos; noise: ráfaga de ruido filtrado
+ */
+const SYNTH_SOUNDS = {
+    shoot: {
+        wave: 'square',
+        volume: 0.2,
+        notes: [{ frequency: 880, endFrequency: 440, start: 0, duration: 0.08 }]
+    },
+    explosion: {
+        volume: 0.6,
+        noise: { duration: 0.35, filterFrequency: 900 }
+    },
+    enemyDeath: {
+        wave: 'triangle',
+        volume: 0.35,
+        notes: [{ frequency: 520, endFrequency: 130, start: 0, duration: 0.18 }]
+    },
+    waveStart: {
+        wave: 'triangle',
+        volume: 0.4,
+        notes: [
+            { frequency: 440, start: 0, duration: 0.12 },
+            { frequency: 554, start: 0.1, duration: 0.12 },
+            { frequency: 659, start: 0.2, duration: 0.25 }
+        ]
+    },
+    gameOver: {
+        wave: 'sawtooth',
+        volume: 0.3,
+        notes: [
+            { frequency: 392, start: 0, duration: 0.25 },
+            { frequency: 330, start: 0.22, duration: 0.25 },
+            { frequency: 262, start: 0.44, duration: 0.25 },
+            { frequency: 196, endFrequency: 98, start: 0.66, duration: 0.6 }
+        ]
+    },
+    victory: {
+        wave: 'triangle',
+        volume: 0.4,
+        notes: [
+            { frequency: 523, start: 0, duration: 0.16 },
+            { frequency: 659, start: 0.14, duration: 0.16 },
+            { frequency: 784, start: 0.28, duration: 0.16 },
+            { frequency: 1047, start: 0.42, duration: 0.5 }
+        ]
+    }
+};
+
+class AudioManager {
+    /**
+     * Constructor del AudioManager
+     * El AudioContext no se crea hasta unlock(): los navegadores solo permiten sonar tras un gesto del usuario
+     * @param {Storage|null} storage - Almacenamiento de los ajustes (por defecto localStorage)
+     * @param {Function} createContext - Crea el AudioContext (devuelve null si no hay Web Audio)
+     */
+    constructor(storage = SaveManager.getDefaultStorage(), createContext = AudioManager.createDefaultContext) {
+        this.storage = storage;
+        this.createContext = createContext;
+        this.enabled = AUDIO_CONFIG.enabled;
+        
+        this.context = null;
+        this.buses = null; // Nodos de ganancia { master, sfx, music }
+        this.buffers = {}; // Sonidos cargados desde AUDIO_CONFIG.sounds
+        this.activeVoices = {}; // Voces sonando por sonido (para el límite de concurrencia)
+        this.noiseBuffer = null;
+        
+        // Secuencia propia para el ruido, así el audio no consume tiradas de la simulación
+        this.random = new SeededRandom(1);
+        
+        this.settings = {
+            muted: false,
+            masterVolume: AUDIO_CONFIG.masterVolume,
+            sfxVolume: AUDIO_CONFIG.sfxVolume,
+            musicVolume: AUDIO_CONFIG.musicVolume
+        };
+        this.loadSettings();
+        
+        this.stats = {
+            played: 0,
+            synthesized: 0,
+            dropped: 0 // Peticiones descartadas por el límite de concurrencia
+        };
+        
+        console.log(`AudioManager inicializado${this.settings.muted ? ' (silenciado)' : ''}`);
+    }
+    
+    /**
+     * Crea el AudioContext del navegador
+     * @returns {AudioContext|null} Contexto o null si no hay Web Audio
+     */
+    static createDefaultContext() {
+        const AudioContextClass = typeof window !== 'undefined' ?
+            (window.AudioContext || window.webkitAudioContext) : null;
+        return AudioContextClass ? new AudioContextClass() : null;
+    }
+    
+    /**
+     * Activa el audio (llamar desde un gesto del usuario: clic o tecla)
+     * La primera vez crea el contexto y los canales y empieza a cargar los sonidos
+     * @returns {boolean} True si hay audio disponible
+     */
+    unlock() {
+        if (!this.enabled) return false;
+        
+        if (!this.context) {
+            try {
+                this.context = this.createContext();
+            } catch (error) {
+                console.warn('AudioManager: no se pudo crear el AudioContext', error.message);
+                this.context = null;
+            }
+            
+            if (!this.context) {
+                console.warn('AudioManager: Web Audio no disponible, el juego sonará en silencio');
+                this.enabled = false;
+                return false;
+            }
+            
+            this.createBuses();
+            this.loadSounds();
+            console.log('Audio activado');
+        }
+        
+        if (this.context.state === 'suspended' && this.context.resume) {
+            this.context.resume();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Crea los canales: efectos y música van al volumen general y este a los altavoces
+     */
+    createBuses() {
+        const master = this.context.createGain();
+        const sfx = this.context.createGain();
+        const music = this.context.createGain();
+        
+        sfx.connect(master);
+        music.connect(master);
+        master.connect(this.context.destination);
+        
+        this.buses = { master, sfx, music };
+        this.applyVolumes();
+    }
+    
+    /**
+     * Aplica los ajustes de volumen a los canales
+     */
+    applyVolumes() {
+        if (!this.buses) return;
+        
+        this.buses.master.gain.value = this.settings.muted ? 0 : this.settings.masterVolume;
+        this.buses.sfx.gain.value = this.settings.sfxVolume;
+        this.buses.music.gain.value = this.settings.musicVolume;
+    }
+    
+    /**
+     * Carga los archivos de AUDIO_CONFIG.sounds; los que fallen se sintetizarán
+     * @returns {Promise<number>} Número de sonidos cargados
+     */
+    async loadSounds() {
+        const names = Object.keys(AUDIO_CONFIG.sounds);
+        const results = await Promise.all(names.map(name => this.loadSound(name, AUDIO_CONFIG.sounds[name])));
+        const loaded = results.filter(Boolean).length;
+        
+        console.log(`Sonidos cargados: ${loaded}/${names.length}`);
+        return loaded;
+    }
+    
+    /**
+     * Carga y decodifica un archivo de sonido
+     * @param {string} name - Nombre del sonido
+     * @param {string} url - Ruta del archivo
+     * @returns {Promise<boolean>} True si se cargó
+     */
+    async loadSound(name, url) {
+        if (typeof fetch === 'undefined' || !this.context) return false;
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.arrayBuffer();
+            this.buffers[name] = await this.context.decodeAudioData(data);
+            return true;
+        } catch (error) {
+            console.log(`Sonido ${name} no disponible (${error.message}), se usará el sintetizado`);
+            return false;
+        }
+    }
+    
+    /**
+     * Reproduce un sonido
+     * @param {string} name - Nombre del sonido (clave de AUDIO_CONFIG.sounds)
+     * @param {Object} options - { volume } multiplicador de volumen de esta reproducción
+     * @returns {boolean} True si empezó a sonar
+     */
+    play(name, options = {}) {
+        if (!this.enabled || !this.context || this.settings.muted) return false;
+        
+        const active = this.activeVoices[name] || 0;
+        if (active >= this.getConcurrencyLimit(name)) {
+            this.stats.dropped++;
+            return false;
+        }
+        
+        const output = this.context.createGain();
+        output.gain.value = options.volume !== undefined ? options.volume : 1;
+        output.connect(this.getBus(name));
+        
+        let source;
+        if (this.buffers[name]) {
+            source = this.context.createBufferSource();
+            source.buffer = this.buffers[name];
+            source.connect(output);
+            source.start();
+        } else {
+            source = this.synthesize(name, output);
+            if (!source) {
+                output.disconnect();
+                return false;
+            }
+            this.stats.synthesized++;
+        }
+        
+        // La voz se libera cuando termina el último nodo del sonido
+        this.activeVoices[name] = active + 1;
+        source.onended = () => {
+            this.activeVoices[name]--;
+            output.disconnect();
+        };
+        
+        this.stats.played++;
+        return true;
+    }
+    
+    /**
+     * Sintetiza un sonido a partir de su receta de SYNTH_SOUNDS
+     * @param {string} name - Nombre del sonido
+     * @param {AudioNode} output - Nodo al que conectar el sonido
+     * @returns {AudioScheduledSourceNode|null} Último nodo en terminar o null si no hay receta
+     */
+    synthesize(name, output) {
+        const recipe = SYNTH_SOUNDS[name];
+        if (!recipe) {
+            console.warn(`Sonido desconocido: ${name}`);
+            return null;
+        }
+        
+        const now = this.context.currentTime;
+        let last = null;
+        let lastEnd = -1;
+        
+        (recipe.notes || []).forEach(note => {
+            const end = note.start + note.duration;
+            const oscillator = this.playTone(output, recipe.wave, recipe.volume, now, note);
+            if (end > lastEnd) {
+                last = oscillator;
+                lastEnd = end;
+            }
+        });
+        
+        if (recipe.noise && recipe.noise.duration > lastEnd) {
+            last = this.playNoise(output, recipe.volume, now, recipe.noise);
+        }
+        
+        return last;
+    }
+    
+    /**
+     * Programa un tono con envolvente de ataque corto y caída exponencial
+     * @param {AudioNode} output - Nodo de salida
+     * @param {string} wave - Forma de onda del oscilador
+     * @param {number} volume - Volumen del pico
+     * @param {number} now - Tiempo actual del contexto
+     * @param {Object} note - { frequency, endFrequency, start, duration }
+     * @returns {OscillatorNode} Oscilador programado
+     */
+    playTone(output, wave, volume, now, note) {
+        const start = now + note.start;
+        const end = start + note.duration;
+        const oscillator = this.context.createOscillator();
+        const envelope = this.createEnvelope(volume, start, end);
+        
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(note.frequency, start);
+        if (note.endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(note.endFrequency, end);
+        }
+        
+        oscillator.connect(envelope);
+        envelope.connect(output);
+        oscillator.start(start);
+        oscillator.stop(end + 0.02);
+        
+        return oscillator;
+    }
+    
+    /**
+     * Programa una ráfaga de ruido blanco filtrado (explosiones)
+     * @param {AudioNode} output - Nodo de salida
+     * @param {number} volume - Volumen del pico
+     * @param {number} now - Tiempo actual del contexto
+     * @param {Object} noise - { duration, filterFrequency }
+     * @returns {AudioBufferSourceNode} Fuente programada
+     */
+    playNoise(output, volume, now, noise) {
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const envelope = this.createEnvelope(volume, now, now + noise.duration);
+        
+        source.buffer = this.getNoiseBuffer();
+        filter.type = 'lowpass';
+        filter.frequency.value = noise.filterFrequency;
+        
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(output);
+        source.start(now, 0, noise.duration);
+        
+        return source;
+    }
+    
+    /**
+     * Crea un nodo de ganancia con ataque de 10 ms y caída hasta el final
+     * @param {number} volume - Volumen del pico
+     * @param {number} start - Inicio en tiempo del contexto
+     * @param {number} end - Final en tiempo del contexto
+     * @returns {GainNode} Envolvente
+     */
+    createEnvelope(volume, start, end) {
+        const envelope = this.context.createGain();
+        
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(volume, start + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, end);
+        
+        return envelope;
+    }
+    
+    /**
+     * Obtiene un segundo de ruido blanco, generado una sola vez
+     * @returns {AudioBuffer} Buffer de ruido
+     */
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = this.random.range(-1, 1);
+            }
+        }
+        
+        return this.noiseBuffer;
+    }
+    
+    /**
+     * Obtiene el canal de un sonido
+     * @param {string} name - Nombre del sonido
+     * @returns {GainNode} Canal de música o de efectos
+     */
+    getBus(name) {
+        return AUDIO_CONFIG.musicSounds.includes(name) ? this.buses.music : this.buses.sfx;
+    }
+    
+    /**
+     * Obtiene cuántas voces de un sonido pueden sonar a la vez
+     * @param {string} name - Nombre del sonido
+     * @returns {number} Límite de voces
+     */
+    getConcurrencyLimit(name) {
+        return AUDIO_CONFIG.concurrencyLimits[name] || AUDIO_CONFIG.maxConcurrentPerSound;
+    }
+    
+    /**
+     * Cambia el volumen de un canal
+     * @param {string} channel - 'master', 'sfx' o 'music'
+     * @param {number} volume - Volumen de 0 a 1
+     * @returns {boolean} True si el canal existe
+     */
+    setVolume(channel, volume) {
+        const key = `${channel}Volume`;
+        if (!(key in this.settings) || !Number.isFinite(volume)) {
+            console.warn(`Volumen no válido: ${channel}=${volume}`);
+            return false;
+        }
+        
+        this.settings[key] = clamp(volume, 0, 1);
+        this.applyVolumes();
+        this.saveSettings();
+        return true;
+    }
+    
+    /**
+     * Activa o desactiva el silencio
+     * @param {boolean} muted - Si se silencia
+     */
+    setMuted(muted) {
+        this.settings.muted = Boolean(muted);
+        this.applyVolumes();
+        this.saveSettings();
+        console.log(this.settings.muted ? 'Audio silenciado' : 'Audio activado');
+    }
+    
+    /**
+     * Alterna el silencio
+     * @returns {boolean} True si queda silenciado
+     */
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+        return this.settings.muted;
+    }
+    
+    /**
+     * Verifica si el audio está silenciado
+     * @returns {boolean} True si está silenciado
+     */
+    isMuted() {
+        return this.settings.muted;
+    }
+    
+    /**
+     * Obtiene una copia de los ajustes de audio
+     * @returns {Object} { muted, masterVolume, sfxVolume, musicVolume }
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+    
+    /**
+     * Lee los ajustes guardados por el jugador
+     */
+    loadSettings() {
+        if (!this.storage) return;
+        
+        try {
+            const stored = JSON.parse(this.storage.getItem(AUDIO_CONFIG.storageKey));
+            if (!stored) return;
+            
+            if (stored.muted !== undefined) this.settings.muted = Boolean(stored.muted);
+            ['masterVolume', 'sfxVolume', 'musicVolume'].forEach(key => {
+                if (Number.isFinite(stored[key])) this.settings[key] = clamp(stored[key], 0, 1);
+            });
+        } catch (error) {
+            console.warn('AudioManager: ajustes de audio corruptos, se usan los valores por defecto');
+        }
+    }
+    
+    /**
+     * Guarda los ajustes del jugador
+     */
+    saveSettings() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(AUDIO_CONFIG.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('AudioManager: no se pudieron guardar los ajustes de audio', error.message);
+        }
+    }
+    
+    /**
+     * Obtiene información de debug del audio
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            enabled: this.enabled,
+            state: this.context ? this.context.state : 'sin contexto',
+            settings: this.getSettings(),
+            loadedSounds: Object.keys(this.buffers),
+            activeVoices: { ...this.activeVoices },
+            stats: { ...this.stats }
+        };
+    }
+}
+
+// Instancia global del audio (la usan torres, proyectiles y Game para sus eventos)
+const audioManager = new AudioManager();
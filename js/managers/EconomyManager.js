@@ -7,8 +7,12 @@ class EconomyManager {
     /**
      * Constructor del EconomyManager
      * @param {number} startingMoney - Dinero inicial del jugador
+     * @param {GameClock} clock - Reloj de simulación (por defecto el global)
      */
-    constructor(startingMoney = GAME_CONFIG.STARTING_MONEY) {
+    constructor(startingMoney = GAME_CONFIG.STARTING_MONEY, clock = gameClock) {
+        // Reloj de simulación (bonificaciones temporales)
+        this.clock = clock;
+        
         // Estado económico
         this.money = startingMoney;
         this.startingMoney = startingMoney;
@@ -60,7 +64,7 @@ class EconomyManager {
      * @param {number} deltaTime - Tiempo transcurrido en ms
      */
     updateBonuses(deltaTime) {
-        if (this.bonusActive && Date.now() > this.bonusEndTime) {
+        if (this.bonusActive && this.clock.now() >= this.bonusEndTime) {
             this.deactivateBonus();
         }
     }
@@ -78,8 +82,9 @@ class EconomyManager {
             return this.money;
         }
         
-        // Aplicar multiplicador de ganancias
-        const finalAmount = Math.floor(amount * this.earningsMultiplier);
+        // Aplicar multiplicador de ganancias (los reembolsos no se multiplican)
+        const multiplier = source === 'sell' ? 1.0 : this.earningsMultiplier;
+        const finalAmount = Math.floor(amount * multiplier);
         
         // Actualizar dinero
         const previousMoney = this.money;
@@ -289,6 +294,51 @@ class EconomyManager {
         });
     }
     
+    /**
+     * Procesa el pago de la siguiente mejora de una torre
+     * @param {Tower} tower - Torre a mejorar
+     * @returns {boolean} True si se pudo pagar la mejora
+     */
+    processTowerUpgrade(tower) {
+        if (!tower.canUpgrade()) {
+            console.log(`Torre ${tower.id} ya está al nivel máximo`);
+            return false;
+        }
+        
+        const baseCost = tower.getUpgradeCost();
+        
+        return this.spendMoney(baseCost, 'tower_upgrade', {
+            towerType: tower.type,
+            towerId: tower.id,
+            fromLevel: tower.level,
+            toLevel: tower.level + 1,
+            baseCost: baseCost,
+            multiplier: this.costMultiplier
+        });
+    }
+    
+    /**
+     * Procesa el reembolso por la venta de una torre
+     * @param {Tower} tower - Torre vendida
+     * @param {number} refundRate - Porcentaje de reembolso (0-1)
+     * @returns {number} Cantidad de dinero reembolsada
+     */
+    processTowerSale(tower, refundRate = GAME_CONFIG.SELL_REFUND_RATE) {
+        const refund = tower.getSellValue(refundRate);
+        
+        if (refund > 0) {
+            this.addMoney(refund, 'sell', {
+                towerType: tower.type,
+                towerId: tower.id,
+                level: tower.level,
+                totalInvested: tower.totalInvested,
+                refundRate: refundRate
+            });
+        }
+        
+        return refund;
+    }
+    
     /**
      * Activa una bonificación temporal
      * @param {number} earningsMultiplier - Multiplicador de ganancias
@@ -297,7 +347,7 @@ class EconomyManager {
     activateBonus(earningsMultiplier, duration) {
         this.earningsMultiplier = earningsMultiplier;
         this.bonusActive = true;
-        this.bonusEndTime = Date.now() + duration;
+        this.bonusEndTime = this.clock.now() + duration;
         
         console.log(`Bonificación activada: ${earningsMultiplier}x ganancias por ${duration / 1000}s`);
     }
@@ -347,7 +397,7 @@ class EconomyManager {
             costMultiplier: this.costMultiplier,
             bonusActive: this.bonusActive,
             bonusTimeRemaining: this.bonusActive ? 
-                               Math.max(0, this.bonusEndTime - Date.now()) : 0
+                               Math.max(0, this.bonusEndTime - this.clock.now()) : 0
         };
     }
     
@@ -449,7 +499,7 @@ class EconomyManager {
             costMultiplier: this.costMultiplier,
             bonusActive: this.bonusActive,
             bonusTimeRemaining: this.bonusActive ? 
-                               Math.max(0, this.bonusEndTime - Date.now()) : 0,
+                               Math.max(0, this.bonusEndTime - this.clock.now()) : 0,
             transactionCount: this.transactions.length,
             stats: this.stats
         };
@@ -465,7 +515,9 @@ class EconomyManager {
             stats: this.stats,
             transactions: this.transactions.slice(-20), // Solo las últimas 20 transacciones
             earningsMultiplier: this.earningsMultiplier,
-            costMultiplier: this.costMultiplier
+            costMultiplier: this.costMultiplier,
+            bonusActive: this.bonusActive,
+            bonusEndTime: this.bonusEndTime
         };
     }
     
@@ -479,6 +531,8 @@ class EconomyManager {
         if (data.transactions) this.transactions = [...data.transactions];
         if (data.earningsMultiplier) this.earningsMultiplier = data.earningsMultiplier;
         if (data.costMultiplier) this.costMultiplier = data.costMultiplier;
+        if (data.bonusActive !== undefined) this.bonusActive = data.bonusActive;
+        if (data.bonusEndTime !== undefined) this.bonusEndTime = data.bonusEndTime;
         
         console.log('Datos económicos importados');
     }
@@ -0,0 +1,251 @@
+/**
+ * Clase SaveManager para guardar y cargar partidas en curso
+ * Almacena instantáneas del juego en ranuras de localStorage con versión de esquema
+ */
+
+class SaveManager {
+    /**
+     * Constructor del SaveManager
+     * @param {Storage|null} storage - Almacenamiento a usar (por defecto localStorage)
+     * @param {string} prefix - Prefijo de las claves de guardado
+     */
+    constructor(storage = SaveManager.getDefaultStorage(), prefix = SAVE_CONFIG.storagePrefix) {
+        this.storage = storage;
+        this.prefix = prefix;
+        this.slotCount = SAVE_CONFIG.slots;
+        this.schemaVersion = SAVE_CONFIG.schemaVersion;
+        
+        // Migraciones por versión de origen: migrations[n] convierte un guardado v(n) en v(n + 1)
+        this.migrations = {};
+        
+        if (!this.storage) {
+            console.warn('SaveManager: localStorage no disponible, el guardado está desactivado');
+        }
+        
+        console.log(`SaveManager inicializado con ${this.slotCount} ranuras`);
+    }
+    
+    /**
+     * Obtiene localStorage si está disponible (puede fallar en modo privado o file://)
+     * @returns {Storage|null} Almacenamiento o null
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Verifica si una ranura es válida
+     * @param {number} slot - Número de ranura (1 a slotCount)
+     * @returns {boolean} True si la ranura existe
+     */
+    isValidSlot(slot) {
+        return Number.isInteger(slot) && slot >= 1 && slot <= this.slotCount;
+    }
+    
+    /**
+     * Obtiene la clave de almacenamiento de una ranura
+     * @param {number} slot - Número de ranura
+     * @returns {string} Clave en el almacenamiento
+     */
+    getSlotKey(slot) {
+        return `${this.prefix}${slot}`;
+    }
+    
+    /**
+     * Guarda una instantánea del juego en una ranura
+     * @param {number} slot - Número de ranura
+     * @param {Object} gameData - Datos exportados con Game.exportData()
+     * @returns {boolean} True si se guardó correctamente
+     */
+    save(slot, gameData) {
+        if (!this.storage || !this.isValidSlot(slot)) {
+            console.warn(`No se puede guardar en la ranura ${slot}`);
+            return false;
+        }
+        
+        const record = {
+            schemaVersion: this.schemaVersion,
+            savedAt: new Date().toISOString(),
+            summary: this.createSummary(gameData),
+            game: gameData
+        };
+        
+        try {
+            this.storage.setItem(this.getSlotKey(slot), JSON.stringify(record));
+            console.log(`Partida guardada en la ranura ${slot}`);
+            return true;
+        } catch (error) {
+            console.error(`Error al guardar en la ranura ${slot}:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Carga la instantánea de una ranura, migrándola si es de una versión anterior
+     * @param {number} slot - Número de ranura
+     * @returns {Object|null} Datos del juego o null si no hay guardado válido
+     */
+    load(slot) {
+        const record = this.readRecord(slot);
+        if (!record) return null;
+        
+        const migrated = this.migrate(record);
+        if (!migrated) return null;
+        
+        console.log(`Partida cargada de la ranura ${slot}`);
+        return migrated.game;
+    }
+    
+    /**
+     * Lee y parsea el registro guardado en una ranura
+     * @param {number} slot - Número de ranura
+     * @returns {Object|null} Registro guardado o null
+     */
+    readRecord(slot) {
+        if (!this.storage || !this.isValidSlot(slot)) return null;
+        
+        try {
+            const raw = this.storage.getItem(this.getSlotKey(slot));
+            if (!raw) return null;
+            
+            const record = JSON.parse(raw);
+            if (!record || typeof record.schemaVersion !== 'number' || !record.game) {
+                console.warn(`Guardado de la ranura ${slot} con formato desconocido`);
+                return null;
+            }
+            return record;
+        } catch (error) {
+            console.error(`Error al leer la ranura ${slot}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Aplica las migraciones necesarias hasta la versión actual del esquema
+     * @param {Object} record - Registro guardado
+     * @returns {Object|null} Registro en la versión actual o null si no se puede migrar
+     */
+    migrate(record) {
+        if (record.schemaVersion > this.schemaVersion) {
+            console.warn(`Guardado con versión ${record.schemaVersion} más nueva que la soportada (${this.schemaVersion})`);
+            return null;
+        }
+        
+        let current = record;
+        while (current.schemaVersion < this.schemaVersion) {
+            const migration = this.migrations[current.schemaVersion];
+            if (!migration) {
+                console.warn(`No hay migración desde la versión ${current.schemaVersion}`);
+                return null;
+            }
+            current = { ...migration(current), schemaVersion: current.schemaVersion + 1 };
+        }
+        
+        return current;
+    }
+    
+    /**
+     * Crea un resumen legible de la partida para mostrar en la lista de ranuras
+     * @param {Object} gameData - Datos del juego
+     * @returns {Object} Resumen con oleada, vidas y dinero
+     */
+    createSummary(gameData) {
+        return {
+            wave: gameData.waveManager ? gameData.waveManager.currentWave + 1 : 1,
+            lives: gameData.lives,
+            money: gameData.economy ? gameData.economy.money : 0
+        };
+    }
+    
+    /**
+     * Obtiene la información de todas las ranuras
+     * @returns {Array} Array de { slot, empty, savedAt, summary }
+     */
+    listSlots() {
+        const slots = [];
+        
+        for (let slot = 1; slot <= this.slotCount; slot++) {
+            const record = this.readRecord(slot);
+            slots.push({
+                slot: slot,
+                empty: !record,
+                savedAt: record ? record.savedAt : null,
+                summary: record ? record.summary : null
+            });
+        }
+        
+        return slots;
+    }
+    
+    /**
+     * Verifica si una ranura tiene un guardado
+     * @param {number} slot - Número de ranura
+     * @returns {boolean} True si hay guardado
+     */
+    hasSave(slot) {
+        return this.readRecord(slot) !== null;
+    }
+    
+    /**
+     * Elimina el guardado de una ranura
+     * @param {number} slot - Número de ranura
+     */
+    deleteSlot(slot) {
+        if (!this.storage || !this.isValidSlot(slot)) return;
+        
+        this.storage.removeItem(this.getSlotKey(slot));
+        console.log(`Ranura ${slot} eliminada`);
+    }
+    
+    /**
+     * Lee las mejores marcas guardadas
+     * @returns {Object} Oleada más alta alcanzada por nivel { [levelId]: wave }
+     */
+    readRecords() {
+        if (!this.storage) return {};
+        
+        try {
+            const records = JSON.parse(this.storage.getItem(SAVE_CONFIG.recordsKey));
+            return records && typeof records === 'object' ? records : {};
+        } catch (error) {
+            console.error('Mejores marcas corruptas:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Obtiene la oleada más alta alcanzada en modo infinito en un nivel
+     * @param {string} levelId - Identificador del nivel
+     * @returns {number} Oleada más alta (0 si no hay marca)
+     */
+    getHighestWave(levelId) {
+        return this.readRecords()[levelId] || 0;
+    }
+    
+    /**
+     * Registra una oleada alcanzada si supera la marca del nivel
+     * @param {string} levelId - Identificador del nivel
+     * @param {number} wave - Oleada alcanzada
+     * @returns {boolean} True si es una marca nueva
+     */
+    recordHighestWave(levelId, wave) {
+        if (!this.storage || wave <= this.getHighestWave(levelId)) return false;
+        
+        const records = this.readRecords();
+        records[levelId] = wave;
+        
+        try {
+            this.storage.setItem(SAVE_CONFIG.recordsKey, JSON.stringify(records));
+        } catch (error) {
+            console.error('Error al guardar la mejor marca:', error);
+            return false;
+        }
+        
+        console.log(`Nueva mejor marca en ${levelId}: oleada ${wave}`);
+        return true;
+    }
+}
@@ -23,10 +23,53 @@ class UIManager {
             basicTower: document.getElementById('basicTower'),
             sniperTower: document.getElementById('sniperTower'),
             areaTower: document.getElementById('areaTower'),
+            frostTower: document.getElementById('frostTower'),
+            laserTower: document.getElementById('laserTower'),
+            supportTower: document.getElementById('supportTower'),
+            
+            // Selected tower panel
+            selectedTowerPanel: document.getElementById('selectedTowerPanel'),
+            selectedTowerName: document.getElementById('selectedTowerName'),
+            selectedTowerLevel: document.getElementById('selectedTowerLevel'),
+            selectedTowerStats: document.getElementById('selectedTowerStats'),
+            selectedTowerTargetingControls: document.getElementById('selectedTowerTargetingControls'),
+            selectedTowerTargeting: document.getElementById('selectedTowerTargeting'),
+            selectedTowerKeepTarget: document.getElementById('selectedTowerKeepTarget'),
+            upgradeTower: document.getElementById('upgradeTower'),
+            sellTower: document.getElementById('sellTower'),
+            
+            // Save panel
+            saveSlot: document.getElementById('saveSlot'),
+            saveGame: document.getElementById('saveGame'),
+            loadGame: document.getElementById('loadGame'),
+            
+            // Editor panel
+            editorPanel: document.getElementById('editorPanel'),
+            editorPathSelect: document.getElementById('editorPathSelect'),
+            editorPathLength: document.getElementById('editorPathLength'),
+            editorStatus: document.getElementById('editorStatus'),
+            toggleEditor: document.getElementById('toggleEditor'),
+            
+            // Wave editor
+            waveEditorSelect: document.getElementById('waveEditorSelect'),
+            waveEditorGroups: document.getElementById('waveEditorGroups'),
+            waveEditorReward: document.getElementById('waveEditorReward'),
+            waveEditorTimeline: document.getElementById('waveEditorTimeline'),
+            waveEditorSummary: document.getElementById('waveEditorSummary'),
+            waveEditorErrors: document.getElementById('waveEditorErrors'),
             
             // Control buttons
+            gameMode: document.getElementById('gameMode'),
+            bestWave: document.getElementById('bestWave'),
+            bestWaveItem: document.getElementById('bestWaveItem'),
+            bossItem: document.getElementById('bossItem'),
+            bossName: document.getElementById('bossName'),
+            bossPhase: document.getElementById('bossPhase'),
+            bossBarFill: document.getElementById('bossBarFill'),
             startWave: document.getElementById('startWave'),
             pauseGame: document.getElementById('pauseGame'),
+            gameSpeed: document.getElementById('gameSpeed'),
+            stepFrame: document.getElementById('stepFrame'),
             resetGame: document.getElementById('resetGame'),
             
             // Overlay screens
@@ -46,7 +89,10 @@ class UIManager {
             lives: -1,
             money: -1,
             wave: '',
-            enemies: -1
+            enemies: -1,
+            bestWave: null,
+            boss: '',
+            towerStats: ''
         };
         
         // Configuración de animaciones
@@ -63,7 +109,7 @@ class UIManager {
         };
         
         // Tooltips y feedback
-        this.tooltips = new Map();
+        this.tooltips = new WeakMap(); // Map está sombreado por la clase Map del juego
         this.notifications = [];
         
         // Verificar que todos los elementos existen
@@ -113,7 +159,10 @@ class UIManager {
         const towerButtons = [
             { element: this.elements.basicTower, type: 'BASIC' },
             { element: this.elements.sniperTower, type: 'SNIPER' },
-            { element: this.elements.areaTower, type: 'AREA' }
+            { element: this.elements.areaTower, type: 'AREA' },
+            { element: this.elements.frostTower, type: 'FROST' },
+            { element: this.elements.laserTower, type: 'LASER' },
+            { element: this.elements.supportTower, type: 'SUPPORT' }
         ];
         
         towerButtons.forEach(({ element, type }) => {
@@ -137,15 +186,67 @@ class UIManager {
         return `
             <div class="tooltip">
                 <h4>${towerConfig.name}</h4>
-                <p><strong>Daño:</strong> ${towerConfig.damage}</p>
-                <p><strong>Rango:</strong> ${towerConfig.range}</p>
-                <p><strong>Cadencia:</strong> ${towerConfig.fireRate}/s</p>
+                ${this.createTowerTooltipStats(towerConfig)}
                 <p><strong>Costo:</strong> $${towerConfig.cost}</p>
                 ${towerConfig.splash ? '<p><strong>Daño de área</strong></p>' : ''}
+                ${towerConfig.effects ? '<p><strong>Ralentiza a los enemigos</strong></p>' : ''}
+                ${towerConfig.targetsAir === false ? '<p><strong>No ataca a voladores</strong></p>' : ''}
+                ${this.createTowerTooltipEffectiveness(towerConfig)}
             </div>
         `;
     }
     
+    /**
+     * Crea las líneas de tipo de daño y efectividad contra cada tipo de enemigo
+     * La efectividad es el porcentaje de daño que llega tras armadura y resistencias
+     * @param {Object} towerConfig - Configuración de la torre
+     * @returns {string} HTML de la efectividad (vacío si la torre no hace daño)
+     */
+    createTowerTooltipEffectiveness(towerConfig) {
+        if (!towerConfig.damageType) return '';
+        
+        const lines = Object.entries(ENEMY_TYPES).map(([type, enemyConfig]) => {
+            if (enemyConfig.flying && towerConfig.targetsAir === false) {
+                return `<p>${enemyConfig.name}: <span style="color: #9E9E9E">no alcanza</span></p>`;
+            }
+            
+            const effectiveness = Math.round(Enemy.getDamageMultiplierFor(enemyConfig, towerConfig.damageType) * 100);
+            let color = 'inherit';
+            if (effectiveness > 100) color = '#4CAF50';
+            else if (effectiveness < 75) color = '#F44336';
+            
+            return `<p>${enemyConfig.name}: <span style="color: ${color}">${effectiveness}%</span></p>`;
+        });
+        
+        return `
+                <p><strong>Tipo de daño:</strong> ${DAMAGE_TYPES[towerConfig.damageType].name}</p>
+                ${lines.join('')}`;
+    }
+    
+    /**
+     * Crea las líneas de estadísticas del tooltip según el tipo de ataque de la torre
+     * @param {Object} towerConfig - Configuración de la torre
+     * @returns {string} HTML de las estadísticas
+     */
+    createTowerTooltipStats(towerConfig) {
+        switch (towerConfig.attackType) {
+            case 'beam':
+                return `
+                <p><strong>Daño/s:</strong> ${towerConfig.damage}</p>
+                <p><strong>Rango:</strong> ${towerConfig.range}</p>`;
+                
+            case 'aura':
+                return `
+                <p><strong>Vecinas:</strong> +${Math.round(towerConfig.aura.range * 100)}% rango, +${Math.round(towerConfig.aura.fireRate * 100)}% cadencia</p>`;
+                
+            default:
+                return `
+                <p><strong>Daño:</strong> ${towerConfig.damage}</p>
+                <p><strong>Rango:</strong> ${towerConfig.range}</p>
+                <p><strong>Cadencia:</strong> ${towerConfig.fireRate}/s</p>`;
+        }
+    }
+    
     /**
      * Configura efectos hover para botones
      */
@@ -179,12 +280,33 @@ class UIManager {
         if (this.elements.areaTower) {
             this.elements.areaTower.title = 'Torre de Área (Tecla 3)';
         }
+        if (this.elements.frostTower) {
+            this.elements.frostTower.title = 'Torre de Hielo (Tecla 4)';
+        }
+        if (this.elements.laserTower) {
+            this.elements.laserTower.title = 'Torre Láser (Tecla 5)';
+        }
+        if (this.elements.supportTower) {
+            this.elements.supportTower.title = 'Torre de Apoyo (Tecla 6)';
+        }
         if (this.elements.startWave) {
             this.elements.startWave.title = 'Iniciar Oleada (Barra espaciadora)';
         }
         if (this.elements.pauseGame) {
             this.elements.pauseGame.title = 'Pausar/Reanudar (Tecla P)';
         }
+        if (this.elements.gameSpeed) {
+            this.elements.gameSpeed.title = 'Cambiar velocidad 1x/2x/4x (Tecla F)';
+        }
+        if (this.elements.stepFrame) {
+            this.elements.stepFrame.title = 'Avanzar un paso con el juego en pausa (Tecla N)';
+        }
+        if (this.elements.upgradeTower) {
+            this.elements.upgradeTower.title = 'Mejorar torre seleccionada (Tecla U)';
+        }
+        if (this.elements.sellTower) {
+            this.elements.sellTower.title = 'Vender torre seleccionada (Tecla S o Supr)';
+        }
     }
     
     /**
@@ -201,6 +323,9 @@ class UIManager {
         // Actualizar botones de control
         this.updateControlButtons(gameState);
         
+        // Actualizar panel de torre seleccionada
+        this.updateSelectedTowerPanel(gameState);
+        
         // Actualizar animaciones
         this.updateAnimations();
         
@@ -225,8 +350,10 @@ class UIManager {
             this.cachedValues.money = gameState.money;
         }
         
-        // Actualizar información de oleada
-        const waveInfo = `${gameState.currentWave}/${gameState.totalWaves}`;
+        // Actualizar información de oleada (en modo infinito no hay total)
+        const waveInfo = gameState.endless ?
+            `${gameState.currentWave} (∞)` :
+            `${gameState.currentWave}/${gameState.totalWaves}`;
         if (waveInfo !== this.cachedValues.wave) {
             this.updateWave(waveInfo, gameState.waveInProgress);
             this.cachedValues.wave = waveInfo;
@@ -237,6 +364,52 @@ class UIManager {
             this.updateEnemies(gameState.enemiesRemaining);
             this.cachedValues.enemies = gameState.enemiesRemaining;
         }
+        
+        // Actualizar récord del modo infinito
+        const bestWave = gameState.endless ? gameState.bestWave : -1;
+        if (bestWave !== this.cachedValues.bestWave) {
+            this.updateBestWave(gameState.endless, gameState.bestWave);
+            this.cachedValues.bestWave = bestWave;
+        }
+        
+        // Actualizar barra del jefe
+        const boss = gameState.boss;
+        const bossKey = boss ? `${Math.ceil(boss.health)}/${boss.phase}/${boss.invulnerable}` : 'none';
+        if (bossKey !== this.cachedValues.boss) {
+            this.updateBossBar(boss);
+            this.cachedValues.boss = bossKey;
+        }
+    }
+    
+    /**
+     * Actualiza la barra de vida del jefe (oculta si no hay ninguno en juego)
+     * @param {Object|null} boss - Estado del jefe de Game.getBossState
+     */
+    updateBossBar(boss) {
+        if (!this.elements.bossItem) return;
+        
+        this.elements.bossItem.classList.toggle('hidden', !boss);
+        if (!boss) return;
+        
+        this.elements.bossName.textContent = boss.name;
+        this.elements.bossPhase.textContent = `Fase ${boss.phase}/${boss.totalPhases}`;
+        this.elements.bossBarFill.style.width = `${(boss.health / boss.maxHealth) * 100}%`;
+        this.elements.bossBarFill.classList.toggle('invulnerable', boss.invulnerable);
+    }
+    
+    /**
+     * Actualiza el récord de oleada del modo infinito (oculto en modo normal)
+     * @param {boolean} endless - Si la partida es en modo infinito
+     * @param {number} bestWave - Oleada más alta alcanzada en el nivel
+     */
+    updateBestWave(endless, bestWave) {
+        if (this.elements.bestWaveItem) {
+            this.elements.bestWaveItem.classList.toggle('hidden', !endless);
+        }
+        
+        if (this.elements.bestWave) {
+            this.elements.bestWave.textContent = bestWave;
+        }
     }
     
     /**
@@ -382,7 +555,10 @@ class UIManager {
         const towerButtons = [
             { element: this.elements.basicTower, type: 'BASIC' },
             { element: this.elements.sniperTower, type: 'SNIPER' },
-            { element: this.elements.areaTower, type: 'AREA' }
+            { element: this.elements.areaTower, type: 'AREA' },
+            { element: this.elements.frostTower, type: 'FROST' },
+            { element: this.elements.laserTower, type: 'LASER' },
+            { element: this.elements.supportTower, type: 'SUPPORT' }
         ];
         
         towerButtons.forEach(({ element, type }) => {
@@ -432,12 +608,183 @@ class UIManager {
             this.elements.pauseGame.textContent = gameState.isPaused ? 'Reanudar' : 'Pausar';
         }
         
+        // Velocidad y avance paso a paso (solo en pausa)
+        if (this.elements.gameSpeed) {
+            this.elements.gameSpeed.textContent = `Velocidad ${gameState.speed}x`;
+            this.elements.gameSpeed.disabled = gameState.gameOver;
+        }
+        if (this.elements.stepFrame) {
+            this.elements.stepFrame.disabled = !gameState.isPaused || gameState.gameOver;
+        }
+        
         // Botón de reset
         if (this.elements.resetGame) {
             this.elements.resetGame.disabled = false; // Siempre disponible
         }
     }
     
+    /**
+     * Actualiza el panel de la torre seleccionada
+     * @param {Object} gameState - Estado del juego
+     */
+    updateSelectedTowerPanel(gameState) {
+        const panel = this.elements.selectedTowerPanel;
+        if (!panel) return;
+        
+        const tower = gameState.selectedTower;
+        panel.classList.toggle('hidden', !tower);
+        if (!tower) {
+            this.cachedValues.towerStats = '';
+            return;
+        }
+        
+        if (this.elements.selectedTowerName) {
+            this.elements.selectedTowerName.textContent = tower.name;
+        }
+        
+        if (this.elements.selectedTowerLevel) {
+            this.elements.selectedTowerLevel.textContent = `${tower.level}/${tower.maxLevel}`;
+        }
+        
+        this.updateTowerStats(tower);
+        this.updateTargetingControls(tower);
+        
+        if (this.elements.upgradeTower) {
+            const button = this.elements.upgradeTower;
+            
+            if (tower.canUpgrade) {
+                button.textContent = `Mejorar (${formatMoney(tower.upgradeCost)})`;
+                button.disabled = gameState.money < tower.upgradeCost || gameState.gameOver;
+            } else {
+                button.textContent = 'Nivel Máximo';
+                button.disabled = true;
+            }
+        }
+        
+        if (this.elements.sellTower) {
+            this.elements.sellTower.textContent = `Vender (${formatMoney(tower.sellValue)})`;
+            this.elements.sellTower.disabled = gameState.gameOver;
+        }
+    }
+    
+    /**
+     * Actualiza las estadísticas en vivo del panel de la torre seleccionada
+     * Solo reconstruye las filas cuando cambia algún valor
+     * @param {Object} tower - Estado de la torre seleccionada (Game.getSelectedTowerState)
+     */
+    updateTowerStats(tower) {
+        const container = this.elements.selectedTowerStats;
+        if (!container) return;
+        
+        const rows = this.getTowerStatRows(tower);
+        const key = `${tower.id}|${rows.map(row => row.value).join('|')}`;
+        if (key === this.cachedValues.towerStats) return;
+        this.cachedValues.towerStats = key;
+        
+        container.innerHTML = '';
+        rows.forEach(row => {
+            const item = document.createElement('div');
+            item.className = row.highlight ? 'selected-tower-stat highlight' : 'selected-tower-stat';
+            
+            const label = document.createElement('span');
+            label.className = 'hud-label';
+            label.textContent = `${row.label}:`;
+            
+            const value = document.createElement('span');
+            value.className = 'hud-value';
+            value.textContent = row.value;
+            
+            item.appendChild(label);
+            item.appendChild(value);
+            container.appendChild(item);
+        });
+    }
+    
+    /**
+     * Construye las filas de estadísticas según el tipo de ataque de la torre
+     * @param {Object} tower - Estado de la torre seleccionada
+     * @returns {Array} Filas { label, value, highlight }
+     */
+    getTowerStatRows(tower) {
+        const stats = tower.stats;
+        const rows = [{ label: 'Invertido', value: formatMoney(tower.totalInvested) }];
+        
+        if (tower.attackType === 'aura') {
+            rows.push(
+                { label: 'Rango vecinas', value: `+${Math.round(tower.aura.range * 100)}%` },
+                { label: 'Cadencia vecinas', value: `+${Math.round(tower.aura.fireRate * 100)}%` },
+                { label: 'Tiempo activa', value: formatTime(stats.timeActive) }
+            );
+            return rows;
+        }
+        
+        const damageTypeName = DAMAGE_TYPES[tower.damageType].name;
+        rows.push(
+            {
+                label: tower.attackType === 'beam' ? 'Daño/s' : 'Daño',
+                value: `${tower.damage} (${damageTypeName})`
+            },
+            // Las estadísticas mejoradas por una torre de apoyo se resaltan
+            { label: 'Rango', value: String(tower.range), highlight: tower.buffed }
+        );
+        
+        if (tower.attackType !== 'beam') {
+            rows.push({ label: 'Cadencia', value: `${tower.fireRate}/s`, highlight: tower.buffed });
+        }
+        
+        rows.push(
+            { label: 'Eliminados', value: String(stats.enemiesKilled) },
+            { label: 'Daño total', value: String(Math.round(stats.totalDamageDealt)) }
+        );
+        
+        if (stats.splashDamage > 0) {
+            rows.push({ label: 'Daño de área', value: String(Math.round(stats.splashDamage)) });
+        }
+        if (stats.effectDamage > 0) {
+            rows.push({ label: 'Daño de efectos', value: String(Math.round(stats.effectDamage)) });
+        }
+        
+        if (tower.attackType !== 'beam') {
+            rows.push({ label: 'Precisión', value: `${tower.accuracy}% (${stats.shotsHit}/${stats.shotsFired})` });
+        }
+        
+        rows.push({ label: 'Tiempo activa', value: formatTime(stats.timeActive) });
+        return rows;
+    }
+    
+    /**
+     * Sincroniza el selector de modo de targeting y la opción de mantener objetivo
+     * @param {Object} tower - Estado de la torre seleccionada
+     */
+    updateTargetingControls(tower) {
+        const controls = this.elements.selectedTowerTargetingControls;
+        if (controls) {
+            // Las torres de apoyo no eligen objetivo
+            controls.classList.toggle('hidden', !tower.canTarget);
+        }
+        
+        const select = this.elements.selectedTowerTargeting;
+        if (select) {
+            // Reconstruir las opciones solo si cambió la lista de modos registrados
+            const modes = getTargetingModes();
+            const values = Array.from(select.options || []).map(option => option.value);
+            if (values.join(',') !== modes.map(entry => entry.mode).join(',')) {
+                select.innerHTML = '';
+                modes.forEach(entry => {
+                    const option = document.createElement('option');
+                    option.value = entry.mode;
+                    option.textContent = entry.name;
+                    select.appendChild(option);
+                });
+            }
+            select.value = tower.targetingMode;
+        }
+        
+        if (this.elements.selectedTowerKeepTarget) {
+            this.elements.selectedTowerKeepTarget.checked = tower.keepTarget;
+        }
+    }
+    
     /**
      * Actualiza las animaciones activas
      */
@@ -498,6 +845,18 @@ class UIManager {
         console.log('Torre seleccionada:', this.selectedTowerType);
     }
     
+    /**
+     * Muestra solo los botones de las torres disponibles en el nivel
+     * @param {Array} towerTypes - Tipos de torre disponibles
+     */
+    updateTowerAvailability(towerTypes) {
+        document.querySelectorAll('.tower-btn').forEach(btn => {
+            const available = towerTypes.includes(btn.dataset.tower);
+            btn.classList.toggle('hidden', !available);
+            btn.disabled = !available;
+        });
+    }
+    
     /**
      * Obtiene el tipo de torre seleccionado
      * @returns {string|null} Tipo de torre seleccionado
@@ -598,6 +957,201 @@ class UIManager {
         }
     }
     
+    /**
+     * Actualiza las etiquetas del selector de ranuras de guardado
+     * @param {Array} slots - Información de ranuras de SaveManager.listSlots()
+     */
+    updateSaveSlots(slots) {
+        const select = this.elements.saveSlot;
+        if (!select || !select.options) return;
+        
+        slots.forEach(slotInfo => {
+            const option = select.options[slotInfo.slot - 1];
+            if (!option) return;
+            
+            option.textContent = slotInfo.empty ?
+                `Ranura ${slotInfo.slot} (vacía)` :
+                `Ranura ${slotInfo.slot} - Oleada ${slotInfo.summary.wave}, ${slotInfo.summary.lives} vidas`;
+        });
+        
+        if (this.elements.loadGame) {
+            const selected = slots[select.selectedIndex];
+            this.elements.loadGame.disabled = !selected || selected.empty;
+        }
+    }
+    
+    /**
+     * Muestra u oculta el panel del editor de niveles
+     * @param {boolean} visible - Si el panel debe mostrarse
+     */
+    showEditorPanel(visible) {
+        if (this.elements.editorPanel) {
+            this.elements.editorPanel.classList.toggle('hidden', !visible);
+        }
+        if (this.elements.toggleEditor) {
+            this.elements.toggleEditor.textContent = visible ? 'Salir del editor' : 'Editor de niveles';
+        }
+    }
+    
+    /**
+     * Actualiza el panel del editor con su estado actual
+     * @param {Object} state - Estado de LevelEditor.getState()
+     */
+    updateEditorPanel(state) {
+        const select = this.elements.editorPathSelect;
+        if (select) {
+            // Reconstruir las opciones solo si cambió la lista de caminos
+            const names = Array.from(select.options || []).map(option => option.value);
+            if (names.join(',') !== state.pathNames.join(',')) {
+                select.innerHTML = '';
+                state.pathNames.forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name;
+                    select.appendChild(option);
+                });
+            }
+            select.value = state.currentPath;
+        }
+        
+        if (this.elements.editorPathLength) {
+            this.elements.editorPathLength.textContent = `${state.pathLength}px (${state.waypointCount} puntos)`;
+        }
+        
+        if (this.elements.editorStatus) {
+            this.elements.editorStatus.textContent = state.valid ? 'Nivel válido' : state.errors[0];
+            this.elements.editorStatus.classList.toggle('invalid', !state.valid);
+        }
+        
+        document.querySelectorAll('.editor-tool-btn').forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.tool === state.tool);
+        });
+    }
+    
+    /**
+     * Reconstruye el editor de oleadas (se llama tras cada cambio, no cada frame,
+     * para no perder el foco de los campos)
+     * @param {Object} state - Estado de WaveEditor.getState()
+     */
+    renderWaveEditor(state) {
+        const select = this.elements.waveEditorSelect;
+        if (select) {
+            select.innerHTML = '';
+            for (let i = 0; i < state.waveCount; i++) {
+                const option = document.createElement('option');
+                option.value = String(i);
+                option.textContent = `Oleada ${i + 1}`;
+                select.appendChild(option);
+            }
+            select.value = String(state.selectedWave);
+        }
+        
+        if (this.elements.waveEditorGroups) {
+            this.elements.waveEditorGroups.innerHTML = '';
+            state.wave.enemies.forEach((group, groupIndex) => {
+                this.elements.waveEditorGroups.appendChild(this.createWaveGroupRow(group, groupIndex, state));
+            });
+        }
+        
+        if (this.elements.waveEditorReward) {
+            this.elements.waveEditorReward.value = state.wave.reward !== undefined ? state.wave.reward : 0;
+        }
+        
+        this.renderSpawnTimeline(state.timeline);
+        
+        if (this.elements.waveEditorErrors) {
+            this.elements.waveEditorErrors.innerHTML = '';
+            state.errors.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                this.elements.waveEditorErrors.appendChild(item);
+            });
+        }
+    }
+    
+    /**
+     * Crea la fila de edición de un grupo de enemigos
+     * Los campos llevan data-group y data-field para que main.js delegue los eventos
+     * @param {Object} group - Grupo { type, count, spawnInterval, path }
+     * @param {number} groupIndex - Índice del grupo
+     * @param {Object} state - Estado del editor de oleadas
+     * @returns {HTMLElement} Fila del grupo
+     */
+    createWaveGroupRow(group, groupIndex, state) {
+        const row = document.createElement('div');
+        row.className = 'wave-group';
+        
+        const createSelect = (field, values, selected, getLabel) => {
+            const select = document.createElement('select');
+            select.dataset.group = String(groupIndex);
+            select.dataset.field = field;
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = getLabel(value);
+                select.appendChild(option);
+            });
+            select.value = selected;
+            return select;
+        };
+        
+        const createNumberInput = (field, value, title) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'wave-input';
+            input.title = title;
+            input.dataset.group = String(groupIndex);
+            input.dataset.field = field;
+            input.value = value;
+            return input;
+        };
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'control-btn danger';
+        removeBtn.textContent = 'x';
+        removeBtn.dataset.group = String(groupIndex);
+        removeBtn.dataset.action = 'remove';
+        
+        row.appendChild(createSelect('type', state.enemyTypes, group.type,
+            type => (ENEMY_TYPES[type] ? ENEMY_TYPES[type].name : type)));
+        row.appendChild(createNumberInput('count', group.count, 'Cantidad'));
+        row.appendChild(createNumberInput('spawnInterval', group.spawnInterval, 'Intervalo de spawn (ms)'));
+        row.appendChild(createSelect('path', state.pathNames, group.path || DEFAULT_PATH_NAME, name => name));
+        row.appendChild(removeBtn);
+        
+        return row;
+    }
+    
+    /**
+     * Dibuja la línea temporal de spawn de la oleada seleccionada
+     * @param {Object|null} timeline - Resultado de WaveManager.getSpawnTimeline o null si la oleada no es válida
+     */
+    renderSpawnTimeline(timeline) {
+        const container = this.elements.waveEditorTimeline;
+        const summary = this.elements.waveEditorSummary;
+        
+        if (container) {
+            container.innerHTML = '';
+            if (timeline) {
+                timeline.entries.forEach(entry => {
+                    const mark = document.createElement('span');
+                    mark.className = 'wave-timeline-mark';
+                    mark.style.left = `${timeline.duration > 0 ? (entry.time / timeline.duration) * 100 : 0}%`;
+                    mark.style.background = ENEMY_TYPES[entry.type].color;
+                    mark.title = `${ENEMY_TYPES[entry.type].name} (${entry.path}) - ${(entry.time / 1000).toFixed(1)}s`;
+                    container.appendChild(mark);
+                });
+            }
+        }
+        
+        if (summary) {
+            summary.textContent = !timeline ?
+                'Corrige los errores para ver la línea temporal' :
+                `${timeline.entries.length} enemigos en ${(timeline.duration / 1000).toFixed(1)}s` +
+                (timeline.shuffled ? ' (orden mezclado, ejemplo con la semilla actual)' : '');
+        }
+    }
+    
     /**
      * Muestra una notificación temporal
      * @param {string} message - Mensaje de la notificación
@@ -634,7 +1188,10 @@ class UIManager {
             lives: -1,
             money: -1,
             wave: '',
-            enemies: -1
+            enemies: -1,
+            bestWave: null,
+            boss: '',
+            towerStats: ''
         };
         
         // Limpiar animaciones y notificaciones
@@ -0,0 +1,117 @@
+/**
+ * Clase WaveGenerator para el modo infinito
+ * Genera oleadas nuevas a partir de un presupuesto de dificultad que crece con cada oleada
+ */
+
+class WaveGenerator {
+    /**
+     * Constructor del WaveGenerator
+     * @param {Object} config - Configuración del modo infinito
+     * @param {SeededRandom} random - Generador aleatorio (por defecto el global, para partidas reproducibles)
+     */
+    constructor(config = ENDLESS_CONFIG, random = rng) {
+        this.config = config;
+        this.random = random;
+    }
+    
+    /**
+     * Calcula el coste de una oleada sumando el coste de sus enemigos
+     * @param {Object} waveData - Datos de la oleada
+     * @returns {number} Coste total
+     */
+    getWaveCost(waveData) {
+        return waveData.enemies.reduce((total, group) => {
+            return total + group.count * (this.config.enemyCosts[group.type] || 1);
+        }, 0);
+    }
+    
+    /**
+     * Calcula el presupuesto de la siguiente oleada a partir de la anterior
+     * @param {Object|null} previousWave - Última oleada (escrita o generada)
+     * @returns {number} Presupuesto de dificultad
+     */
+    getNextBudget(previousWave) {
+        if (!previousWave) return this.config.baseBudget;
+        
+        const previousBudget = previousWave.budget || this.getWaveCost(previousWave);
+        return previousBudget * this.config.budgetGrowth;
+    }
+    
+    /**
+     * Obtiene los tipos de enemigo disponibles en una oleada
+     * @param {number} waveNumber - Número de oleada (desde 1)
+     * @returns {Array} Tipos desbloqueados
+     */
+    getAvailableTypes(waveNumber) {
+        return Object.keys(this.config.enemyCosts).filter(type => {
+            const unlock = this.config.unlockWave[type] || 1;
+            return ENEMY_TYPES[type] && waveNumber >= unlock;
+        });
+    }
+    
+    /**
+     * Genera la oleada siguiente a una lista de oleadas
+     * @param {Array} previousWaves - Oleadas anteriores (escritas y generadas)
+     * @returns {Object} Oleada en formato WAVE_DATA con budget y healthMultiplier
+     */
+    generateWave(previousWaves) {
+        const previousWave = previousWaves[previousWaves.length - 1] || null;
+        const waveNumber = previousWaves.length + 1;
+        const budget = this.getNextBudget(previousWave);
+        
+        // Número de oleadas generadas hasta esta (la primera generada es la 1)
+        const generatedIndex = previousWaves.filter(wave => wave.generated).length + 1;
+        
+        const wave = {
+            waveNumber: waveNumber,
+            enemies: this.createGroups(waveNumber, budget, generatedIndex),
+            reward: Math.round(budget * this.config.rewardPerBudget),
+            healthMultiplier: Number((1 + this.config.healthGrowth * generatedIndex).toFixed(2)),
+            budget: budget,
+            generated: true
+        };
+        
+        console.log(`Oleada ${waveNumber} generada: presupuesto ${Math.round(budget)}, vida x${wave.healthMultiplier}`);
+        return wave;
+    }
+    
+    /**
+     * Reparte el presupuesto entre grupos de tipos distintos
+     * @param {number} waveNumber - Número de oleada
+     * @param {number} budget - Presupuesto de dificultad
+     * @param {number} generatedIndex - Número de oleadas generadas hasta esta
+     * @returns {Array} Grupos { type, count, spawnInterval }
+     */
+    createGroups(waveNumber, budget, generatedIndex) {
+        const available = this.getAvailableTypes(waveNumber);
+        const groupCount = this.random.int(1, Math.min(this.config.maxGroups, available.length));
+        
+        // Elegir tipos sin repetir
+        const types = [];
+        const pool = [...available];
+        for (let i = 0; i < groupCount; i++) {
+            types.push(pool.splice(this.random.int(0, pool.length - 1), 1)[0]);
+        }
+        
+        // Pesos aleatorios para repartir el presupuesto
+        const weights = types.map(() => this.random.range(1, 2));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        
+        const interval = Math.max(
+            this.config.minSpawnInterval,
+            Math.round(this.config.baseSpawnInterval * Math.pow(this.config.spawnIntervalDecay, generatedIndex - 1))
+        );
+        
+        return types.map((type, index) => {
+            const cost = this.config.enemyCosts[type];
+            const share = budget * weights[index] / totalWeight;
+            
+            return {
+                type: type,
+                count: Math.max(1, Math.floor(share / cost)),
+                // Los enemigos caros aparecen más espaciados
+                spawnInterval: Math.round(interval * Math.sqrt(cost))
+            };
+        });
+    }
+}
@@ -7,11 +7,26 @@ class WaveManager {
     /**
      * Constructor del WaveManager
      * @param {Array} waveData - Datos de configuración de las oleadas
+     * @param {GameClock} clock - Reloj de simulación (por defecto el global)
      */
-    constructor(waveData = WAVE_DATA) {
+    constructor(waveData = WAVE_DATA, clock = gameClock) {
+        // Reloj de simulación
+        this.clock = clock;
+        
+        // Validar las oleadas antes de empezar: un error aquí evita un fallo de new Enemy() a mitad de partida
+        const validation = new WaveValidator().getErrorMessages(waveData);
+        if (validation.length > 0) {
+            throw new Error(`Oleadas inválidas: ${validation.join('; ')}`);
+        }
+        
         // Configuración de oleadas
         this.waveData = [...waveData];
         this.totalWaves = this.waveData.length;
+        this.authoredWaves = this.waveData.length; // Oleadas escritas (el resto son generadas)
+        
+        // Modo infinito: al acabar las oleadas escritas se generan nuevas
+        this.endless = false;
+        this.waveGenerator = null;
         
         // Estado actual
         this.currentWave = 0;
@@ -85,6 +100,9 @@ class WaveManager {
             return false;
         }
         
+        // En modo infinito, generar la oleada si ya no quedan escritas
+        this.ensureWaveAvailable();
+        
         // Verificar si hay oleadas disponibles
         if (this.currentWave >= this.totalWaves) {
             this.completeAllWaves();
@@ -110,6 +128,36 @@ class WaveManager {
         return true;
     }
     
+    /**
+     * Activa o desactiva el modo infinito
+     * @param {boolean} enabled - Si se generan oleadas tras las escritas
+     * @param {WaveGenerator} generator - Generador de oleadas (por defecto uno con ENDLESS_CONFIG)
+     */
+    setEndlessMode(enabled, generator = new WaveGenerator()) {
+        this.endless = enabled;
+        this.waveGenerator = enabled ? generator : null;
+        
+        console.log(`Modo infinito ${enabled ? 'activado' : 'desactivado'}`);
+    }
+    
+    /**
+     * Genera la oleada actual si el modo infinito está activo y ya no quedan oleadas escritas
+     */
+    ensureWaveAvailable() {
+        if (!this.endless || this.currentWave < this.waveData.length) return;
+        
+        this.waveData.push(this.waveGenerator.generateWave(this.waveData));
+        this.totalWaves = this.waveData.length;
+    }
+    
+    /**
+     * Obtiene las oleadas generadas en esta partida
+     * @returns {Array} Oleadas generadas por el modo infinito
+     */
+    getGeneratedWaves() {
+        return this.waveData.slice(this.authoredWaves);
+    }
+    
     /**
      * Inicializa la oleada actual
      */
@@ -120,14 +168,14 @@ class WaveManager {
         // Configurar estado de oleada
         this.waveInProgress = true;
         this.waveComplete = false;
-        this.waveStartTime = Date.now();
+        this.waveStartTime = this.clock.now();
         
         // Preparar cola de spawn
         this.prepareSpawnQueue(waveData);
         
         // Resetear contadores
         this.enemiesSpawned = 0;
-        this.lastSpawnTime = Date.now();
+        this.lastSpawnTime = this.clock.now();
         this.nextSpawnTime = this.lastSpawnTime + this.getNextSpawnDelay();
     }
     
@@ -136,49 +184,140 @@ class WaveManager {
      * @param {Object} waveData - Datos de la oleada actual
      */
     prepareSpawnQueue(waveData) {
-        this.spawnQueue = [];
-        this.enemiesToSpawn = 0;
+        this.spawnQueue = this.buildSpawnQueue(waveData, this.currentWave);
+        this.enemiesToSpawn = this.spawnQueue.length;
+        
+        console.log(`Cola de spawn preparada: ${this.enemiesToSpawn} enemigos`);
+    }
+    
+    /**
+     * Construye la cola de spawn de una oleada sin modificar el estado del manager
+     * @param {Object} waveData - Datos de la oleada
+     * @param {number} waveIndex - Índice de la oleada (decide si se mezcla el orden)
+     * @param {SeededRandom} random - Generador usado para mezclar
+     * @returns {Array} Cola de { type, path, spawnTime, healthMultiplier, bonusReward }
+     */
+    buildSpawnQueue(waveData, waveIndex = this.currentWave, random = rng) {
+        const queue = [];
         
         // Procesar cada tipo de enemigo en la oleada
         for (const enemyGroup of waveData.enemies) {
+            const path = this.resolveGroupPath(enemyGroup);
+            
             for (let i = 0; i < enemyGroup.count; i++) {
-                this.spawnQueue.push({
+                queue.push({
                     type: enemyGroup.type,
-                    spawnTime: this.enemiesToSpawn * enemyGroup.spawnInterval
+                    path: path,
+                    spawnTime: queue.length * enemyGroup.spawnInterval,
+                    healthMultiplier: waveData.healthMultiplier || 1
                 });
-                this.enemiesToSpawn++;
             }
         }
         
         // Mezclar la cola para variedad (opcional)
-        if (this.shouldShuffleSpawnOrder()) {
-            this.shuffleSpawnQueue();
+        if (this.shouldShuffleSpawnOrder(waveIndex, waveData)) {
+            this.shuffleSpawnQueue(queue, random);
         }
         
-        console.log(`Cola de spawn preparada: ${this.enemiesToSpawn} enemigos`);
+        // El jefe siempre aparece al final, tras su propio retraso
+        if (waveData.boss) {
+            const lastSpawnTime = queue.length > 0 ? queue[queue.length - 1].spawnTime : 0;
+            const delay = waveData.boss.delay !== undefined ? waveData.boss.delay : BOSS_SPAWN_DELAY;
+            
+            queue.push({
+                type: waveData.boss.type,
+                path: this.resolveGroupPath(waveData.boss),
+                spawnTime: lastSpawnTime + delay,
+                healthMultiplier: waveData.healthMultiplier || 1,
+                bonusReward: waveData.boss.bonusReward || 0
+            });
+        }
+        
+        return queue;
+    }
+    
+    /**
+     * Calcula la línea temporal de spawn de una oleada tal como la produciría prepareSpawnQueue
+     * No consume el generador global: el orden mezclado usa una copia de su estado actual,
+     * así que coincide con el spawn real si la oleada empieza sin otras tiradas entre medias
+     * @param {number} waveIndex - Índice de la oleada
+     * @param {SeededRandom} random - Generador para el orden mezclado (por defecto una copia de rng)
+     * @param {Object} waveData - Datos de la oleada (por defecto la oleada waveIndex de este manager)
+     * @returns {Object} { shuffled, duration, entries: [{ index, type, path, time }] }
+     */
+    getSpawnTimeline(waveIndex, random = null, waveData = this.waveData[waveIndex]) {
+        if (!waveData) return { shuffled: false, duration: 0, entries: [] };
+        
+        if (!random) {
+            random = new SeededRandom();
+            random.importData(rng.exportData());
+        }
+        
+        const queue = this.buildSpawnQueue(waveData, waveIndex, random);
+        const entries = [];
+        let time = 0;
+        
+        queue.forEach((enemy, index) => {
+            time += this.getSpawnDelay(queue, index);
+            entries.push({ index: index, type: enemy.type, path: enemy.path, time: time });
+        });
+        
+        return {
+            shuffled: this.shouldShuffleSpawnOrder(waveIndex, waveData),
+            duration: time,
+            entries: entries
+        };
+    }
+    
+    /**
+     * Obtiene el camino en el que debe aparecer un grupo de enemigos
+     * @param {Object} enemyGroup - Grupo de enemigos de WAVE_DATA
+     * @returns {string} Nombre del camino
+     */
+    resolveGroupPath(enemyGroup) {
+        if (!enemyGroup.path) {
+            return DEFAULT_PATH_NAME;
+        }
+        
+        if (!hasPath(enemyGroup.path)) {
+            console.warn(`Camino desconocido "${enemyGroup.path}" en la oleada, usando "${DEFAULT_PATH_NAME}"`);
+            return DEFAULT_PATH_NAME;
+        }
+        
+        return enemyGroup.path;
     }
     
     /**
      * Determina si se debe mezclar el orden de spawn
+     * Las oleadas generadas no se mezclan: la mezcla reparte los enemigos cada 800ms
+     * y perdería el intervalo por coste que les asigna WaveGenerator
+     * @param {number} waveIndex - Índice de la oleada
+     * @param {Object} waveData - Datos de la oleada
      * @returns {boolean} True si se debe mezclar
      */
-    shouldShuffleSpawnOrder() {
+    shouldShuffleSpawnOrder(waveIndex = this.currentWave, waveData = this.waveData[waveIndex]) {
+        if (waveData && waveData.generated) {
+            return false;
+        }
+        
         // Mezclar solo en oleadas avanzadas para mayor desafío
-        return this.currentWave >= 3;
+        return waveIndex >= 3;
     }
     
     /**
      * Mezcla la cola de spawn manteniendo intervalos apropiados
+     * @param {Array} queue - Cola a mezclar (por defecto la cola actual)
+     * @param {SeededRandom} random - Generador usado para mezclar
      */
-    shuffleSpawnQueue() {
+    shuffleSpawnQueue(queue = this.spawnQueue, random = rng) {
         // Algoritmo Fisher-Yates para mezclar
-        for (let i = this.spawnQueue.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.spawnQueue[i], this.spawnQueue[j]] = [this.spawnQueue[j], this.spawnQueue[i]];
+        for (let i = queue.length - 1; i > 0; i--) {
+            const j = random.int(0, i);
+            [queue[i], queue[j]] = [queue[j], queue[i]];
         }
         
         // Reajustar tiempos de spawn después de mezclar
-        this.spawnQueue.forEach((enemy, index) => {
+        queue.forEach((enemy, index) => {
             enemy.spawnTime = index * 800; // 800ms base entre enemigos mezclados
         });
     }
@@ -190,7 +329,7 @@ class WaveManager {
     processEnemySpawning(deltaTime) {
         if (this.enemiesSpawned >= this.enemiesToSpawn) return;
         
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         
         // Verificar si es tiempo de spawnar el siguiente enemigo
         if (currentTime >= this.nextSpawnTime) {
@@ -206,8 +345,14 @@ class WaveManager {
         
         const enemyData = this.spawnQueue[this.enemiesSpawned];
         
-        // Crear enemigo
-        const enemy = new Enemy(enemyData.type);
+        // Crear enemigo (reutilizando uno del pool si hay libres)
+        const enemy = enemyPool.acquire(enemyData.type, enemyData.path);
+        if (enemyData.healthMultiplier && enemyData.healthMultiplier !== 1) {
+            enemy.applyHealthMultiplier(enemyData.healthMultiplier);
+        }
+        if (enemyData.bonusReward) {
+            enemy.bonusReward = enemyData.bonusReward;
+        }
         
         // Ejecutar callback de spawn
         if (this.onEnemySpawn) {
@@ -219,7 +364,7 @@ class WaveManager {
         this.stats.totalEnemiesSpawned++;
         
         // Programar siguiente spawn
-        this.lastSpawnTime = Date.now();
+        this.lastSpawnTime = this.clock.now();
         this.nextSpawnTime = this.lastSpawnTime + this.getNextSpawnDelay();
         
         console.log(`Enemigo ${enemy.type} spawneado (${this.enemiesSpawned}/${this.enemiesToSpawn})`);
@@ -230,12 +375,22 @@ class WaveManager {
      * @returns {number} Delay en milisegundos
      */
     getNextSpawnDelay() {
-        if (this.enemiesSpawned >= this.spawnQueue.length) {
+        return this.getSpawnDelay(this.spawnQueue, this.enemiesSpawned);
+    }
+    
+    /**
+     * Calcula el delay entre el spawn anterior y el de una posición de la cola
+     * @param {Array} queue - Cola de spawn
+     * @param {number} index - Posición del enemigo en la cola
+     * @returns {number} Delay en milisegundos
+     */
+    getSpawnDelay(queue, index) {
+        if (index >= queue.length) {
             return 0;
         }
         
-        const nextEnemy = this.spawnQueue[this.enemiesSpawned];
-        const currentEnemy = this.spawnQueue[this.enemiesSpawned - 1];
+        const nextEnemy = queue[index];
+        const currentEnemy = queue[index - 1];
         
         if (!currentEnemy) {
             return nextEnemy.spawnTime;
@@ -272,7 +427,7 @@ class WaveManager {
         this.waveInProgress = false;
         
         // Calcular estadísticas de la oleada
-        const waveTime = Date.now() - this.waveStartTime;
+        const waveTime = this.clock.now() - this.waveStartTime;
         this.updateWaveStats(waveTime);
         
         // Avanzar a la siguiente oleada
@@ -281,13 +436,13 @@ class WaveManager {
         
         console.log(`Oleada ${this.currentWave}/${this.totalWaves} completada en ${Math.round(waveTime / 1000)}s`);
         
-        // Ejecutar callback
+        // Ejecutar callback con los datos de la oleada completada (la siguiente puede no existir aún)
         if (this.onWaveComplete) {
-            this.onWaveComplete(this.currentWave, waveTime, this.getCurrentWaveData());
+            this.onWaveComplete(this.currentWave, waveTime, this.waveData[this.currentWave - 1]);
         }
         
-        // Iniciar countdown para la siguiente oleada si no es la última
-        if (this.currentWave < this.totalWaves) {
+        // Iniciar countdown para la siguiente oleada si no es la última (en modo infinito siempre hay otra)
+        if (this.endless || this.currentWave < this.totalWaves) {
             this.startWaveCountdown();
         }
     }
@@ -342,7 +497,7 @@ class WaveManager {
      * Verifica si todas las oleadas están completas
      */
     checkAllWavesComplete() {
-        if (this.allWavesComplete) return;
+        if (this.allWavesComplete || this.endless) return;
         
         if (this.currentWave >= this.totalWaves && !this.waveInProgress) {
             this.completeAllWaves();
@@ -392,7 +547,8 @@ class WaveManager {
             isCountingDown: this.isCountingDown,
             countdownTime: Math.max(0, Math.ceil(this.waveCountdown / 1000)),
             allWavesComplete: this.allWavesComplete,
-            canStartWave: !this.waveInProgress && !this.allWavesComplete && this.currentWave < this.totalWaves
+            endless: this.endless,
+            canStartWave: !this.waveInProgress && !this.allWavesComplete && (this.endless || this.currentWave < this.totalWaves)
         };
     }
     
@@ -401,7 +557,8 @@ class WaveManager {
      * @returns {number} Progreso del 0 al 1
      */
     getGameProgress() {
-        return Math.min(1, this.currentWave / this.totalWaves);
+        // En modo infinito se mide el avance sobre las oleadas escritas
+        return Math.min(1, this.currentWave / (this.endless ? this.authoredWaves : this.totalWaves));
     }
     
     /**
@@ -443,14 +600,9 @@ class WaveManager {
      * Reanuda el WaveManager
      */
     resume() {
-        // Reanudar spawning y countdown
+        // Reanudar spawning y countdown. No hace falta compensar la pausa:
+        // el reloj de simulación no avanza mientras el juego está pausado
         this.isPaused = false;
-        
-        // Ajustar tiempos para compensar la pausa
-        const currentTime = Date.now();
-        if (this.waveInProgress) {
-            this.nextSpawnTime = currentTime + this.getNextSpawnDelay();
-        }
     }
     
     /**
@@ -463,6 +615,10 @@ class WaveManager {
         this.waveComplete = false;
         this.allWavesComplete = false;
         
+        // Descartar las oleadas generadas (el modo se mantiene)
+        this.waveData = this.waveData.slice(0, this.authoredWaves);
+        this.totalWaves = this.waveData.length;
+        
         // Resetear spawn
         this.enemiesSpawned = 0;
         this.enemiesToSpawn = 0;
@@ -499,6 +655,8 @@ class WaveManager {
         return {
             currentWave: this.currentWave + 1,
             totalWaves: this.totalWaves,
+            endless: this.endless,
+            generatedWaves: this.totalWaves - this.authoredWaves,
             waveInProgress: this.waveInProgress,
             enemiesSpawned: this.enemiesSpawned,
             enemiesToSpawn: this.enemiesToSpawn,
@@ -509,4 +667,63 @@ class WaveManager {
             stats: this.stats
         };
     }
+    
+    /**
+     * Exporta el estado del WaveManager para guardado
+     * @returns {Object} Datos serializables de las oleadas
+     */
+    exportData() {
+        return {
+            endless: this.endless,
+            generatedWaves: this.getGeneratedWaves().map(wave => ({ ...wave })),
+            currentWave: this.currentWave,
+            waveInProgress: this.waveInProgress,
+            waveComplete: this.waveComplete,
+            allWavesComplete: this.allWavesComplete,
+            enemiesSpawned: this.enemiesSpawned,
+            enemiesToSpawn: this.enemiesToSpawn,
+            spawnQueue: this.spawnQueue.map(entry => ({ ...entry })),
+            lastSpawnTime: this.lastSpawnTime,
+            nextSpawnTime: this.nextSpawnTime,
+            waveStartTime: this.waveStartTime,
+            waveCountdown: this.waveCountdown,
+            isCountingDown: this.isCountingDown,
+            stats: {
+                ...this.stats,
+                // Infinity no sobrevive a JSON
+                fastestWave: Number.isFinite(this.stats.fastestWave) ? this.stats.fastestWave : null
+            }
+        };
+    }
+    
+    /**
+     * Importa el estado del WaveManager desde un guardado
+     * @param {Object} data - Datos exportados con exportData()
+     */
+    importData(data) {
+        // Restaurar el modo y las oleadas generadas antes que el progreso
+        if (data.endless !== undefined) this.setEndlessMode(data.endless);
+        if (data.generatedWaves) {
+            this.waveData = this.waveData.slice(0, this.authoredWaves).concat(data.generatedWaves.map(wave => ({ ...wave })));
+            this.totalWaves = this.waveData.length;
+        }
+        
+        const fields = [
+            'currentWave', 'waveInProgress', 'waveComplete', 'allWavesComplete',
+            'enemiesSpawned', 'enemiesToSpawn', 'lastSpawnTime', 'nextSpawnTime',
+            'waveStartTime', 'waveCountdown', 'isCountingDown'
+        ];
+        fields.forEach(field => {
+            if (data[field] !== undefined) this[field] = data[field];
+        });
+        
+        if (data.spawnQueue) this.spawnQueue = data.spawnQueue.map(entry => ({ ...entry }));
+        
+        if (data.stats) {
+            this.stats = { ...this.stats, ...data.stats };
+            if (data.stats.fastestWave === null) this.stats.fastestWave = Infinity;
+        }
+        
+        console.log(`Estado de oleadas importado (oleada ${this.currentWave + 1}/${this.totalWaves})`);
+    }
 }
\ No newline at end of file
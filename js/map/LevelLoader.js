@@ -0,0 +1,268 @@
+/**
+ * Cargador de niveles definidos en JSON
+ * Valida el archivo del nivel y construye el Map, WaveManager y EconomyManager a partir de él
+ *
+ * Formato del nivel:
+ * {
+ *   "id": "encrucijada",                  // Identificador único (obligatorio)
+ *   "name": "Encrucijada",                // Nombre visible
+ *   "grid": { "cols": 12, "rows": 9 },    // Tamaño del grid en celdas de GRID_SIZE px
+ *   "backgroundColor": "#388E3C",
+ *   "paths": { "main": [{ "x": 0, "y": 96 }, ...] },  // "main" es obligatorio
+ *   "blockedCells": [[0, 0], [1, 0]],     // Celdas [gridX, gridY] sin construcción
+ *   "buildableCells": null,               // Si es un array, solo esas celdas admiten torres
+ *   "startingMoney": 500,
+ *   "startingLives": 20,
+ *   "towerTypes": ["BASIC", "SNIPER", "AREA"],
+ *   "waves": [ ... ]                      // Mismo formato que WAVE_DATA
+ * }
+ */
+
+class LevelLoader {
+    /**
+     * Constructor del LevelLoader
+     * El tamaño máximo del grid es el que cabe en el canvas
+     */
+    constructor() {
+        this.maxCols = Math.floor(GAME_CONFIG.CANVAS_WIDTH / GAME_CONFIG.GRID_SIZE);
+        this.maxRows = Math.floor(GAME_CONFIG.CANVAS_HEIGHT / GAME_CONFIG.GRID_SIZE);
+        this.waveValidator = new WaveValidator();
+    }
+    
+    /**
+     * Crea el nivel por defecto a partir de las constantes del juego
+     * @returns {Object} Nivel por defecto
+     */
+    createDefaultLevel() {
+        return {
+            id: 'default',
+            name: 'Pradera',
+            grid: { cols: this.maxCols, rows: this.maxRows },
+            backgroundColor: MAP_CONFIG.backgroundColor,
+            paths: { [DEFAULT_PATH_NAME]: deepCopy(PATH_COORDINATES) },
+            blockedCells: [],
+            buildableCells: null,
+            startingMoney: GAME_CONFIG.STARTING_MONEY,
+            startingLives: GAME_CONFIG.STARTING_LIVES,
+            towerTypes: Object.keys(TOWER_TYPES),
+            waves: deepCopy(WAVE_DATA)
+        };
+    }
+    
+    /**
+     * Valida un nivel
+     * @param {Object} level - Datos del nivel
+     * @returns {Object} { valid, errors } con la lista de problemas encontrados
+     */
+    validate(level) {
+        const errors = [];
+        
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            return { valid: false, errors: ['El nivel debe ser un objeto'] };
+        }
+        
+        if (typeof level.id !== 'string' || level.id.trim() === '') {
+            errors.push('"id" debe ser un texto no vacío');
+        }
+        
+        const grid = level.grid || { cols: this.maxCols, rows: this.maxRows };
+        if (!this.isIntInRange(grid.cols, 1, this.maxCols)) {
+            errors.push(`"grid.cols" debe ser un entero entre 1 y ${this.maxCols}`);
+        }
+        if (!this.isIntInRange(grid.rows, 1, this.maxRows)) {
+            errors.push(`"grid.rows" debe ser un entero entre 1 y ${this.maxRows}`);
+        }
+        
+        this.validatePaths(level.paths, errors);
+        
+        ['blockedCells', 'buildableCells'].forEach(field => {
+            const cells = level[field];
+            if (cells === undefined || cells === null) return;
+            
+            if (!Array.isArray(cells)) {
+                errors.push(`"${field}" debe ser una lista de celdas [gridX, gridY]`);
+                return;
+            }
+            
+            cells.forEach((cell, index) => {
+                if (!Array.isArray(cell) || cell.length !== 2 ||
+                    !this.isIntInRange(cell[0], 0, grid.cols - 1) ||
+                    !this.isIntInRange(cell[1], 0, grid.rows - 1)) {
+                    errors.push(`"${field}[${index}]" no es una celda válida del grid`);
+                }
+            });
+        });
+        
+        if (level.startingMoney !== undefined &&
+            (typeof level.startingMoney !== 'number' || level.startingMoney < 0)) {
+            errors.push('"startingMoney" debe ser un número mayor o igual a 0');
+        }
+        
+        if (level.startingLives !== undefined && !this.isIntInRange(level.startingLives, 1, Infinity)) {
+            errors.push('"startingLives" debe ser un entero mayor que 0');
+        }
+        
+        if (level.towerTypes !== undefined) {
+            if (!Array.isArray(level.towerTypes) || level.towerTypes.length === 0) {
+                errors.push('"towerTypes" debe ser una lista no vacía');
+            } else {
+                level.towerTypes
+                    .filter(type => !TOWER_TYPES[type])
+                    .forEach(type => errors.push(`Tipo de torre desconocido: ${type}`));
+            }
+        }
+        
+        this.validateWaves(level.waves, level.paths || {}, errors);
+        
+        return { valid: errors.length === 0, errors: errors };
+    }
+    
+    /**
+     * Valida los caminos del nivel
+     * @param {Object} paths - Caminos con nombre
+     * @param {Array} errors - Lista donde acumular errores
+     */
+    validatePaths(paths, errors) {
+        if (!paths || typeof paths !== 'object' || Array.isArray(paths)) {
+            errors.push('"paths" debe ser un objeto de caminos con nombre');
+            return;
+        }
+        
+        if (!paths[DEFAULT_PATH_NAME]) {
+            errors.push(`"paths" debe incluir el camino por defecto "${DEFAULT_PATH_NAME}"`);
+        }
+        
+        Object.keys(paths).forEach(name => {
+            const points = paths[name];
+            if (!Array.isArray(points) || points.length < 2) {
+                errors.push(`El camino "${name}" necesita al menos 2 puntos`);
+                return;
+            }
+            
+            points.forEach((point, index) => {
+                if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+                    errors.push(`El punto ${index} del camino "${name}" no tiene x/y numéricos`);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Valida la lista de oleadas del nivel con WaveValidator
+     * @param {Array} waves - Oleadas
+     * @param {Object} paths - Caminos del nivel (para validar el campo path)
+     * @param {Array} errors - Lista donde acumular errores
+     */
+    validateWaves(waves, paths, errors) {
+        errors.push(...this.waveValidator.getErrorMessages(waves, { paths: paths }));
+    }
+    
+    /**
+     * Completa los campos opcionales de un nivel válido con sus valores por defecto
+     * @param {Object} level - Datos del nivel
+     * @returns {Object} Copia del nivel con todos los campos
+     */
+    normalize(level) {
+        const defaults = this.createDefaultLevel();
+        const normalized = deepCopy(level);
+        
+        return {
+            id: normalized.id,
+            name: normalized.name || normalized.id,
+            grid: normalized.grid || defaults.grid,
+            backgroundColor: normalized.backgroundColor || defaults.backgroundColor,
+            paths: normalized.paths,
+            blockedCells: normalized.blockedCells || [],
+            buildableCells: normalized.buildableCells || null,
+            startingMoney: normalized.startingMoney !== undefined ? normalized.startingMoney : defaults.startingMoney,
+            startingLives: normalized.startingLives !== undefined ? normalized.startingLives : defaults.startingLives,
+            towerTypes: normalized.towerTypes || defaults.towerTypes,
+            waves: normalized.waves.map((wave, index) => ({
+                ...wave,
+                waveNumber: wave.waveNumber || index + 1,
+                reward: wave.reward || 0
+            }))
+        };
+    }
+    
+    /**
+     * Parsea y valida un nivel en formato JSON
+     * @param {string} jsonText - Contenido del archivo
+     * @returns {Object} Nivel normalizado
+     */
+    parse(jsonText) {
+        let level;
+        try {
+            level = JSON.parse(jsonText);
+        } catch (error) {
+            throw new Error(`El archivo del nivel no es JSON válido: ${error.message}`);
+        }
+        
+        const result = this.validate(level);
+        if (!result.valid) {
+            throw new Error(`Nivel inválido: ${result.errors.join('; ')}`);
+        }
+        
+        return this.normalize(level);
+    }
+    
+    /**
+     * Descarga un nivel desde una URL (requiere servir el juego por HTTP)
+     * @param {string} url - URL del archivo JSON
+     * @returns {Promise<Object>} Nivel normalizado
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`No se pudo descargar el nivel ${url} (${response.status})`);
+        }
+        
+        return this.parse(await response.text());
+    }
+    
+    /**
+     * Construye los sistemas del juego a partir de un nivel
+     * Registra los caminos del nivel como caminos globales del mapa
+     * @param {Object} level - Datos del nivel
+     * @param {GameClock} clock - Reloj de simulación
+     * @returns {Object} { level, map, waveManager, economyManager }
+     */
+    build(level, clock = gameClock) {
+        const result = this.validate(level);
+        if (!result.valid) {
+            throw new Error(`Nivel inválido: ${result.errors.join('; ')}`);
+        }
+        
+        const normalized = this.normalize(level);
+        
+        setPaths(normalized.paths);
+        
+        const map = new Map({
+            cols: normalized.grid.cols,
+            rows: normalized.grid.rows,
+            backgroundColor: normalized.backgroundColor,
+            blockedCells: normalized.blockedCells,
+            buildableCells: normalized.buildableCells
+        });
+        
+        console.log(`Nivel "${normalized.name}" construido: ${normalized.waves.length} oleadas`);
+        
+        return {
+            level: normalized,
+            map: map,
+            waveManager: new WaveManager(normalized.waves, clock),
+            economyManager: new EconomyManager(normalized.startingMoney, clock)
+        };
+    }
+    
+    /**
+     * Verifica si un valor es un entero dentro de un rango
+     * @param {*} value - Valor a verificar
+     * @param {number} min - Mínimo (inclusive)
+     * @param {number} max - Máximo (inclusive)
+     * @returns {boolean} True si es válido
+     */
+    isIntInRange(value, min, max) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+}
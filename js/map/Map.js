@@ -4,28 +4,43 @@
  */
 
 class Map {
-    constructor() {
+    /**
+     * Constructor de la clase Map
+     * @param {Object} options - Configuración del nivel (opcional)
+     * @param {number} options.cols - Columnas del grid
+     * @param {number} options.rows - Filas del grid
+     * @param {string} options.backgroundColor - Color de fondo
+     * @param {Array} options.blockedCells - Celdas [gridX, gridY] donde no se puede construir
+     * @param {Array|null} options.buildableCells - Si se indica, solo estas celdas admiten torres
+     */
+    constructor(options = {}) {
         this.width = MAP_CONFIG.width;
         this.height = MAP_CONFIG.height;
         this.gridSize = MAP_CONFIG.gridSize;
-        this.backgroundColor = MAP_CONFIG.backgroundColor;
+        this.backgroundColor = options.backgroundColor || MAP_CONFIG.backgroundColor;
         this.gridColor = MAP_CONFIG.gridColor;
         this.gridOpacity = MAP_CONFIG.gridOpacity;
         
         // Configuración del camino
         this.pathConfig = getPathConfig();
-        this.pathPoints = getPathPoints();
+        this.paths = getAllPaths();
         
         // Grid para validación de torres
-        this.gridCols = Math.floor(this.width / this.gridSize);
-        this.gridRows = Math.floor(this.height / this.gridSize);
+        this.gridCols = options.cols || Math.floor(this.width / this.gridSize);
+        this.gridRows = options.rows || Math.floor(this.height / this.gridSize);
+        
+        // Restricciones de construcción del nivel
+        this.blockedCells = this.createCellSet(options.blockedCells);
+        this.buildableCells = options.buildableCells ? this.createCellSet(options.buildableCells) : null;
         
         // Matriz para rastrear posiciones ocupadas
         this.occupiedCells = this.initializeOccupiedCells();
         
-        // Cache para optimización de renderizado
-        this.pathCache = null;
+        // Capas estáticas pre-renderizadas en canvas fuera de pantalla (ver getStaticLayer)
+        this.terrainCache = null; // Fondo y celdas bloqueadas
+        this.pathCache = null; // Caminos y marcadores de inicio y fin
         this.gridCache = null;
+        this.staticRenderCount = 0; // Veces que se ha dibujado alguna capa estática (para depurar la caché)
         
         console.log(`Mapa inicializado: ${this.gridCols}x${this.gridRows} celdas`);
     }
@@ -45,9 +60,15 @@ class Map {
                 // Marcar celdas del camino como ocupadas
                 const isPath = isOnPath(pixelPos.pixelX, pixelPos.pixelY, this.pathConfig.width / 2 + 10);
                 
+                // Marcar celdas bloqueadas por el nivel
+                const cellKey = `${col},${row}`;
+                const isBlocked = this.blockedCells.has(cellKey) ||
+                                  (this.buildableCells !== null && !this.buildableCells.has(cellKey));
+                
                 cells[row][col] = {
-                    occupied: isPath,
+                    occupied: isPath || isBlocked,
                     isPath: isPath,
+                    isBlocked: isBlocked,
                     hasTower: false,
                     towerType: null
                 };
@@ -57,24 +78,113 @@ class Map {
         return cells;
     }
     
+    /**
+     * Convierte una lista de celdas [gridX, gridY] en un Set de claves "x,y"
+     * @param {Array} cells - Lista de celdas
+     * @returns {Set} Conjunto de claves de celda
+     */
+    createCellSet(cells = []) {
+        return new Set((cells || []).map(([gridX, gridY]) => `${gridX},${gridY}`));
+    }
+    
     /**
      * Renderiza todo el mapa
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
      * @param {boolean} showGrid - Si mostrar el grid o no
      */
     render(ctx, showGrid = true) {
-        // Renderizar fondo
-        this.renderBackground(ctx);
+        // Fondo y celdas bloqueadas por el nivel
+        this.renderLayer(ctx, 'terrain');
         
-        // Renderizar camino
-        this.renderPath(ctx);
+        // Caminos
+        this.renderLayer(ctx, 'path');
         
-        // Renderizar grid si está habilitado
+        // Grid si está habilitado
         if (showGrid) {
+            this.renderLayer(ctx, 'grid');
+        }
+    }
+    
+    /**
+     * Dibuja una capa estática desde su caché (o directamente si no hay canvas fuera de pantalla)
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {string} layer - 'terrain', 'path' o 'grid'
+     */
+    renderLayer(ctx, layer) {
+        const cache = this.getStaticLayer(layer);
+        
+        if (cache) {
+            ctx.drawImage(cache, 0, 0);
+        } else {
+            this.drawStaticLayer(ctx, layer);
+        }
+    }
+    
+    /**
+     * Obtiene el canvas de una capa estática, pre-renderizándolo si no existe
+     * @param {string} layer - 'terrain', 'path' o 'grid'
+     * @returns {HTMLCanvasElement|null} Canvas de la capa o null si no se pueden crear canvas
+     */
+    getStaticLayer(layer) {
+        const key = `${layer}Cache`;
+        if (!(key in this)) {
+            throw new Error(`Capa de mapa desconocida: ${layer}`);
+        }
+        
+        if (!this[key]) {
+            const canvas = this.createCacheCanvas();
+            if (!canvas) return null;
+            
+            this.drawStaticLayer(canvas.getContext('2d'), layer);
+            this[key] = canvas;
+            console.log(`Capa estática ${layer} pre-renderizada`);
+        }
+        
+        return this[key];
+    }
+    
+    /**
+     * Dibuja el contenido de una capa estática
+     * @param {CanvasRenderingContext2D} ctx - Contexto donde dibujar
+     * @param {string} layer - 'terrain', 'path' o 'grid'
+     */
+    drawStaticLayer(ctx, layer) {
+        this.staticRenderCount++;
+        
+        if (layer === 'terrain') {
+            this.renderBackground(ctx);
+            this.renderBlockedCells(ctx);
+        } else if (layer === 'path') {
+            this.renderPath(ctx);
+        } else if (layer === 'grid') {
             this.renderGrid(ctx);
         }
     }
     
+    /**
+     * Crea un canvas fuera de pantalla del tamaño del mapa
+     * @returns {HTMLCanvasElement|null} Canvas o null si el entorno no permite dibujar fuera de pantalla
+     */
+    createCacheCanvas() {
+        if (typeof document === 'undefined') return null;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        
+        return canvas.getContext && canvas.getContext('2d') ? canvas : null;
+    }
+    
+    /**
+     * Descarta las capas estáticas para que se vuelvan a pre-renderizar
+     * Hay que llamarlo cuando cambian los caminos, las celdas bloqueadas o los colores del mapa
+     */
+    invalidateCache() {
+        this.terrainCache = null;
+        this.pathCache = null;
+        this.gridCache = null;
+    }
+    
     /**
      * Renderiza el fondo del mapa
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
@@ -85,57 +195,54 @@ class Map {
     }
     
     /**
-     * Renderiza el camino
+     * Renderiza las celdas donde el nivel no permite construir
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderBlockedCells(ctx) {
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        
+        for (let row = 0; row < this.gridRows; row++) {
+            for (let col = 0; col < this.gridCols; col++) {
+                const cell = this.occupiedCells[row][col];
+                if (cell.isBlocked && !cell.isPath) {
+                    ctx.fillRect(col * this.gridSize, row * this.gridSize, this.gridSize, this.gridSize);
+                }
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Renderiza todos los caminos del mapa
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
      */
     renderPath(ctx) {
-        if (this.pathPoints.length < 2) return;
+        // Con suavizado se dibuja la curva muestreada, que es la que siguen los enemigos
+        const paths = Object.keys(this.paths)
+            .map(name => PATH_CONFIG.smoothing.enabled && hasPath(name) ? getPathTable(name).points : this.paths[name])
+            .filter(points => points.length >= 2);
+        if (paths.length === 0) return;
         
         ctx.save();
         
-        // Renderizar el camino principal
-        ctx.strokeStyle = this.pathConfig.color;
-        ctx.lineWidth = this.pathConfig.width;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
         
-        ctx.beginPath();
-        ctx.moveTo(this.pathPoints[0].x, this.pathPoints[0].y);
-        
-        for (let i = 1; i < this.pathPoints.length; i++) {
-            ctx.lineTo(this.pathPoints[i].x, this.pathPoints[i].y);
-        }
-        
-        ctx.stroke();
-        
-        // Renderizar borde del camino
+        // Renderizar primero los bordes de todos los caminos para que
+        // los cruces entre carriles no queden cortados por un borde
         if (this.pathConfig.borderWidth > 0) {
             ctx.strokeStyle = this.pathConfig.borderColor;
             ctx.lineWidth = this.pathConfig.width + this.pathConfig.borderWidth * 2;
-            
-            ctx.beginPath();
-            ctx.moveTo(this.pathPoints[0].x, this.pathPoints[0].y);
-            
-            for (let i = 1; i < this.pathPoints.length; i++) {
-                ctx.lineTo(this.pathPoints[i].x, this.pathPoints[i].y);
-            }
-            
-            ctx.stroke();
-            
-            // Volver a dibujar el camino encima
-            ctx.strokeStyle = this.pathConfig.color;
-            ctx.lineWidth = this.pathConfig.width;
-            
-            ctx.beginPath();
-            ctx.moveTo(this.pathPoints[0].x, this.pathPoints[0].y);
-            
-            for (let i = 1; i < this.pathPoints.length; i++) {
-                ctx.lineTo(this.pathPoints[i].x, this.pathPoints[i].y);
-            }
-            
-            ctx.stroke();
+            paths.forEach(points => this.strokePolyline(ctx, points));
         }
         
+        // Renderizar el camino encima
+        ctx.strokeStyle = this.pathConfig.color;
+        ctx.lineWidth = this.pathConfig.width;
+        paths.forEach(points => this.strokePolyline(ctx, points));
+        
         // Renderizar indicadores de inicio y fin
         this.renderPathMarkers(ctx);
         
@@ -143,33 +250,60 @@ class Map {
     }
     
     /**
-     * Renderiza los marcadores de inicio y fin del camino
+     * Dibuja una polilínea con el estilo actual del contexto
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Array} points - Puntos de la polilínea
      */
-    renderPathMarkers(ctx) {
-        const startPoint = this.pathPoints[0];
-        const endPoint = this.pathPoints[this.pathPoints.length - 1];
-        
-        // Marcador de inicio (verde)
-        ctx.fillStyle = '#4CAF50';
+    strokePolyline(ctx, points) {
         ctx.beginPath();
-        ctx.arc(startPoint.x, startPoint.y, 15, 0, Math.PI * 2);
-        ctx.fill();
+        ctx.moveTo(points[0].x, points[0].y);
+        
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        
+        ctx.stroke();
+    }
+    
+    /**
+     * Renderiza los marcadores de inicio (uno por camino) y fin del camino
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderPathMarkers(ctx) {
+        const drawnEnds = new Set();
         
-        ctx.fillStyle = 'white';
         ctx.font = 'bold 12px Arial';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText('S', startPoint.x, startPoint.y);
         
-        // Marcador de fin (rojo)
-        ctx.fillStyle = '#F44336';
-        ctx.beginPath();
-        ctx.arc(endPoint.x, endPoint.y, 15, 0, Math.PI * 2);
-        ctx.fill();
-        
-        ctx.fillStyle = 'white';
-        ctx.fillText('F', endPoint.x, endPoint.y);
+        Object.values(this.paths).forEach(points => {
+            if (points.length < 2) return;
+            
+            const startPoint = points[0];
+            const endPoint = points[points.length - 1];
+            
+            // Marcador de inicio (verde)
+            ctx.fillStyle = '#4CAF50';
+            ctx.beginPath();
+            ctx.arc(startPoint.x, startPoint.y, 15, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.fillStyle = 'white';
+            ctx.fillText('S', startPoint.x, startPoint.y);
+            
+            // Marcador de fin (rojo), una sola vez si varios caminos convergen
+            const endKey = `${endPoint.x},${endPoint.y}`;
+            if (drawnEnds.has(endKey)) return;
+            drawnEnds.add(endKey);
+            
+            ctx.fillStyle = '#F44336';
+            ctx.beginPath();
+            ctx.arc(endPoint.x, endPoint.y, 15, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.fillStyle = 'white';
+            ctx.fillText('F', endPoint.x, endPoint.y);
+        });
     }
     
     /**
@@ -304,7 +438,7 @@ class Map {
     freeCell(gridX, gridY) {
         if (gridY >= 0 && gridY < this.gridRows && gridX >= 0 && gridX < this.gridCols) {
             const cell = this.occupiedCells[gridY][gridX];
-            if (!cell.isPath) {
+            if (!cell.isPath && !cell.isBlocked) {
                 cell.occupied = false;
                 cell.hasTower = false;
                 cell.towerType = null;
@@ -325,6 +459,30 @@ class Map {
         return null;
     }
     
+    /**
+     * Obtiene las celdas con torre alrededor de una celda (sin incluirla)
+     * @param {number} gridX - Coordenada X del grid
+     * @param {number} gridY - Coordenada Y del grid
+     * @param {number} radius - Distancia máxima en celdas (también en diagonal)
+     * @returns {Array} Celdas { gridX, gridY, towerType }
+     */
+    getTowerCellsAround(gridX, gridY, radius = 1) {
+        const cells = [];
+        
+        for (let y = gridY - radius; y <= gridY + radius; y++) {
+            for (let x = gridX - radius; x <= gridX + radius; x++) {
+                if (x === gridX && y === gridY) continue;
+                
+                const cell = this.getCellInfo(x, y);
+                if (cell && cell.hasTower) {
+                    cells.push({ gridX: x, gridY: y, towerType: cell.towerType });
+                }
+            }
+        }
+        
+        return cells;
+    }
+    
     /**
      * Convierte coordenadas de pixel a grid
      * @param {number} pixelX - Coordenada X en pixels
@@ -360,7 +518,9 @@ class Map {
      * Resetea el mapa a su estado inicial
      */
     reset() {
+        this.paths = getAllPaths();
         this.occupiedCells = this.initializeOccupiedCells();
+        this.invalidateCache();
         console.log('Mapa reseteado');
     }
 }
\ No newline at end of file
@@ -39,6 +39,19 @@ const PATH_COORDINATES = [
     { x: 820, y: 200 } // Punto de salida (derecha)
 ];
 
+/**
+ * Nombre del camino usado cuando una oleada o enemigo no especifica uno
+ */
+const DEFAULT_PATH_NAME = 'main';
+
+/**
+ * Caminos con nombre disponibles en el mapa
+ * Cada camino empieza en su propio punto de spawn y todos deben converger en la base
+ */
+const PATHS = {
+    [DEFAULT_PATH_NAME]: PATH_COORDINATES
+};
+
 /**
  * Configuración adicional del camino
  */
@@ -59,41 +72,248 @@ const PATH_CONFIG = {
     spawnPoint: { x: -20, y: 300 },
     targetPoint: { x: 820, y: 200 },
     
-    // Configuración para suavizado de curvas
+    // Suavizado de curvas (opcional): los enemigos siguen una curva cardinal que pasa por los puntos
+    // en lugar de la línea quebrada. tension 0 da una Catmull-Rom y 1 la propia línea quebrada
     smoothing: {
-        enabled: true,
-        tension: 0.3
+        enabled: false,
+        tension: 0.3,
+        sampleSpacing: 5 // Separación aproximada en píxeles entre las muestras de la curva
     }
 };
 
 /**
- * Calcula la longitud total del camino
- * @returns {number} Longitud total en pixels
+ * Tablas de longitud de arco compiladas por camino (ver getPathTable)
+ */
+const PATH_TABLES = {};
+
+/**
+ * Obtiene las coordenadas de un camino por nombre
+ * @param {string} pathName - Nombre del camino
+ * @returns {Array} Array de coordenadas del camino
+ */
+function getPathCoordinates(pathName = DEFAULT_PATH_NAME) {
+    const coordinates = PATHS[pathName];
+    if (!coordinates) {
+        throw new Error(`Camino desconocido: ${pathName}`);
+    }
+    return coordinates;
+}
+
+/**
+ * Obtiene los nombres de todos los caminos registrados
+ * @returns {Array} Array de nombres de caminos
+ */
+function getPathNames() {
+    return Object.keys(PATHS);
+}
+
+/**
+ * Verifica si existe un camino con el nombre dado
+ * @param {string} pathName - Nombre del camino
+ * @returns {boolean} True si el camino existe
+ */
+function hasPath(pathName) {
+    return Object.prototype.hasOwnProperty.call(PATHS, pathName);
+}
+
+/**
+ * Registra (o reemplaza) un camino con nombre
+ * @param {string} pathName - Nombre del camino
+ * @param {Array} coordinates - Array de al menos 2 puntos {x, y}
+ */
+function registerPath(pathName, coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length < 2) {
+        throw new Error(`El camino ${pathName} necesita al menos 2 puntos`);
+    }
+    PATHS[pathName] = coordinates.map(point => ({ x: point.x, y: point.y }));
+}
+
+/**
+ * Elimina un camino registrado. El camino por defecto no puede eliminarse
+ * @param {string} pathName - Nombre del camino
+ */
+function removePath(pathName) {
+    if (pathName === DEFAULT_PATH_NAME) {
+        throw new Error('No se puede eliminar el camino por defecto');
+    }
+    delete PATHS[pathName];
+    delete PATH_TABLES[pathName];
+}
+
+/**
+ * Reemplaza todos los caminos registrados (usado al cargar un nivel)
+ * @param {Object} paths - Objeto con nombre de camino como clave y sus puntos como valor
+ */
+function setPaths(paths) {
+    if (!paths || !paths[DEFAULT_PATH_NAME]) {
+        throw new Error(`Los caminos deben incluir el camino por defecto "${DEFAULT_PATH_NAME}"`);
+    }
+    
+    getPathNames().forEach(name => delete PATHS[name]);
+    Object.keys(paths).forEach(name => registerPath(name, paths[name]));
+    updatePathEndpoints();
+}
+
+/**
+ * Restaura el camino original del mapa por defecto
+ */
+function resetPaths() {
+    getPathNames().forEach(name => delete PATHS[name]);
+    PATHS[DEFAULT_PATH_NAME] = PATH_COORDINATES;
+    updatePathEndpoints();
+}
+
+/**
+ * Actualiza el spawn y el objetivo de PATH_CONFIG a partir del camino por defecto
+ * (los enemigos voladores vuelan directamente hacia el objetivo)
+ */
+function updatePathEndpoints() {
+    const coordinates = getPathCoordinates(DEFAULT_PATH_NAME);
+    PATH_CONFIG.spawnPoint = { ...coordinates[0] };
+    PATH_CONFIG.targetPoint = { ...coordinates[coordinates.length - 1] };
+}
+
+/**
+ * Obtiene el punto de spawn de un camino (su primer punto)
+ * @param {string} pathName - Nombre del camino
+ * @returns {Object} Coordenadas x e y del spawn
+ */
+function getSpawnPoint(pathName = DEFAULT_PATH_NAME) {
+    const coordinates = getPathCoordinates(pathName);
+    return { ...coordinates[0] };
+}
+
+/**
+ * Obtiene la tabla de longitud de arco de un camino, compilándola la primera vez
+ * Se recompila sola si el camino se reemplaza (registerPath, setPaths...) o cambia el suavizado
+ * @param {string} pathName - Nombre del camino
+ * @returns {Object} Tabla { points, segmentLengths, cumulativeLengths, totalLength }
  */
-function calculatePathLength() {
+function getPathTable(pathName = DEFAULT_PATH_NAME) {
+    const coordinates = getPathCoordinates(pathName);
+    const smoothing = PATH_CONFIG.smoothing;
+    const table = PATH_TABLES[pathName];
+    
+    if (table && table.source === coordinates &&
+        table.smoothed === smoothing.enabled && table.tension === smoothing.tension &&
+        table.sampleSpacing === smoothing.sampleSpacing) {
+        return table;
+    }
+    
+    PATH_TABLES[pathName] = compilePathTable(coordinates, smoothing);
+    return PATH_TABLES[pathName];
+}
+
+/**
+ * Compila una lista de puntos en una tabla de longitudes acumuladas
+ * cumulativeLengths[i] es la distancia desde el inicio hasta points[i]
+ * @param {Array} coordinates - Puntos del camino
+ * @param {Object} smoothing - { enabled, tension, sampleSpacing } como PATH_CONFIG.smoothing
+ * @returns {Object} Tabla del camino
+ */
+function compilePathTable(coordinates, smoothing = PATH_CONFIG.smoothing) {
+    const points = smoothing.enabled && coordinates.length > 2 ?
+        sampleSmoothPath(coordinates, smoothing.tension, smoothing.sampleSpacing) :
+        coordinates.map(point => ({ x: point.x, y: point.y }));
+    
+    const segmentLengths = [0];
+    const cumulativeLengths = [0];
     let totalLength = 0;
     
-    for (let i = 1; i < PATH_COORDINATES.length; i++) {
-        const prev = PATH_COORDINATES[i - 1];
-        const curr = PATH_COORDINATES[i];
-        totalLength += distance(prev.x, prev.y, curr.x, curr.y);
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const curr = points[i];
+        const segmentLength = distance(prev.x, prev.y, curr.x, curr.y);
+        
+        totalLength += segmentLength;
+        segmentLengths.push(segmentLength);
+        cumulativeLengths.push(totalLength);
+    }
+    
+    return {
+        source: coordinates,
+        smoothed: smoothing.enabled,
+        tension: smoothing.tension,
+        sampleSpacing: smoothing.sampleSpacing,
+        points: points,
+        segmentLengths: segmentLengths,
+        cumulativeLengths: cumulativeLengths,
+        totalLength: totalLength
+    };
+}
+
+/**
+ * Muestrea una curva cardinal que pasa por todos los puntos del camino
+ * Cada tramo es un Hermite cúbico con tangentes (1 - tension) / 2 * (siguiente - anterior)
+ * @param {Array} coordinates - Puntos de control (al menos 3)
+ * @param {number} tension - Tensión de la curva (0 a 1)
+ * @param {number} spacing - Separación aproximada entre muestras en píxeles
+ * @returns {Array} Puntos muestreados, empezando y terminando en los extremos del camino
+ */
+function sampleSmoothPath(coordinates, tension = 0.3, spacing = 5) {
+    const scale = (1 - clamp(tension, 0, 1)) / 2;
+    const last = coordinates.length - 1;
+    const points = [{ x: coordinates[0].x, y: coordinates[0].y }];
+    
+    const tangentAt = index => {
+        const prev = coordinates[Math.max(index - 1, 0)];
+        const next = coordinates[Math.min(index + 1, last)];
+        return { x: (next.x - prev.x) * scale, y: (next.y - prev.y) * scale };
+    };
+    
+    for (let i = 0; i < last; i++) {
+        const p0 = coordinates[i];
+        const p1 = coordinates[i + 1];
+        const m0 = tangentAt(i);
+        const m1 = tangentAt(i + 1);
+        const steps = Math.max(1, Math.ceil(distance(p0.x, p0.y, p1.x, p1.y) / Math.max(spacing, 1)));
+        
+        for (let step = 1; step <= steps; step++) {
+            const t = step / steps;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            const h00 = 2 * t3 - 3 * t2 + 1;
+            const h10 = t3 - 2 * t2 + t;
+            const h01 = -2 * t3 + 3 * t2;
+            const h11 = t3 - t2;
+            
+            points.push({
+                x: h00 * p0.x + h10 * m0.x + h01 * p1.x + h11 * m1.x,
+                y: h00 * p0.y + h10 * m0.y + h01 * p1.y + h11 * m1.y
+            });
+        }
     }
     
-    return totalLength;
+    return points;
+}
+
+/**
+ * Calcula la longitud total del camino
+ * @param {string} pathName - Nombre del camino
+ * @returns {number} Longitud total en pixels
+ */
+function calculatePathLength(pathName = DEFAULT_PATH_NAME) {
+    return getPathTable(pathName).totalLength;
 }
 
 /**
  * Obtiene la posición en el camino basada en un porcentaje de progreso
+ * Busca el segmento en la tabla de longitudes con una búsqueda binaria
  * @param {number} progress - Progreso del 0 al 1
+ * @param {string} pathName - Nombre del camino
  * @returns {Object} Objeto con x, y y ángulo de dirección
  */
-function getPositionOnPath(progress) {
+function getPositionOnPath(progress, pathName = DEFAULT_PATH_NAME) {
+    const table = getPathTable(pathName);
+    const points = table.points;
+    const last = points.length - 1;
+    
     // Asegurar que el progreso esté entre 0 y 1
     progress = clamp(progress, 0, 1);
     
     if (progress === 0) {
-        const start = PATH_COORDINATES[0];
-        const next = PATH_COORDINATES[1];
+        const start = points[0];
+        const next = points[1];
         return {
             x: start.x,
             y: start.y,
@@ -101,31 +321,28 @@ function getPositionOnPath(progress) {
         };
     }
     
-    if (progress === 1) {
-        const end = PATH_COORDINATES[PATH_COORDINATES.length - 1];
-        const prev = PATH_COORDINATES[PATH_COORDINATES.length - 2];
-        return {
-            x: end.x,
-            y: end.y,
-            angle: angleBetween(prev.x, prev.y, end.x, end.y)
-        };
-    }
-    
-    // Calcular la distancia total del camino
-    const totalLength = calculatePathLength();
-    const targetDistance = progress * totalLength;
-    
-    let currentDistance = 0;
-    
-    // Encontrar el segmento correcto del camino
-    for (let i = 1; i < PATH_COORDINATES.length; i++) {
-        const prev = PATH_COORDINATES[i - 1];
-        const curr = PATH_COORDINATES[i];
-        const segmentLength = distance(prev.x, prev.y, curr.x, curr.y);
+    if (progress < 1) {
+        const targetDistance = progress * table.totalLength;
+        
+        // Primer punto cuya distancia acumulada alcanza la buscada
+        let low = 1;
+        let high = last;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (table.cumulativeLengths[middle] >= targetDistance) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
         
-        if (currentDistance + segmentLength >= targetDistance) {
+        if (table.cumulativeLengths[low] >= targetDistance) {
             // Interpolar dentro de este segmento
-            const segmentProgress = (targetDistance - currentDistance) / segmentLength;
+            const prev = points[low - 1];
+            const curr = points[low];
+            const segmentLength = table.segmentLengths[low];
+            const segmentProgress = segmentLength > 0 ?
+                (targetDistance - table.cumulativeLengths[low - 1]) / segmentLength : 0;
             
             return {
                 x: lerp(prev.x, curr.x, segmentProgress),
@@ -133,13 +350,11 @@ function getPositionOnPath(progress) {
                 angle: angleBetween(prev.x, prev.y, curr.x, curr.y)
             };
         }
-        
-        currentDistance += segmentLength;
     }
     
-    // Fallback al final del camino
-    const end = PATH_COORDINATES[PATH_COORDINATES.length - 1];
-    const prev = PATH_COORDINATES[PATH_COORDINATES.length - 2];
+    // Final del camino
+    const end = points[last];
+    const prev = points[last - 1];
     return {
         x: end.x,
         y: end.y,
@@ -149,21 +364,29 @@ function getPositionOnPath(progress) {
 
 /**
  * Verifica si una posición está en el camino
+ * Con el suavizado activo se mide contra la curva muestreada, que es la que se dibuja y recorren los enemigos
  * @param {number} x - Coordenada X
  * @param {number} y - Coordenada Y
  * @param {number} tolerance - Tolerancia en pixels (por defecto el ancho del camino)
+ * @param {string|null} pathName - Camino a verificar (null para cualquier camino)
  * @returns {boolean} True si la posición está en el camino
  */
-function isOnPath(x, y, tolerance = PATH_CONFIG.width / 2) {
-    for (let i = 1; i < PATH_COORDINATES.length; i++) {
-        const prev = PATH_COORDINATES[i - 1];
-        const curr = PATH_COORDINATES[i];
-        
-        // Calcular la distancia del punto a la línea del segmento
-        const distanceToSegment = distancePointToLineSegment(x, y, prev.x, prev.y, curr.x, curr.y);
+function isOnPath(x, y, tolerance = PATH_CONFIG.width / 2, pathName = null) {
+    const pathNames = pathName ? [pathName] : getPathNames();
+    
+    for (const name of pathNames) {
+        const points = getPathTable(name).points;
         
-        if (distanceToSegment <= tolerance) {
-            return true;
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const curr = points[i];
+            
+            // Calcular la distancia del punto a la línea del segmento
+            const distanceToSegment = distancePointToLineSegment(x, y, prev.x, prev.y, curr.x, curr.y);
+            
+            if (distanceToSegment <= tolerance) {
+                return true;
+            }
         }
     }
     
@@ -214,10 +437,23 @@ function distancePointToLineSegment(px, py, x1, y1, x2, y2) {
 
 /**
  * Obtiene todos los puntos del camino para renderizado
+ * @param {string} pathName - Nombre del camino
  * @returns {Array} Array de coordenadas del camino
  */
-function getPathPoints() {
-    return [...PATH_COORDINATES];
+function getPathPoints(pathName = DEFAULT_PATH_NAME) {
+    return [...getPathCoordinates(pathName)];
+}
+
+/**
+ * Obtiene una copia de todos los caminos registrados
+ * @returns {Object} Objeto con nombre de camino como clave y sus puntos como valor
+ */
+function getAllPaths() {
+    const paths = {};
+    for (const name of getPathNames()) {
+        paths[name] = getPathPoints(name);
+    }
+    return paths;
 }
 
 /**
@@ -232,12 +468,28 @@ function getPathConfig() {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         PATH_COORDINATES,
+        DEFAULT_PATH_NAME,
+        PATHS,
         PATH_CONFIG,
+        PATH_TABLES,
+        getPathCoordinates,
+        getPathNames,
+        hasPath,
+        registerPath,
+        removePath,
+        setPaths,
+        resetPaths,
+        updatePathEndpoints,
+        getSpawnPoint,
+        getPathTable,
+        compilePathTable,
+        sampleSmoothPath,
         calculatePathLength,
         getPositionOnPath,
         isOnPath,
         distancePointToLineSegment,
         getPathPoints,
+        getAllPaths,
         getPathConfig
     };
 }
\ No newline at end of file
@@ -34,6 +34,63 @@ testRunner.addTest('Helper Functions - Clamp', () => {
     testRunner.assertEqual(clamp(15, 0, 10), 10, 'Value above range should be clamped to max');
 });
 
+testRunner.addTest('SpatialHash - Radius Queries Match A Linear Scan', () => {
+    const random = new SeededRandom(42);
+    const items = [];
+    for (let i = 0; i < 200; i++) {
+        // Algunos fuera del mapa, como los enemigos que entran por el borde
+        items.push({ id: i, size: 20, position: { x: random.range(-100, 900), y: random.range(-100, 700) } });
+    }
+    
+    const hash = new SpatialHash(64);
+    hash.rebuild(items, item => item.id % 10 !== 0);
+    testRunner.assertEqual(hash.size(), 180, 'Filtered items should not be indexed');
+    testRunner.assertEqual(hash.maxRadius, 10, 'Index should track the largest item radius');
+    
+    for (let i = 0; i < 20; i++) {
+        const x = random.range(0, 800);
+        const y = random.range(0, 600);
+        const radius = random.range(10, 250);
+        const expected = items.filter(item =>
+            item.id % 10 !== 0 && distance(x, y, item.position.x, item.position.y) <= radius
+        );
+        const found = hash.queryRadius(x, y, radius);
+        testRunner.assertEqual(found.map(item => item.id).join(','), expected.map(item => item.id).join(','),
+            'Query should return the same items in the same order as a linear scan');
+    }
+    
+    // Al reconstruir se olvidan las posiciones anteriores
+    items.forEach(item => { item.position = { x: 1000, y: 1000 }; });
+    hash.rebuild(items);
+    testRunner.assertEqual(hash.queryRadius(400, 300, 300).length, 0, 'Rebuild should drop stale positions');
+    testRunner.assertEqual(hash.queryRadius(1000, 1000, 1).length, 200, 'Rebuild should index the new positions');
+});
+
+testRunner.addTest('ObjectPool - Reuses Released Objects And Enforces Cap', () => {
+    const pool = new ObjectPool('test', value => ({ value }), (object, value) => { object.value = value; }, 2);
+    
+    const first = pool.acquire(1);
+    const second = pool.acquire(2);
+    testRunner.assertEqual(pool.acquire(3), null, 'Pool should refuse objects past its cap');
+    testRunner.assertEqual(pool.getStats().rejected, 1, 'Refused requests should be counted');
+    
+    testRunner.assertTrue(pool.release(first), 'Pooled objects should be released');
+    testRunner.assertFalse(pool.release(first), 'Releasing twice should be ignored');
+    testRunner.assertFalse(pool.release({ value: 9 }), 'Objects created outside the pool should be ignored');
+    
+    const reused = pool.acquire(4);
+    testRunner.assertEqual(reused, first, 'Released objects should be reused');
+    testRunner.assertEqual(reused.value, 4, 'Reused objects should be reset');
+    
+    const stats = pool.getStats();
+    testRunner.assertEqual(stats.active, 2, 'Stats should count objects in use');
+    testRunner.assertEqual(stats.created, 2, 'Stats should count created objects');
+    testRunner.assertEqual(stats.reused, 1, 'Stats should count reused objects');
+    
+    pool.releaseAll([second, reused]);
+    testRunner.assertEqual(pool.getStats().free, 2, 'Released objects should wait in the pool');
+});
+
 // Tests para Enemy
 testRunner.addTest('Enemy - Creation and Properties', () => {
     const enemy = new Enemy('BASIC');
@@ -60,6 +117,265 @@ testRunner.addTest('Enemy - Damage System', () => {
     testRunner.assertEqual(enemy.health, 0, 'Health should be 0');
 });
 
+testRunner.addTest('Enemy - Status Effects Stack And Expire', () => {
+    const enemy = new Enemy('BASIC');
+    const baseSpeed = enemy.speed;
+    
+    // Ralentización: una sola instancia con la mayor magnitud
+    enemy.applyEffect({ type: 'SLOW', duration: 1000, magnitude: 0.5 });
+    enemy.applyEffect({ type: 'SLOW', duration: 500, magnitude: 0.2 });
+    testRunner.assertEqual(enemy.getEffectStacks('SLOW'), 1, 'Slow should refresh instead of stacking');
+    testRunner.assertApproxEqual(enemy.speed, baseSpeed * 0.5, 0.001, 'Slow should scale speed');
+    
+    // Aturdimiento: no se mueve
+    enemy.applyEffect({ type: 'STUN', duration: 300 });
+    const progress = enemy.getPathProgress();
+    enemy.update(200);
+    testRunner.assertEqual(enemy.getPathProgress(), progress, 'Stunned enemies should not move');
+    enemy.update(200);
+    testRunner.assertFalse(enemy.isStunned(), 'Stun should expire');
+    
+    // Veneno: instancias independientes con daño periódico atribuido
+    const tower = new Tower('BASIC', 0, 0);
+    enemy.applyEffect({ type: 'POISON', duration: 1000, magnitude: 10 }, tower);
+    enemy.applyEffect({ type: 'POISON', duration: 1000, magnitude: 10 }, tower);
+    enemy.update(500);
+    testRunner.assertEqual(enemy.getEffectStacks('POISON'), 2, 'Poison should stack');
+    testRunner.assertEqual(enemy.health, 90, 'Each poison stack should tick');
+    testRunner.assertEqual(tower.getStats().effectDamage, 10, 'Poison damage should be credited to its tower');
+    
+    // Armadura rota: acumulaciones con temporizador compartido
+    enemy.applyEffect({ type: 'ARMOR_BREAK', duration: 2000, magnitude: 0.25 });
+    enemy.applyEffect({ type: 'ARMOR_BREAK', duration: 2000, magnitude: 0.25 });
+    testRunner.assertEqual(enemy.getEffectStacks('ARMOR_BREAK'), 2, 'Armor break should gain stacks');
+    enemy.takeDamage(20);
+    testRunner.assertEqual(enemy.health, 60, 'Armor break should increase damage taken');
+    
+    enemy.update(2000);
+    testRunner.assertEqual(enemy.statusEffects.length, 0, 'Every effect should expire');
+    testRunner.assertEqual(enemy.speed, baseSpeed, 'Speed should return to normal');
+});
+
+testRunner.addTest('Enemy - Armor And Resistances Mitigate Damage', () => {
+    // Tanque: 50 de armadura (reduce un tercio) y débil a la magia
+    const tank = new Enemy('TANK');
+    const physical = tank.applyDamage(30, null, 'PHYSICAL');
+    testRunner.assertApproxEqual(physical.damage, 20, 0.001, 'Armor should reduce physical damage');
+    testRunner.assertApproxEqual(physical.mitigated, 10, 0.001, 'Result should report mitigated damage');
+    
+    const piercing = tank.applyDamage(30, null, 'PIERCING');
+    testRunner.assertApproxEqual(piercing.damage, 24, 0.001, 'Piercing damage should ignore half the armor');
+    
+    const magic = tank.applyDamage(30, null, 'MAGIC');
+    testRunner.assertApproxEqual(magic.damage, 36, 0.001, 'Magic should ignore armor and exploit weakness');
+    testRunner.assertEqual(magic.mitigated, 0, 'Weaknesses should not count as mitigated');
+    
+    // Rápido: resiste las explosiones
+    const fast = new Enemy('FAST');
+    fast.takeDamage(50, null, 'EXPLOSIVE');
+    testRunner.assertApproxEqual(fast.health, 30, 0.001, 'Resistance should reduce explosive damage');
+    
+    // Los proyectiles usan el tipo de daño de su torre
+    const tower = new Tower('SNIPER', 0, 0);
+    const target = new Enemy('TANK');
+    target.position = { x: 100, y: 100 };
+    const projectile = new Projectile(100, 100, target, 60, 200, false, 0, tower);
+    testRunner.assertEqual(projectile.damageType, 'PIERCING', 'Projectile should inherit its tower damage type');
+    projectile.hit(target, [target]);
+    testRunner.assertApproxEqual(target.health, 300 - 48, 0.001, 'Hit should apply mitigated damage');
+    
+    testRunner.assertEqual(Enemy.getDamageMultiplierFor(ENEMY_TYPES.BASIC, 'EXPLOSIVE'), 1, 'Unarmored enemies should take full damage');
+});
+
+testRunner.addTest('Enemy - Healer Restores Nearby Allies', () => {
+    const healer = new Enemy('HEALER');
+    healer.setPathProgress(0.3);
+    healer.takeDamage(20);
+    
+    const near = new Enemy('BASIC');
+    near.setPathProgress(0.3);
+    near.takeDamage(40);
+    
+    const far = new Enemy('BASIC');
+    far.setPathProgress(0.9);
+    far.takeDamage(40);
+    
+    const enemies = [healer, near, far];
+    healer.update(ENEMY_TYPES.HEALER.heal.interval, enemies);
+    
+    testRunner.assertEqual(near.health, 75, 'Allies in radius should be healed');
+    testRunner.assertEqual(far.health, 60, 'Allies out of radius should not be healed');
+    testRunner.assertEqual(healer.health, 100, 'Healer should not heal itself');
+    
+    // El sanador avanza entre curaciones: el aliado le acompaña
+    for (let i = 0; i < 2; i++) {
+        near.setPathProgress(healer.getPathProgress());
+        healer.update(ENEMY_TYPES.HEALER.heal.interval, enemies);
+    }
+    testRunner.assertEqual(near.health, near.maxHealth, 'Healing should not exceed max health');
+});
+
+testRunner.addTest('Enemy - Splitter Spawns Children On Death', () => {
+    const splitter = new Enemy('SPLITTER');
+    splitter.applyHealthMultiplier(2);
+    splitter.setPathProgress(0.5);
+    
+    testRunner.assertEqual(new Enemy('BASIC').createSplitChildren().length, 0, 'Regular enemies should not split');
+    
+    const children = splitter.createSplitChildren();
+    testRunner.assertEqual(children.length, ENEMY_TYPES.SPLITTER.split.count, 'Splitter should spawn its children');
+    testRunner.assertEqual(children[0].type, 'FAST', 'Children should use the split type');
+    testRunner.assertEqual(children[0].getPathProgress(), 0.5, 'First child should spawn at the splitter progress');
+    testRunner.assertTrue(children[1].getPathProgress() < 0.5, 'Next children should be spaced behind');
+    testRunner.assertEqual(children[0].maxHealth, ENEMY_TYPES.FAST.maxHealth * 2, 'Children should inherit the health multiplier');
+});
+
+testRunner.addTest('Enemy - Shield Absorbs Damage And Regenerates', () => {
+    const enemy = new Enemy('SHIELDED');
+    const shield = ENEMY_TYPES.SHIELDED.shield;
+    
+    // Daño mágico para ignorar la armadura
+    enemy.takeDamage(50, null, 'MAGIC');
+    testRunner.assertEqual(enemy.shield, shield.max - 50, 'Shield should absorb damage first');
+    testRunner.assertEqual(enemy.health, enemy.maxHealth, 'Health should be intact while the shield holds');
+    
+    const result = enemy.applyDamage(50, null, 'MAGIC');
+    testRunner.assertEqual(result.absorbed, 30, 'Result should report absorbed damage');
+    testRunner.assertEqual(result.dealt, 50, 'Dealt damage should include the shield');
+    testRunner.assertEqual(enemy.health, enemy.maxHealth - 20, 'Overflow should hit health');
+    
+    enemy.update(shield.regenDelay);
+    testRunner.assertEqual(enemy.shield, 0, 'Shield should wait before regenerating');
+    enemy.update(1000);
+    testRunner.assertApproxEqual(enemy.shield, shield.regenRate, 0.001, 'Shield should regenerate per second');
+});
+
+testRunner.addTest('Tower - Only Air-Capable Towers Target Flyers', () => {
+    const flyer = new Enemy('FLYER');
+    const start = flyer.getPosition();
+    const route = flyer.getRouteLength();
+    
+    flyer.update(1000);
+    const moved = distance(start.x, start.y, flyer.position.x, flyer.position.y);
+    testRunner.assertApproxEqual(moved, ENEMY_TYPES.FLYER.speed, 0.01, 'Flyer should move in a straight line');
+    testRunner.assertApproxEqual(flyer.getDistanceToEnd(), route - moved, 0.01, 'Distance to end should follow the flight route');
+    
+    flyer.setPathProgress(0.5);
+    const middle = flyer.getPosition();
+    testRunner.assertApproxEqual(middle.x, (start.x + PATH_CONFIG.targetPoint.x) / 2, 0.01, 'Flyer should head to the target point');
+    
+    const area = new Tower('AREA', middle.x, middle.y);
+    const basic = new Tower('BASIC', middle.x, middle.y);
+    area.update([flyer], 100);
+    basic.update([flyer], 100);
+    testRunner.assertEqual(area.target, null, 'Ground-only towers should ignore flyers');
+    testRunner.assertEqual(basic.target, flyer, 'Air-capable towers should target flyers');
+    
+    // La explosión de una torre terrestre tampoco les alcanza
+    const ground = new Enemy('BASIC');
+    ground.position = { ...middle };
+    const projectile = new Projectile(middle.x, middle.y, ground, 40, 200, true, 50, area);
+    projectile.hit(ground, [ground, flyer]);
+    testRunner.assertEqual(flyer.health, flyer.maxHealth, 'Splash from ground towers should not hit flyers');
+});
+
+testRunner.addTest('Enemy - Render Position Interpolates Between Steps', () => {
+    const enemy = new Enemy('BASIC');
+    const start = enemy.getPosition();
+    testRunner.assertEqual(enemy.getRenderPosition(0).x, start.x, 'New enemies should not interpolate from elsewhere');
+    
+    enemy.storePreviousPosition();
+    enemy.update(GAME_CONFIG.FIXED_TIMESTEP);
+    const end = enemy.getPosition();
+    const middle = enemy.getRenderPosition(0.5);
+    testRunner.assertApproxEqual(middle.x, (start.x + end.x) / 2, 0.001, 'Render position should lerp between steps');
+    testRunner.assertApproxEqual(middle.y, (start.y + end.y) / 2, 0.001, 'Render position should lerp on both axes');
+    testRunner.assertApproxEqual(enemy.getRenderPosition(1).x, end.x, 0.001, 'Alpha 1 should draw the current step');
+    
+    // Los saltos de posición no se interpolan
+    enemy.setPathProgress(0.5);
+    testRunner.assertEqual(enemy.getRenderPosition(0).x, enemy.position.x, 'Teleports should not be interpolated');
+});
+
+testRunner.addTest('Enemy - Pooled Enemy Resets To A Fresh State', () => {
+    const enemy = enemyPool.acquire('BASIC');
+    enemy.applyEffect({ type: 'SLOW', magnitude: 0.5, duration: 1000 });
+    enemy.setPathProgress(0.5);
+    enemy.takeDamage(enemy.health);
+    enemy.rewardProcessed = true;
+    const oldId = enemy.id;
+    enemyPool.release(enemy);
+    
+    registerPath('pool_test', [{ x: 400, y: -20 }, { x: 400, y: 200 }]);
+    
+    try {
+        const reused = enemyPool.acquire('FAST', 'pool_test');
+        testRunner.assertEqual(reused, enemy, 'Pool should hand back the released enemy');
+        testRunner.assertTrue(reused.id !== oldId, 'Reused enemy should get a new id');
+        testRunner.assertEqual(reused.type, 'FAST', 'Reused enemy should take the new type');
+        testRunner.assertEqual(reused.pathName, 'pool_test', 'Reused enemy should take the new path');
+        testRunner.assertEqual(reused.position.y, -20, 'Reused enemy should start at the beginning of its path');
+        testRunner.assertEqual(reused.health, ENEMY_TYPES.FAST.health, 'Reused enemy should have full health');
+        testRunner.assertEqual(reused.speed, ENEMY_TYPES.FAST.speed, 'Reused enemy should not keep old slows');
+        testRunner.assertEqual(reused.statusEffects.length, 0, 'Reused enemy should not keep status effects');
+        testRunner.assertTrue(reused.isAlive() && !reused.rewardProcessed, 'Reused enemy should be alive and unrewarded');
+        enemyPool.release(reused);
+    } finally {
+        removePath('pool_test');
+    }
+});
+
+testRunner.addTest('Enemy - Boss Phases Trigger At Health Thresholds', () => {
+    const boss = new Enemy('WARLORD');
+    const phases = ENEMY_TYPES.WARLORD.boss.phases;
+    testRunner.assertTrue(boss.isBoss(), 'Warlord should be a boss');
+    testRunner.assertEqual(boss.getPhaseCount(), phases.length + 1, 'Boss should start in its first phase');
+    
+    // Daño mágico para ignorar la armadura: 2500 -> 1800 (72%)
+    boss.takeDamage(700, null, 'MAGIC');
+    testRunner.assertEqual(boss.phase, 1, 'Crossing 75% should enter the second phase');
+    testRunner.assertApproxEqual(boss.speed, ENEMY_TYPES.WARLORD.speed * phases[0].speedMultiplier, 0.001, 'Phase should change speed');
+    
+    const minions = boss.takePendingSpawns();
+    testRunner.assertEqual(minions.length, phases[0].spawn.count, 'Phase should summon minions');
+    testRunner.assertEqual(minions[0].getPathProgress(), boss.getPathProgress(), 'Minions should appear at the boss position');
+    testRunner.assertEqual(boss.takePendingSpawns().length, 0, 'Pending spawns should be handed out once');
+    
+    // 1800 -> 1200 (48%): invulnerable durante la transición
+    boss.takeDamage(600, null, 'MAGIC');
+    testRunner.assertTrue(boss.isInvulnerable(), 'Crossing 50% should make the boss invulnerable');
+    boss.takeDamage(500, null, 'MAGIC');
+    testRunner.assertEqual(boss.health, 1200, 'Invulnerable bosses should ignore damage');
+    
+    boss.update(phases[1].invulnerable);
+    testRunner.assertFalse(boss.isInvulnerable(), 'Invulnerability should expire');
+    
+    // 1200 -> 200: la velocidad es la de la última fase que la define
+    boss.takeDamage(1000, null, 'MAGIC');
+    testRunner.assertEqual(boss.phase, phases.length, 'Boss should reach its last phase');
+    testRunner.assertApproxEqual(boss.speed, ENEMY_TYPES.WARLORD.speed * phases[2].speedMultiplier, 0.001, 'Last phase should set its speed');
+    
+    const restored = new Enemy('WARLORD');
+    restored.importData(JSON.parse(JSON.stringify(boss.exportData())));
+    testRunner.assertEqual(restored.phase, boss.phase, 'Phase should be saved');
+    testRunner.assertApproxEqual(restored.speed, boss.speed, 0.001, 'Phase speed should be restored');
+});
+
+testRunner.addTest('Projectile - Applies Effects On Hit', () => {
+    const enemy = new Enemy('TANK');
+    enemy.position = { x: 100, y: 100 };
+    
+    const projectile = new Projectile(100, 100, enemy, 10, 200);
+    projectile.setEffects([{ type: 'SLOW', duration: 1500, magnitude: 0.4 }]);
+    projectile.hit(enemy, [enemy]);
+    
+    testRunner.assertTrue(enemy.hasEffect('SLOW'), 'Hit should apply the projectile effects');
+    
+    const restored = new Enemy('TANK');
+    restored.importData(JSON.parse(JSON.stringify(enemy.exportData())));
+    testRunner.assertApproxEqual(restored.speed, enemy.speed, 0.001, 'Effects should survive export and import');
+});
+
 testRunner.addTest('Enemy - Path Progress', () => {
     const enemy = new Enemy('BASIC');
     
@@ -119,6 +435,235 @@ testRunner.addTest('Tower - Targeting System', () => {
     testRunner.assertEqual(tower.target, enemy1, 'Tower should target enemy closest to end');
 });
 
+testRunner.addTest('Tower - Targeting Strategies Registry', () => {
+    const tower = new Tower('BASIC', 100, 100);
+    const basic = new Enemy('BASIC');
+    const fast = new Enemy('FAST');
+    const tank = new Enemy('TANK');
+    const enemies = [basic, fast, tank];
+    
+    enemies.forEach((enemy, index) => {
+        enemy.position = { x: 110 + index * 10, y: 100 };
+    });
+    basic.pathProgress = 0.2;
+    fast.pathProgress = 0.6;
+    tank.pathProgress = 0.4;
+    
+    const modes = getTargetingModes().map(entry => entry.mode);
+    ['first', 'last', 'fastest', 'highest_reward', 'most_armored'].forEach(mode => {
+        testRunner.assertTrue(modes.includes(mode), `Mode ${mode} should be registered`);
+    });
+    
+    const expected = { first: fast, last: basic, closest_to_tower: basic, fastest: fast, most_armored: tank, highest_reward: tank };
+    Object.keys(expected).forEach(mode => {
+        testRunner.assertTrue(tower.setTargetingMode(mode), `Mode ${mode} should be accepted`);
+        testRunner.assertEqual(tower.selectBestTarget(enemies), expected[mode], `Mode ${mode} should pick the expected enemy`);
+    });
+    
+    // Los nombres antiguos siguen funcionando y los desconocidos se rechazan
+    testRunner.assertTrue(tower.setTargetingMode('closest_to_end'), 'Old mode names should be accepted');
+    testRunner.assertEqual(tower.targetingMode, 'first', 'Old mode names should map to their new mode');
+    testRunner.assertFalse(tower.setTargetingMode('random'), 'Unknown modes should be rejected');
+    testRunner.assertEqual(tower.targetingMode, 'first', 'Rejected modes should keep the current one');
+    
+    // Las estrategias nuevas se registran sin tocar Tower
+    registerTargetingStrategy('test_basic_only', { name: 'Test', score: enemy => (enemy.type === 'BASIC' ? 1 : 0) });
+    try {
+        testRunner.assertTrue(tower.setTargetingMode('test_basic_only'), 'Registered modes should be accepted');
+        testRunner.assertEqual(tower.selectBestTarget([tank, basic]), basic, 'Custom strategies should drive the choice');
+    } finally {
+        delete TARGETING_STRATEGIES.test_basic_only;
+    }
+});
+
+testRunner.addTest('Tower - Keep Target Or Re-evaluate Each Shot', () => {
+    const clock = new GameClock();
+    const tower = new Tower('BASIC', 100, 100, clock);
+    const leader = new Enemy('BASIC');
+    const follower = new Enemy('BASIC');
+    leader.position = { x: 120, y: 100 };
+    follower.position = { x: 130, y: 100 };
+    leader.pathProgress = 0.3;
+    follower.pathProgress = 0.2;
+    
+    tower.findTarget([leader, follower]);
+    testRunner.assertEqual(tower.target, leader, 'Tower should start on the first enemy');
+    
+    // El segundo enemigo adelanta al primero
+    follower.pathProgress = 0.5;
+    tower.findTarget([leader, follower]);
+    testRunner.assertEqual(tower.target, leader, 'Sticky towers should keep their target while in range');
+    
+    tower.setKeepTarget(false);
+    tower.shoot();
+    tower.findTarget([leader, follower]);
+    testRunner.assertEqual(tower.target, leader, 'Towers should not switch targets while reloading');
+    
+    clock.advance(tower.shotCooldown);
+    tower.findTarget([leader, follower]);
+    testRunner.assertEqual(tower.target, follower, 'Re-evaluating towers should switch before the next shot');
+    
+    const copy = new Tower('BASIC', 100, 100, clock);
+    copy.importData(JSON.parse(JSON.stringify(tower.exportData())));
+    testRunner.assertFalse(copy.keepTarget, 'Keep-target option should survive save and load');
+});
+
+testRunner.addTest('Tower - Upgrade Levels', () => {
+    const tower = new Tower('AREA', 100, 100);
+    const upgrade = TOWER_TYPES.AREA.upgrades[0];
+    
+    testRunner.assertEqual(tower.level, 1, 'Tower should start at level 1');
+    testRunner.assertTrue(tower.canUpgrade(), 'Tower should be upgradeable');
+    testRunner.assertEqual(tower.getUpgradeCost(), upgrade.cost, 'Upgrade cost should match config');
+    
+    tower.upgrade();
+    testRunner.assertEqual(tower.level, 2, 'Tower should be level 2');
+    testRunner.assertEqual(tower.damage, Math.round(TOWER_TYPES.AREA.damage * upgrade.multipliers.damage), 'Damage should scale');
+    testRunner.assertEqual(tower.splashRadius, Math.round(TOWER_TYPES.AREA.splashRadius * upgrade.multipliers.splashRadius), 'Splash radius should scale');
+    testRunner.assertApproxEqual(tower.shotCooldown, 1000 / tower.fireRate, 0.001, 'Cooldown should follow fire rate');
+    testRunner.assertEqual(tower.totalInvested, TOWER_TYPES.AREA.cost + upgrade.cost, 'Investment should include upgrade');
+    
+    while (tower.canUpgrade()) tower.upgrade();
+    testRunner.assertEqual(tower.level, tower.maxLevel, 'Tower should reach max level');
+    testRunner.assertFalse(tower.upgrade(), 'Upgrade past max level should fail');
+});
+
+testRunner.addTest('Tower - Info Panel Shows The Final Upgrade Cost', () => {
+    const tower = new Tower('BASIC', 100, 100);
+    const economyManager = new EconomyManager(1000);
+    economyManager.costMultiplier = 0.5;
+    const finalCost = economyManager.getFinalCost(tower.getUpgradeCost());
+    
+    const lines = [];
+    const ctx = new Proxy({}, { get: (target, key) => (key in target ? target[key] : () => {}) });
+    ctx.fillText = text => lines.push(text);
+    
+    tower.selected = true;
+    tower.render(ctx, finalCost);
+    testRunner.assertTrue(lines.includes(`Mejora: $${finalCost}`), 'Canvas info should show the price the player pays');
+    testRunner.assertFalse(lines.includes(`Mejora: $${tower.getUpgradeCost()}`), 'Canvas info should not show the base cost');
+});
+
+testRunner.addTest('Tower - Cooldown Uses Game Clock', () => {
+    const clock = new GameClock();
+    const tower = new Tower('BASIC', 100, 100, clock);
+    const enemy = new Enemy('BASIC');
+    enemy.position.x = 120;
+    enemy.position.y = 100;
+    
+    testRunner.assertTrue(tower.canShoot(), 'New tower should be ready to shoot');
+    tower.findTarget([enemy]);
+    tower.shoot();
+    testRunner.assertFalse(tower.canShoot(), 'Tower should be on cooldown after shooting');
+    
+    clock.advance(tower.shotCooldown);
+    testRunner.assertTrue(tower.canShoot(), 'Cooldown should end on game time');
+});
+
+testRunner.addTest('Tower - Holds Fire At Projectile Cap', () => {
+    const clock = new GameClock();
+    const tower = new Tower('BASIC', 100, 100, clock);
+    const enemy = new Enemy('BASIC');
+    enemy.position.x = 120;
+    enemy.position.y = 100;
+    tower.findTarget([enemy]);
+    
+    const inFlight = [];
+    let projectile;
+    while ((projectile = projectilePool.acquire(0, 0, enemy, 1, 100)) !== null) {
+        inFlight.push(projectile);
+    }
+    
+    try {
+        testRunner.assertEqual(tower.shoot(), null, 'Tower should not fire past PERFORMANCE_CONFIG.maxProjectiles');
+        testRunner.assertTrue(tower.canShoot(), 'A refused shot should not start the cooldown');
+        
+        projectilePool.release(inFlight.pop());
+        const shot = tower.shoot();
+        testRunner.assertNotNull(shot, 'Tower should fire once a projectile is free');
+        inFlight.push(shot);
+    } finally {
+        projectilePool.releaseAll(inFlight);
+    }
+});
+
+testRunner.addTest('Tower - Frost Shots Slow Enemies', () => {
+    const tower = new Tower('FROST', 100, 100);
+    const enemy = new Enemy('BASIC');
+    enemy.position = { x: 140, y: 100 };
+    
+    tower.findTarget([enemy]);
+    const projectile = tower.shoot();
+    projectile.hit(enemy, [enemy]);
+    testRunner.assertTrue(enemy.hasEffect('SLOW'), 'Frost shots should slow');
+    testRunner.assertApproxEqual(enemy.speed, enemy.config.speed * (1 - TOWER_TYPES.FROST.effects[0].magnitude), 0.001, 'Slow should use the tower magnitude');
+    
+    tower.upgrade();
+    testRunner.assertTrue(tower.effects[0].magnitude > TOWER_TYPES.FROST.effects[0].magnitude, 'Upgrades should strengthen the slow');
+});
+
+testRunner.addTest('Tower - Laser Beam Damages Every Frame', () => {
+    const tower = new Tower('LASER', 100, 100);
+    const enemy = new Enemy('TANK');
+    enemy.position = { x: 150, y: 100 };
+    const initialHealth = enemy.health;
+    
+    // Contar los mensajes de daño: el rayo no debe registrar cada paso
+    const originalLog = console.log;
+    let damageLogs = 0;
+    console.log = (...args) => {
+        if (String(args[0]).includes('de daño')) damageLogs++;
+        originalLog(...args);
+    };
+    
+    let projectile = null;
+    try {
+        for (let i = 0; i < 10; i++) {
+            projectile = projectile || tower.update([enemy], 100);
+        }
+    } finally {
+        console.log = originalLog;
+    }
+    
+    testRunner.assertEqual(damageLogs, 0, 'Beam damage should not log every step');
+    testRunner.assertEqual(projectile, null, 'Laser should not fire projectiles');
+    testRunner.assertTrue(tower.beamActive, 'Beam should be active on its target');
+    testRunner.assertApproxEqual(initialHealth - enemy.health, tower.getStats().directDamage, 0.001, 'Beam damage should be credited');
+    testRunner.assertTrue(initialHealth - enemy.health >= tower.damage * 0.8, 'Beam should deal damage per second');
+    
+    enemy.position = { x: 400, y: 400 };
+    tower.update([enemy], 100);
+    testRunner.assertFalse(tower.beamActive, 'Beam should stop when the target leaves range');
+});
+
+testRunner.addTest('Tower - Support Buffs Neighbouring Towers', () => {
+    const map = new Map();
+    const place = (type, gridX, gridY) => {
+        const pixel = map.gridToPixel(gridX, gridY);
+        map.occupyCell(gridX, gridY, type);
+        return new Tower(type, pixel.pixelX, pixel.pixelY);
+    };
+    
+    const support = place('SUPPORT', 5, 5);
+    const neighbour = place('BASIC', 6, 6);
+    const distant = place('BASIC', 8, 5);
+    Tower.applySupportBuffs([support, neighbour, distant], map);
+    
+    testRunner.assertTrue(neighbour.isBuffed(), 'Diagonal neighbours should be buffed');
+    testRunner.assertFalse(distant.isBuffed(), 'Distant towers should not be buffed');
+    testRunner.assertEqual(neighbour.range, Math.round(TOWER_TYPES.BASIC.range * 1.15), 'Range should be increased');
+    testRunner.assertApproxEqual(neighbour.shotCooldown, 1000 / (TOWER_TYPES.BASIC.fireRate * 1.2), 0.5, 'Fire rate should be increased');
+    testRunner.assertEqual(support.update([new Enemy('BASIC')], 100), null, 'Support towers should not attack');
+    
+    support.upgrade();
+    Tower.applySupportBuffs([support, neighbour, distant], map);
+    testRunner.assertTrue(neighbour.range > Math.round(TOWER_TYPES.BASIC.range * 1.15), 'Upgraded support should buff more');
+    
+    map.freeCell(5, 5);
+    Tower.applySupportBuffs([neighbour, distant], map);
+    testRunner.assertEqual(neighbour.range, TOWER_TYPES.BASIC.range, 'Buffs should disappear with the support tower');
+});
+
 // Tests para Projectile
 testRunner.addTest('Projectile - Creation and Movement', () => {
     const enemy = new Enemy('BASIC');
@@ -147,6 +692,33 @@ testRunner.addTest('Projectile - Collision Detection', () => {
     testRunner.assertFalse(projectile.checkCollisionWithEnemy(enemy), 'Projectile should not collide with distant enemy');
 });
 
+testRunner.addTest('Projectile - Credits Damage And Kills To Its Tower', () => {
+    const tower = new Tower('AREA', 100, 100);
+    const target = new Enemy('BASIC');
+    const nearby = new Enemy('BASIC');
+    target.position = { x: 200, y: 100 };
+    nearby.position = { x: 225, y: 100 };
+    
+    tower.target = target;
+    const shot = tower.shoot();
+    testRunner.assertEqual(shot.tower, tower, 'Shot should be linked to the tower that fired it');
+    
+    const projectile = new Projectile(200, 100, target, 150, 200, true, 50, tower);
+    projectile.hit(target, [target, nearby]);
+    
+    const stats = tower.getStats();
+    testRunner.assertEqual(stats.directDamage, 100, 'Direct damage should count only the health removed');
+    testRunner.assertEqual(stats.overkillDamage, 50, 'Extra damage of the killing blow should be overkill');
+    testRunner.assertEqual(stats.splashDamage, 52, 'Splash damage should be credited to the tower');
+    testRunner.assertEqual(stats.totalDamageDealt, 152, 'Total should add direct and splash damage');
+    testRunner.assertEqual(stats.enemiesKilled, 1, 'Killing blow should be credited');
+    testRunner.assertEqual(target.killedBy, tower, 'Enemy should know which tower killed it');
+    testRunner.assertEqual(nearby.killedBy, null, 'Surviving enemies should have no killer');
+    
+    const result = target.applyDamage(10, tower);
+    testRunner.assertEqual(result.dealt, 0, 'Dead enemies should not take damage');
+});
+
 // Tests para EconomyManager
 testRunner.addTest('EconomyManager - Money Management', () => {
     const economy = new EconomyManager(500);
@@ -184,6 +756,50 @@ testRunner.addTest('EconomyManager - Tower Purchase', () => {
     testRunner.assertEqual(economy.getMoney(), initialMoney - expectedCost, 'Money should be deducted');
 });
 
+testRunner.addTest('EconomyManager - Tower Upgrade', () => {
+    const economy = new EconomyManager(200);
+    const tower = new Tower('BASIC', 100, 100);
+    const upgradeCost = tower.getUpgradeCost();
+    
+    const success = economy.processTowerUpgrade(tower);
+    testRunner.assertTrue(success, 'Should be able to pay for upgrade');
+    testRunner.assertEqual(economy.getMoney(), 200 - upgradeCost, 'Upgrade cost should be deducted');
+    
+    tower.level = tower.maxLevel;
+    testRunner.assertFalse(economy.processTowerUpgrade(tower), 'Max level tower should not be charged');
+    testRunner.assertEqual(economy.getMoney(), 200 - upgradeCost, 'Money should remain unchanged');
+});
+
+testRunner.addTest('EconomyManager - Tower Sale Refund', () => {
+    const economy = new EconomyManager(0);
+    const tower = new Tower('BASIC', 100, 100);
+    tower.upgrade();
+    
+    const expected = Math.floor((TOWER_TYPES.BASIC.cost + TOWER_TYPES.BASIC.upgrades[0].cost) * 0.5);
+    const refund = economy.processTowerSale(tower, 0.5);
+    
+    testRunner.assertEqual(refund, expected, 'Refund should be half of base cost plus upgrades');
+    testRunner.assertEqual(economy.getMoney(), expected, 'Refund should be added to money');
+    testRunner.assertEqual(economy.getRecentTransactions(1)[0].source, 'sell', 'Transaction source should be sell');
+});
+
+testRunner.addTest('EconomyManager - Bonus Expiry Uses Game Clock', () => {
+    const clock = new GameClock(1000);
+    const economy = new EconomyManager(100, clock);
+    
+    economy.activateBonus(2, 5000);
+    testRunner.assertEqual(economy.getStats().bonusTimeRemaining, 5000, 'Bonus should last its full duration');
+    
+    clock.advance(4999);
+    economy.update(4999);
+    testRunner.assertTrue(economy.bonusActive, 'Bonus should still be active before expiry');
+    
+    clock.advance(1);
+    economy.update(1);
+    testRunner.assertFalse(economy.bonusActive, 'Bonus should expire on game time');
+    testRunner.assertEqual(economy.earningsMultiplier, 1.0, 'Multiplier should be restored');
+});
+
 // Tests para WaveManager
 testRunner.addTest('WaveManager - Initialization', () => {
     const waveManager = new WaveManager();
@@ -203,6 +819,297 @@ testRunner.addTest('WaveManager - Wave Info', () => {
     testRunner.assertTrue(info.canStartWave, 'Should be able to start wave initially');
 });
 
+testRunner.addTest('WaveManager - Spawn Timing Uses Game Clock', () => {
+    const clock = new GameClock();
+    const waveManager = new WaveManager([
+        { waveNumber: 1, enemies: [{ type: 'BASIC', count: 3, spawnInterval: 1000 }], reward: 0 }
+    ], clock);
+    const spawned = [];
+    waveManager.setCallbacks({ onEnemySpawn: (enemy) => spawned.push(enemy) });
+    
+    waveManager.startNextWave(true);
+    waveManager.update(16, spawned);
+    testRunner.assertEqual(spawned.length, 1, 'First enemy should spawn immediately');
+    
+    // Sin avanzar el reloj (juego pausado) no debe aparecer nadie más
+    waveManager.update(5000, spawned);
+    testRunner.assertEqual(spawned.length, 1, 'Spawning should not advance while the clock is stopped');
+    
+    clock.advance(999);
+    waveManager.update(16, spawned);
+    testRunner.assertEqual(spawned.length, 1, 'Second enemy should wait for the spawn interval');
+    
+    clock.advance(1);
+    waveManager.update(16, spawned);
+    testRunner.assertEqual(spawned.length, 2, 'Second enemy should spawn after the interval');
+});
+
+testRunner.addTest('Random - Seeded Sequence Is Reproducible', () => {
+    const a = new SeededRandom(1234);
+    const b = new SeededRandom('1234');
+    
+    for (let i = 0; i < 5; i++) {
+        testRunner.assertEqual(a.next(), b.next(), 'Same seed should produce the same sequence');
+    }
+    
+    const c = new SeededRandom('bug-report');
+    testRunner.assertEqual(c.getSeed(), new SeededRandom('bug-report').getSeed(), 'Text seeds should hash consistently');
+    
+    const value = a.int(3, 7);
+    testRunner.assertTrue(value >= 3 && value <= 7, 'int() should stay within bounds');
+    testRunner.assertEqual(a.nextId(), '000001', 'IDs should be sequential per seed');
+});
+
+testRunner.addTest('WaveManager - Shuffle Is Reproducible With Seed', () => {
+    const waveData = [
+        { waveNumber: 1, enemies: [
+            { type: 'BASIC', count: 5, spawnInterval: 800 },
+            { type: 'FAST', count: 5, spawnInterval: 800 }
+        ], reward: 0 }
+    ];
+    const buildOrder = () => {
+        rng.setSeed(99);
+        const waveManager = new WaveManager(waveData, new GameClock());
+        waveManager.prepareSpawnQueue(waveData[0]);
+        waveManager.shuffleSpawnQueue();
+        return waveManager.spawnQueue.map(entry => entry.type).join(',');
+    };
+    
+    testRunner.assertEqual(buildOrder(), buildOrder(), 'Same seed should shuffle waves identically');
+});
+
+testRunner.addTest('WaveManager - Spawn Timeline Matches Spawning', () => {
+    const clock = new GameClock();
+    const waveManager = new WaveManager([
+        { waveNumber: 1, enemies: [
+            { type: 'BASIC', count: 2, spawnInterval: 1000 },
+            { type: 'TANK', count: 2, spawnInterval: 2000 }
+        ], reward: 0 }
+    ], clock);
+    const timeline = waveManager.getSpawnTimeline(0);
+    
+    testRunner.assertFalse(timeline.shuffled, 'First wave should not be shuffled');
+    testRunner.assertEqual(timeline.entries.map(entry => entry.time).join(','), '0,1000,4000,6000', 'Timeline should follow spawn delays');
+    testRunner.assertEqual(timeline.duration, 6000, 'Duration should be the last spawn time');
+    
+    const spawnTimes = [];
+    const spawned = [];
+    waveManager.setCallbacks({ onEnemySpawn: (enemy) => {
+        spawned.push(enemy);
+        spawnTimes.push(clock.now());
+    } });
+    
+    waveManager.startNextWave(true);
+    while (spawned.length < 4 && clock.now() < 10000) {
+        waveManager.update(10, spawned);
+        clock.advance(10);
+    }
+    
+    testRunner.assertEqual(spawnTimes.join(','), '0,1000,4000,6000', 'Actual spawns should match the previewed timeline');
+});
+
+testRunner.addTest('WaveManager - Spawn Timeline Matches Shuffled Waves', () => {
+    const savedRng = rng.exportData();
+    const clock = new GameClock();
+    const waves = [];
+    for (let i = 0; i < 6; i++) {
+        waves.push({ waveNumber: i + 1, enemies: [
+            { type: 'BASIC', count: 3, spawnInterval: 500 },
+            { type: 'FAST', count: 3, spawnInterval: 500 },
+            { type: 'TANK', count: 2, spawnInterval: 500 }
+        ], reward: 0 });
+    }
+    const waveManager = new WaveManager(waves, clock);
+    let spawned = [];
+    waveManager.setCallbacks({ onEnemySpawn: (enemy) => spawned.push(enemy) });
+    
+    // Jugar cada oleada hasta el final: las mezclas anteriores avanzan el generador global
+    const playWave = () => {
+        spawned = [];
+        waveManager.startNextWave(true);
+        while (waveManager.waveInProgress && clock.now() < 1000000) {
+            waveManager.update(10, []);
+            clock.advance(10);
+        }
+        enemyPool.releaseAll(spawned);
+        return spawned.map(enemy => enemy.type).join(',');
+    };
+    
+    try {
+        rng.setSeed(555);
+        for (let wave = 0; wave < waves.length; wave++) {
+            const timeline = waveManager.getSpawnTimeline(wave);
+            const order = playWave();
+            testRunner.assertEqual(timeline.entries.map(entry => entry.type).join(','), order, `Timeline of wave ${wave + 1} should match the real spawn order`);
+        }
+    } finally {
+        rng.importData(savedRng);
+    }
+});
+
+testRunner.addTest('WaveGenerator - Budget Scales Difficulty', () => {
+    const generator = new WaveGenerator(ENDLESS_CONFIG, new SeededRandom(7));
+    const waves = WAVE_DATA.map(wave => ({ ...wave }));
+    
+    const first = generator.generateWave(waves);
+    waves.push(first);
+    const second = generator.generateWave(waves);
+    
+    testRunner.assertEqual(first.waveNumber, WAVE_DATA.length + 1, 'Generated waves should continue the numbering');
+    testRunner.assertApproxEqual(first.budget, generator.getWaveCost(WAVE_DATA[WAVE_DATA.length - 1]) * ENDLESS_CONFIG.budgetGrowth, 0.001, 'First budget should grow from the last authored wave');
+    testRunner.assertTrue(second.budget > first.budget, 'Budget should keep growing');
+    testRunner.assertTrue(second.reward > first.reward, 'Reward should scale with the budget');
+    testRunner.assertTrue(second.healthMultiplier > first.healthMultiplier, 'Health should scale every generated wave');
+    testRunner.assertTrue(new WaveValidator().validate([first, second]).valid, 'Generated waves should be valid');
+    
+    const cost = generator.getWaveCost(second);
+    testRunner.assertTrue(cost <= second.budget && cost > second.budget / 2, 'Wave cost should fit the budget');
+    testRunner.assertEqual(generator.getAvailableTypes(1).join(','), 'BASIC', 'Only unlocked enemy types should be used');
+});
+
+testRunner.addTest('WaveManager - Generated Waves Keep Their Spawn Intervals', () => {
+    const generator = new WaveGenerator(ENDLESS_CONFIG, new SeededRandom(11));
+    const waves = WAVE_DATA.map(wave => ({ ...wave }));
+    for (let i = 0; i < 6; i++) {
+        waves.push(generator.generateWave(waves));
+    }
+    const waveManager = new WaveManager(waves, new GameClock());
+    
+    let checkedGaps = 0;
+    waves.filter(wave => wave.generated).forEach(wave => {
+        const index = waves.indexOf(wave);
+        const timeline = waveManager.getSpawnTimeline(index);
+        testRunner.assertFalse(timeline.shuffled, `Generated wave ${wave.waveNumber} should not be shuffled`);
+        
+        // Dentro de cada grupo los enemigos salen con el intervalo que eligió el generador
+        wave.enemies.forEach(group => {
+            const times = timeline.entries.filter(entry => entry.type === group.type).map(entry => entry.time);
+            for (let i = 1; i < times.length; i++) {
+                testRunner.assertEqual(times[i] - times[i - 1], Math.max(500, group.spawnInterval), `${group.type} should keep its interval in wave ${wave.waveNumber}`);
+                checkedGaps++;
+            }
+        });
+    });
+    
+    testRunner.assertTrue(checkedGaps > 0, 'Generated waves should have groups with several enemies');
+});
+
+testRunner.addTest('WaveManager - Endless Mode Generates Waves', () => {
+    const clock = new GameClock();
+    const waveManager = new WaveManager([
+        { waveNumber: 1, enemies: [{ type: 'BASIC', count: 1, spawnInterval: 500 }], reward: 10 }
+    ], clock);
+    waveManager.setEndlessMode(true, new WaveGenerator(ENDLESS_CONFIG, new SeededRandom(3)));
+    
+    const rewards = [];
+    waveManager.setCallbacks({ onWaveComplete: (waveNumber, time, waveData) => rewards.push(waveData.reward) });
+    
+    // Completar tres oleadas eliminando cada enemigo al aparecer
+    for (let wave = 0; wave < 3; wave++) {
+        testRunner.assertTrue(waveManager.startNextWave(true), `Wave ${wave + 1} should start`);
+        while (waveManager.waveInProgress && clock.now() < 60000 * (wave + 1)) {
+            waveManager.update(100, []);
+            clock.advance(100);
+        }
+    }
+    
+    testRunner.assertEqual(waveManager.getGeneratedWaves().length, 2, 'Waves past the authored list should be generated');
+    testRunner.assertFalse(waveManager.allWavesComplete, 'Endless mode should never complete');
+    testRunner.assertTrue(waveManager.getCurrentWaveInfo().canStartWave, 'Another wave should always be available');
+    testRunner.assertEqual(rewards[0], 10, 'Wave complete should report the completed wave');
+    testRunner.assertEqual(rewards.length, 3, 'Every wave should report its reward');
+    
+    waveManager.reset();
+    testRunner.assertEqual(waveManager.totalWaves, 1, 'Reset should discard generated waves');
+    testRunner.assertTrue(waveManager.endless, 'Reset should keep the mode');
+});
+
+testRunner.addTest('WaveManager - Boss Waves Spawn The Boss Last With Its Bonus', () => {
+    const wave = {
+        enemies: [{ type: 'BASIC', count: 2, spawnInterval: 500 }],
+        boss: { type: 'WARLORD', bonusReward: 300 },
+        reward: 50
+    };
+    const waveManager = new WaveManager([wave], new GameClock());
+    
+    const queue = waveManager.buildSpawnQueue(wave, 0);
+    const last = queue[queue.length - 1];
+    testRunner.assertEqual(queue.length, 3, 'Boss should be added to the spawn queue');
+    testRunner.assertEqual(last.type, 'WARLORD', 'Boss should spawn last');
+    testRunner.assertEqual(last.spawnTime, 500 + BOSS_SPAWN_DELAY, 'Boss should wait its delay after the last enemy');
+    testRunner.assertEqual(last.bonusReward, 300, 'Boss entry should carry the bonus reward');
+    
+    const spawned = [];
+    waveManager.setCallbacks({ onEnemySpawn: enemy => spawned.push(enemy) });
+    waveManager.startNextWave(true);
+    queue.forEach(() => waveManager.spawnNextEnemy());
+    testRunner.assertEqual(spawned[2].bonusReward, 300, 'Spawned boss should keep its bonus reward');
+    
+    const validator = new WaveValidator();
+    testRunner.assertTrue(validator.validate([{ enemies: [], boss: { type: 'WARLORD' } }]).valid, 'Boss-only waves should be valid');
+    const errors = validator.getErrorMessages([{ enemies: [], boss: { type: 'BASIC', bonusReward: -1 } }]);
+    testRunner.assertEqual(errors.length, 2, 'Invalid bosses should be reported');
+    testRunner.assertEqual(errors[0], 'Oleada 1: el tipo "BASIC" no es un jefe', 'Only boss types can lead a boss wave');
+});
+
+// Tests para WaveValidator
+testRunner.addTest('WaveValidator - Reports Every Problem With Its Wave And Group', () => {
+    const validator = new WaveValidator();
+    
+    testRunner.assertTrue(validator.validate(WAVE_DATA).valid, 'Default waves should be valid');
+    
+    const result = validator.validate([
+        { enemies: [{ type: 'BASIC', count: 3, spawnInterval: 500 }] },
+        { enemies: [
+            { type: 'DRAGON', count: 0, spawnInterval: 500 },
+            { type: 'FAST', count: 2, spawnInterval: -1, path: 'north' }
+        ], reward: -5 }
+    ], { paths: { main: [] } });
+    
+    testRunner.assertFalse(result.valid, 'Broken waves should be invalid');
+    testRunner.assertEqual(result.errors.length, 5, 'Every problem should be reported');
+    testRunner.assertTrue(result.errors.every(error => error.wave === 1), 'Errors should point to the second wave');
+    testRunner.assertEqual(result.errors.filter(error => error.group === 0).length, 2, 'First group should have two errors');
+    testRunner.assertEqual(result.errors.find(error => error.field === 'path').group, 1, 'Unknown path should point to the second group');
+    testRunner.assertEqual(validator.formatError(result.errors[0]), 'Oleada 2, grupo 1: tipo de enemigo desconocido "DRAGON"', 'Errors should format with wave and group');
+    
+    let message = null;
+    try {
+        new WaveManager([{ enemies: [{ type: 'DRAGON', count: 1, spawnInterval: 500 }] }]);
+    } catch (error) {
+        message = error.message;
+    }
+    testRunner.assertNotNull(message, 'WaveManager should reject invalid waves before the game starts');
+});
+
+testRunner.addTest('WaveEditor - Edit Groups And Preview', () => {
+    const level = new LevelLoader().normalize(createTestLevel());
+    const waveEditor = new WaveEditor(level);
+    
+    try {
+        setPaths(level.paths);
+        
+        waveEditor.addGroup({ type: 'FAST', count: 3, spawnInterval: 500 });
+        testRunner.assertEqual(waveEditor.getTimeline().entries.length, 5, 'Timeline should include the new group');
+        
+        waveEditor.updateGroup(1, 'count', 0);
+        testRunner.assertEqual(waveEditor.getTimeline(), null, 'Invalid waves should not have a timeline');
+        testRunner.assertEqual(waveEditor.getState().errors.length, 1, 'Errors of the selected wave should be listed');
+        
+        waveEditor.updateGroup(1, 'count', 4);
+        waveEditor.updateGroup(0, 'path', 'main');
+        testRunner.assertFalse('path' in level.waves[0].enemies[0], 'Default path should be stored by omission');
+        
+        waveEditor.addWave();
+        testRunner.assertEqual(waveEditor.selectedWave, 1, 'New wave should be selected');
+        testRunner.assertTrue(waveEditor.removeWave(0), 'Wave should be removed');
+        testRunner.assertEqual(level.waves[0].waveNumber, 1, 'Remaining waves should be renumbered');
+        testRunner.assertFalse(waveEditor.removeWave(0), 'The last wave should not be removed');
+    } finally {
+        resetPaths();
+    }
+});
+
 // Tests para Map
 testRunner.addTest('Map - Grid System', () => {
     const map = new Map();
@@ -230,6 +1137,47 @@ testRunner.addTest('Map - Tower Placement Validation', () => {
     testRunner.assertFalse(invalidPos2, 'Out of bounds should be invalid');
 });
 
+testRunner.addTest('Map - Free Cell After Tower Removal', () => {
+    const map = new Map();
+    
+    map.occupyCell(0, 0, 'BASIC');
+    testRunner.assertFalse(map.isValidTowerPlacement(0, 0), 'Occupied cell should be invalid');
+    
+    map.freeCell(0, 0);
+    testRunner.assertTrue(map.isValidTowerPlacement(0, 0), 'Freed cell should be valid again');
+});
+
+testRunner.addTest('Map - Static Layers Are Cached Until Invalidated', () => {
+    // Contexto falso: cualquier método de dibujo es un no-op
+    const fakeContext = () => new Proxy({}, { get: (target, key) => (key in target ? target[key] : () => {}) });
+    const drawn = [];
+    const screen = fakeContext();
+    screen.drawImage = canvas => drawn.push(canvas);
+    
+    const map = new Map();
+    map.createCacheCanvas = () => {
+        const context = fakeContext();
+        return { getContext: () => context };
+    };
+    
+    for (let i = 0; i < 3; i++) map.render(screen, true);
+    testRunner.assertEqual(map.staticRenderCount, 3, 'Each static layer should be drawn once');
+    testRunner.assertEqual(drawn.length, 9, 'Cached layers should be composited every frame');
+    testRunner.assertEqual(drawn[0], map.terrainCache, 'Terrain should be the bottom layer');
+    testRunner.assertEqual(drawn[2], map.gridCache, 'Grid should be drawn over the path');
+    
+    map.invalidateCache();
+    map.render(screen, false);
+    testRunner.assertEqual(map.staticRenderCount, 5, 'Invalidated layers should be drawn again when shown');
+    
+    // Sin canvas fuera de pantalla se dibuja directamente cada vez
+    const direct = new Map();
+    direct.createCacheCanvas = () => null;
+    direct.render(screen, true);
+    direct.render(screen, true);
+    testRunner.assertEqual(direct.staticRenderCount, 6, 'Without caches layers should be drawn every frame');
+});
+
 // Tests para Path Data
 testRunner.addTest('Path Data - Path Calculation', () => {
     const pathLength = calculatePathLength();
@@ -247,6 +1195,118 @@ testRunner.addTest('Path Data - Path Calculation', () => {
     testRunner.assertNotNull(midPos, 'Should get position at middle');
 });
 
+testRunner.addTest('Path Data - Arc Length Table Matches Segment Walk', () => {
+    const coordinates = getPathCoordinates();
+    
+    // Recorrido segmento a segmento, como se calculaba antes de la tabla
+    const walk = progress => {
+        let total = 0;
+        for (let i = 1; i < coordinates.length; i++) {
+            total += distance(coordinates[i - 1].x, coordinates[i - 1].y, coordinates[i].x, coordinates[i].y);
+        }
+        
+        const target = progress * total;
+        let current = 0;
+        for (let i = 1; i < coordinates.length; i++) {
+            const prev = coordinates[i - 1];
+            const curr = coordinates[i];
+            const length = distance(prev.x, prev.y, curr.x, curr.y);
+            if (current + length >= target) {
+                const t = (target - current) / length;
+                return { x: lerp(prev.x, curr.x, t), y: lerp(prev.y, curr.y, t), angle: angleBetween(prev.x, prev.y, curr.x, curr.y) };
+            }
+            current += length;
+        }
+        return null;
+    };
+    
+    for (let i = 1; i < 200; i++) {
+        const progress = i / 200;
+        const expected = walk(progress);
+        const actual = getPositionOnPath(progress);
+        testRunner.assertTrue(actual.x === expected.x && actual.y === expected.y && actual.angle === expected.angle,
+            `Straight paths should sample exactly as before at progress ${progress}`);
+    }
+    
+    // La tabla se recompila al reemplazar el camino
+    registerPath('table_test', [{ x: 0, y: 0 }, { x: 100, y: 0 }]);
+    try {
+        testRunner.assertEqual(calculatePathLength('table_test'), 100, 'Table should measure the path');
+        registerPath('table_test', [{ x: 0, y: 0 }, { x: 0, y: 300 }]);
+        testRunner.assertEqual(calculatePathLength('table_test'), 300, 'Replacing a path should rebuild its table');
+        testRunner.assertEqual(getPositionOnPath(0.5, 'table_test').y, 150, 'Sampling should use the new table');
+    } finally {
+        removePath('table_test');
+    }
+});
+
+testRunner.addTest('Path Data - Smoothed Curves Honour Tension', () => {
+    const smoothing = { ...PATH_CONFIG.smoothing };
+    const coordinates = getPathCoordinates();
+    const straightLength = calculatePathLength();
+    
+    try {
+        PATH_CONFIG.smoothing.enabled = true;
+        PATH_CONFIG.smoothing.tension = 0.3;
+        const smoothLength = calculatePathLength();
+        testRunner.assertTrue(smoothLength > straightLength, 'Smoothed curves should round the corners through the waypoints');
+        
+        const start = getPositionOnPath(0);
+        const end = getPositionOnPath(1);
+        testRunner.assertTrue(start.x === coordinates[0].x && start.y === coordinates[0].y, 'Curve should start at the spawn');
+        testRunner.assertTrue(end.x === coordinates[coordinates.length - 1].x && end.y === coordinates[coordinates.length - 1].y,
+            'Curve should end at the base');
+        
+        for (let i = 1; i < 50; i++) {
+            const position = getPositionOnPath(i / 50);
+            testRunner.assertTrue(isOnPath(position.x, position.y, PATH_CONFIG.width / 2, DEFAULT_PATH_NAME),
+                'Smoothed curve should stay on the drawn path');
+        }
+        
+        // Más tensión, curvas más cerradas y más cerca de la línea quebrada
+        PATH_CONFIG.smoothing.tension = 0.9;
+        const tightLength = calculatePathLength();
+        testRunner.assertTrue(tightLength < smoothLength && tightLength > straightLength, 'Tension should tighten the curve');
+    } finally {
+        Object.assign(PATH_CONFIG.smoothing, smoothing);
+    }
+    
+    testRunner.assertEqual(calculatePathLength(), straightLength, 'Disabling smoothing should restore the straight path');
+});
+
+testRunner.addTest('Path Data - On Path Follows The Smoothed Curve', () => {
+    const smoothing = { ...PATH_CONFIG.smoothing };
+    const coordinates = getPathCoordinates();
+    const tolerance = 2;
+    
+    // Distancia de un punto a la línea quebrada original
+    const distanceToPolyline = (point) => {
+        let best = Infinity;
+        for (let i = 1; i < coordinates.length; i++) {
+            best = Math.min(best, distancePointToLineSegment(point.x, point.y,
+                coordinates[i - 1].x, coordinates[i - 1].y, coordinates[i].x, coordinates[i].y));
+        }
+        return best;
+    };
+    
+    let farthest = null;
+    try {
+        PATH_CONFIG.smoothing.enabled = true;
+        getPathTable().points.forEach(point => {
+            if (!farthest || distanceToPolyline(point) > distanceToPolyline(farthest)) farthest = point;
+        });
+        
+        testRunner.assertTrue(distanceToPolyline(farthest) > tolerance, 'Smoothed curve should leave the straight segments at the corners');
+        testRunner.assertTrue(isOnPath(farthest.x, farthest.y, tolerance, DEFAULT_PATH_NAME),
+            'Points on the smoothed curve should be on the path');
+    } finally {
+        Object.assign(PATH_CONFIG.smoothing, smoothing);
+    }
+    
+    testRunner.assertFalse(isOnPath(farthest.x, farthest.y, tolerance, DEFAULT_PATH_NAME),
+        'Without smoothing the straight segments should be used');
+});
+
 testRunner.addTest('Path Data - Path Validation', () => {
     const pathPoints = getPathPoints();
     testRunner.assertTrue(pathPoints.length >= 2, 'Path should have at least 2 points');
@@ -261,7 +1321,553 @@ testRunner.addTest('Path Data - Path Validation', () => {
     testRunner.assertNotNull(lastPoint.y, 'Last point should have y coordinate');
 });
 
+testRunner.addTest('Path Data - Named Paths', () => {
+    registerPath('north', [
+        { x: 400, y: -20 },
+        { x: 400, y: 200 },
+        PATH_COORDINATES[PATH_COORDINATES.length - 1]
+    ]);
+    
+    try {
+        testRunner.assertTrue(hasPath('north'), 'Registered path should exist');
+        testRunner.assertTrue(getPathNames().includes(DEFAULT_PATH_NAME), 'Default path should still exist');
+        
+        const spawn = getSpawnPoint('north');
+        testRunner.assertEqual(spawn.x, 400, 'Spawn point should be the first point of the path');
+        testRunner.assertEqual(spawn.y, -20, 'Spawn point should be the first point of the path');
+        
+        const mid = getPositionOnPath(0.01, 'north');
+        testRunner.assertEqual(Math.round(mid.x), 400, 'Position should follow the named path');
+        testRunner.assertTrue(isOnPath(400, 100), 'isOnPath should check every path by default');
+        testRunner.assertFalse(isOnPath(400, 100, 20, DEFAULT_PATH_NAME), 'isOnPath can be limited to one path');
+    } finally {
+        removePath('north');
+    }
+    
+    testRunner.assertFalse(hasPath('north'), 'Removed path should not exist');
+});
+
+testRunner.addTest('Enemy - Follows Named Path', () => {
+    registerPath('north', [
+        { x: 400, y: -20 },
+        { x: 400, y: 200 },
+        PATH_COORDINATES[PATH_COORDINATES.length - 1]
+    ]);
+    
+    try {
+        const enemy = new Enemy('BASIC', 'north');
+        testRunner.assertEqual(enemy.position.x, 400, 'Enemy should spawn at the start of its path');
+        testRunner.assertEqual(enemy.position.y, -20, 'Enemy should spawn at the start of its path');
+        testRunner.assertEqual(enemy.getDistanceToEnd(), calculatePathLength('north'), 'Distance to end should use its path');
+        
+        const waveManager = new WaveManager();
+        waveManager.prepareSpawnQueue({
+            enemies: [
+                { type: 'BASIC', count: 2, spawnInterval: 1000, path: 'north' },
+                { type: 'FAST', count: 1, spawnInterval: 1000 }
+            ]
+        });
+        testRunner.assertEqual(waveManager.spawnQueue[0].path, 'north', 'Wave group should spawn on its path');
+        testRunner.assertEqual(waveManager.spawnQueue[2].path, DEFAULT_PATH_NAME, 'Groups without path use the default');
+    } finally {
+        removePath('north');
+    }
+    
+    let threw = false;
+    try {
+        new Enemy('BASIC', 'does-not-exist');
+    } catch (error) {
+        threw = true;
+    }
+    testRunner.assertTrue(threw, 'Unknown path should throw');
+});
+
+// Tests para LevelLoader
+function createTestLevel() {
+    return {
+        id: 'test-level',
+        grid: { cols: 10, rows: 8 },
+        paths: {
+            main: [{ x: -20, y: 96 }, { x: 820, y: 96 }],
+            sur: [{ x: 416, y: 620 }, { x: 416, y: 96 }]
+        },
+        blockedCells: [[0, 5]],
+        startingMoney: 321,
+        startingLives: 7,
+        towerTypes: ['BASIC'],
+        waves: [
+            { enemies: [{ type: 'BASIC', count: 2, spawnInterval: 500, path: 'sur' }] }
+        ]
+    };
+}
+
+testRunner.addTest('LevelLoader - Validation', () => {
+    const loader = new LevelLoader();
+    
+    testRunner.assertTrue(loader.validate(loader.createDefaultLevel()).valid, 'Default level should be valid');
+    testRunner.assertTrue(loader.validate(createTestLevel()).valid, 'Test level should be valid');
+    
+    const broken = createTestLevel();
+    broken.paths = { sur: broken.paths.sur };
+    broken.towerTypes = ['LASER_CANNON'];
+    broken.waves[0].enemies[0].count = 0;
+    
+    const result = loader.validate(broken);
+    testRunner.assertFalse(result.valid, 'Broken level should be invalid');
+    testRunner.assertTrue(result.errors.length >= 3, 'Every problem should be reported');
+    
+    let threw = false;
+    try {
+        loader.parse('{ not json');
+    } catch (error) {
+        threw = true;
+    }
+    testRunner.assertTrue(threw, 'Invalid JSON should throw');
+});
+
+testRunner.addTest('LevelLoader - Build Systems From Level', () => {
+    const loader = new LevelLoader();
+    
+    try {
+        const systems = loader.build(createTestLevel(), new GameClock());
+        
+        testRunner.assertEqual(systems.level.name, 'test-level', 'Name should default to the id');
+        testRunner.assertEqual(systems.map.gridCols, 10, 'Map should use the level grid');
+        testRunner.assertFalse(systems.map.isValidTowerPlacement(0, 5), 'Blocked cells should not accept towers');
+        testRunner.assertTrue(systems.map.isValidTowerPlacement(0, 6), 'Other cells should accept towers');
+        testRunner.assertEqual(systems.economyManager.getMoney(), 321, 'Economy should use starting money');
+        testRunner.assertEqual(systems.waveManager.totalWaves, 1, 'WaveManager should use level waves');
+        testRunner.assertTrue(hasPath('sur'), 'Level paths should be registered');
+        
+        systems.map.freeCell(0, 5);
+        testRunner.assertFalse(systems.map.isValidTowerPlacement(0, 5), 'Freeing a blocked cell should not unblock it');
+    } finally {
+        resetPaths();
+    }
+    
+    testRunner.assertFalse(hasPath('sur'), 'resetPaths should restore the default paths');
+});
+
+// Tests para SaveManager
+function createMemoryStorage() {
+    const data = {};
+    return {
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: (key) => { delete data[key]; }
+    };
+}
+
+testRunner.addTest('SaveManager - Save And Load Slots', () => {
+    const saveManager = new SaveManager(createMemoryStorage());
+    const gameData = { lives: 12, economy: { money: 340 }, waveManager: { currentWave: 2 } };
+    
+    testRunner.assertFalse(saveManager.hasSave(1), 'Slot should start empty');
+    testRunner.assertTrue(saveManager.save(1, gameData), 'Save should succeed');
+    testRunner.assertFalse(saveManager.save(0, gameData), 'Invalid slot should be rejected');
+    
+    const loaded = saveManager.load(1);
+    testRunner.assertEqual(loaded.lives, 12, 'Loaded data should match saved data');
+    
+    const slots = saveManager.listSlots();
+    testRunner.assertEqual(slots.length, SAVE_CONFIG.slots, 'Should list every slot');
+    testRunner.assertEqual(slots[0].summary.wave, 3, 'Summary should show the 1-indexed wave');
+    testRunner.assertTrue(slots[1].empty, 'Unused slots should be empty');
+    
+    saveManager.deleteSlot(1);
+    testRunner.assertEqual(saveManager.load(1), null, 'Deleted slot should be empty');
+});
+
+testRunner.addTest('SaveManager - Schema Version Migration', () => {
+    const storage = createMemoryStorage();
+    const saveManager = new SaveManager(storage);
+    
+    storage.setItem(saveManager.getSlotKey(1), JSON.stringify({
+        schemaVersion: SAVE_CONFIG.schemaVersion + 1, game: { lives: 1 }
+    }));
+    testRunner.assertEqual(saveManager.load(1), null, 'Saves from a newer schema should be rejected');
+    
+    storage.setItem(saveManager.getSlotKey(2), JSON.stringify({
+        schemaVersion: SAVE_CONFIG.schemaVersion - 1, game: { life: 5 }
+    }));
+    saveManager.migrations[SAVE_CONFIG.schemaVersion - 1] = (record) => ({
+        ...record, game: { lives: record.game.life }
+    });
+    testRunner.assertEqual(saveManager.load(2).lives, 5, 'Older saves should be migrated');
+});
+
+testRunner.addTest('SaveManager - Highest Wave Records', () => {
+    const saveManager = new SaveManager(createMemoryStorage());
+    
+    testRunner.assertEqual(saveManager.getHighestWave('default'), 0, 'Levels should start without a record');
+    testRunner.assertTrue(saveManager.recordHighestWave('default', 14), 'First record should be stored');
+    testRunner.assertFalse(saveManager.recordHighestWave('default', 12), 'Lower waves should not replace the record');
+    testRunner.assertTrue(saveManager.recordHighestWave('encrucijada', 3), 'Records should be kept per level');
+    testRunner.assertEqual(saveManager.getHighestWave('default'), 14, 'Record should keep the highest wave');
+    testRunner.assertEqual(saveManager.getHighestWave('encrucijada'), 3, 'Other levels should have their own record');
+});
+
+/**
+ * Crea un AudioContext falso que registra los nodos creados
+ * @returns {Object} Contexto con la lista de nodos en context.sources
+ */
+function createFakeAudioContext() {
+    const param = () => ({
+        value: 1,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {}
+    });
+    const node = (extra = {}) => ({ connect() {}, disconnect() {}, ...extra });
+    const context = {
+        state: 'running',
+        currentTime: 0,
+        sampleRate: 100,
+        destination: node(),
+        sources: [],
+        createGain: () => node({ gain: param() }),
+        createBiquadFilter: () => node({ type: '', frequency: param() }),
+        createBuffer: (channels, length) => {
+            const data = new Float32Array(length);
+            return { getChannelData: () => data };
+        },
+        createOscillator: () => {
+            const oscillator = node({ type: '', frequency: param(), start() {}, stop() {} });
+            context.sources.push(oscillator);
+            return oscillator;
+        },
+        createBufferSource: () => {
+            const source = node({ buffer: null, start() {} });
+            context.sources.push(source);
+            return source;
+        },
+        decodeAudioData: () => Promise.reject(new Error('Sin datos'))
+    };
+    return context;
+}
+
+testRunner.addTest('AudioManager - Persists Mute And Volumes', () => {
+    const storage = createMemoryStorage();
+    const audio = new AudioManager(storage, createFakeAudioContext);
+    
+    testRunner.assertFalse(audio.isMuted(), 'Audio should start unmuted');
+    testRunner.assertTrue(audio.toggleMute(), 'Toggle should mute the audio');
+    testRunner.assertTrue(audio.setVolume('sfx', 0.25), 'Known channels should accept a volume');
+    testRunner.assertTrue(audio.setVolume('music', 3), 'Out of range volumes should be clamped');
+    testRunner.assertFalse(audio.setVolume('voices', 0.5), 'Unknown channels should be rejected');
+    
+    const restored = new AudioManager(storage, createFakeAudioContext).getSettings();
+    testRunner.assertTrue(restored.muted, 'Mute should persist across sessions');
+    testRunner.assertEqual(restored.sfxVolume, 0.25, 'Effects volume should persist');
+    testRunner.assertEqual(restored.musicVolume, 1, 'Music volume should be clamped to 1');
+    testRunner.assertEqual(restored.masterVolume, AUDIO_CONFIG.masterVolume, 'Untouched volumes should keep their default');
+});
+
+testRunner.addTest('AudioManager - Synthesizes Sounds Until Unlocked And Unmuted', () => {
+    const audio = new AudioManager(createMemoryStorage(), createFakeAudioContext);
+    audio.loadSounds = () => Promise.resolve(0);
+    
+    testRunner.assertFalse(audio.play('shoot'), 'Nothing should play before the first user gesture');
+    testRunner.assertTrue(audio.unlock(), 'Unlock should create the audio context');
+    testRunner.assertTrue(audio.play('explosion', { volume: 0.4 }), 'Missing files should fall back to synthesized sounds');
+    testRunner.assertEqual(audio.stats.synthesized, 1, 'Fallback should be counted as synthesized');
+    testRunner.assertFalse(audio.play('unknownSound'), 'Sounds without a recipe should not play');
+    
+    audio.setMuted(true);
+    testRunner.assertEqual(audio.buses.master.gain.value, 0, 'Mute should silence the master bus');
+    testRunner.assertFalse(audio.play('shoot'), 'Muted audio should not start new sounds');
+    
+    const failing = new AudioManager(createMemoryStorage(), () => null);
+    testRunner.assertFalse(failing.unlock(), 'Unlock should fail without Web Audio');
+    testRunner.assertFalse(failing.play('shoot'), 'Audio should stay silent without Web Audio');
+});
+
+testRunner.addTest('AudioManager - Limits Concurrent Voices Per Sound', () => {
+    const audio = new AudioManager(createMemoryStorage(), createFakeAudioContext);
+    audio.loadSounds = () => Promise.resolve(0);
+    audio.unlock();
+    
+    const limit = audio.getConcurrencyLimit('enemyDeath');
+    for (let i = 0; i < limit; i++) {
+        testRunner.assertTrue(audio.play('enemyDeath'), 'Sounds under the limit should play');
+    }
+    testRunner.assertFalse(audio.play('enemyDeath'), 'Sounds over the limit should be dropped');
+    testRunner.assertEqual(audio.stats.dropped, 1, 'Dropped sounds should be counted');
+    testRunner.assertTrue(audio.play('shoot'), 'The limit should apply per sound');
+    
+    // Al terminar una voz queda un hueco libre
+    audio.context.sources[0].onended();
+    testRunner.assertEqual(audio.activeVoices.enemyDeath, limit - 1, 'Finished sounds should free their voice');
+    testRunner.assertTrue(audio.play('enemyDeath'), 'A freed voice should be reusable');
+});
+
+testRunner.addTest('Entities - Export And Import Round Trip', () => {
+    const enemy = new Enemy('TANK');
+    enemy.pathProgress = 0.4;
+    enemy.updatePositionFromPath();
+    enemy.takeDamage(30);
+    
+    const enemyCopy = new Enemy('TANK');
+    enemyCopy.importData(JSON.parse(JSON.stringify(enemy.exportData())));
+    testRunner.assertEqual(enemyCopy.id, enemy.id, 'Enemy ID should be restored');
+    testRunner.assertEqual(enemyCopy.health, enemy.health, 'Enemy health should be restored');
+    testRunner.assertEqual(enemyCopy.position.x, enemy.position.x, 'Enemy position should follow path progress');
+    
+    const tower = new Tower('SNIPER', 160, 224);
+    tower.upgrade();
+    tower.setTargetingMode('strongest');
+    
+    const towerCopy = new Tower('SNIPER', 160, 224);
+    towerCopy.importData(JSON.parse(JSON.stringify(tower.exportData())));
+    testRunner.assertEqual(towerCopy.level, 2, 'Tower level should be restored');
+    testRunner.assertEqual(towerCopy.damage, tower.damage, 'Tower stats should follow its level');
+    testRunner.assertEqual(towerCopy.targetingMode, 'strongest', 'Targeting mode should be restored');
+    testRunner.assertTrue(towerCopy.canShoot(), 'A tower that never fired should stay ready after JSON');
+});
+
+// Tests para LevelEditor
+function createTestEditor() {
+    const loader = new LevelLoader();
+    const editor = new LevelEditor({ level: loader.normalize(createTestLevel()), levelLoader: loader });
+    editor.open();
+    return editor;
+}
+
+testRunner.addTest('LevelEditor - Edit Waypoints', () => {
+    try {
+        const editor = createTestEditor();
+        const initialLength = editor.getPathLength('main');
+        
+        const index = editor.addWaypoint(400, 300);
+        testRunner.assertEqual(index, 1, 'New waypoint should go before the base');
+        testRunner.assertEqual(editor.level.paths.main[1].x, 416, 'Waypoint should snap to the cell center');
+        testRunner.assertEqual(editor.level.paths.main[1].y, 288, 'Waypoint should snap to the cell center');
+        testRunner.assertTrue(editor.getPathLength('main') > initialLength, 'Detour should make the path longer');
+        
+        editor.moveWaypoint('main', 1, 400, 100);
+        testRunner.assertEqual(editor.level.paths.main[1].y, 96, 'Moved waypoint should snap to its new cell');
+        testRunner.assertEqual(Math.round(editor.getPathLength('main')), Math.round(initialLength), 'Straight path should keep its length');
+        
+        testRunner.assertTrue(editor.deleteWaypoint('main', 1), 'Waypoint should be deleted');
+        testRunner.assertFalse(editor.deleteWaypoint('main', 0), 'Paths should keep at least 2 points');
+        
+        const waypoint = editor.findWaypointAt(5, 96);
+        testRunner.assertNotNull(waypoint, 'Off-canvas spawn should be found at the canvas edge');
+        testRunner.assertEqual(waypoint.index, 0, 'Spawn should be the first waypoint');
+    } finally {
+        resetPaths();
+    }
+});
+
+testRunner.addTest('LevelEditor - Paint Cells And Export', () => {
+    try {
+        const editor = createTestEditor();
+        
+        editor.paintCell(3, 3, 'block');
+        testRunner.assertFalse(editor.map.isValidTowerPlacement(3, 3), 'Blocked cell should reject towers');
+        
+        editor.paintCell(3, 3, 'buildable');
+        testRunner.assertTrue(editor.map.isValidTowerPlacement(3, 3), 'Buildable cell should accept towers');
+        testRunner.assertFalse(editor.map.isValidTowerPlacement(4, 4), 'Unlisted cells should not accept towers');
+        
+        editor.paintCell(3, 3, 'erase');
+        testRunner.assertEqual(editor.level.buildableCells, null, 'Erasing the last buildable cell should allow building anywhere');
+        
+        editor.removePath('sur');
+        const exported = editor.exportLevel();
+        testRunner.assertTrue(exported.valid, 'Edited level should be valid');
+        testRunner.assertFalse('sur' in exported.level.paths, 'Removed path should not be exported');
+        
+        const parsed = new LevelLoader().parse(editor.exportJSON());
+        testRunner.assertEqual(parsed.id, 'test-level', 'Exported JSON should load with LevelLoader');
+    } finally {
+        resetPaths();
+    }
+});
+
+testRunner.addTest('LevelEditor - Drag Reuses Preview And Caches Validation', () => {
+    try {
+        const editor = createTestEditor();
+        const loader = editor.levelLoader;
+        const originalValidate = loader.validate;
+        let validations = 0;
+        loader.validate = (level) => {
+            validations++;
+            return originalValidate.call(loader, level);
+        };
+        
+        editor.getState();
+        editor.getState();
+        testRunner.assertEqual(validations, 1, 'State should reuse the validation while nothing changes');
+        
+        const previewMap = editor.map;
+        editor.addWaypoint(400, 300);
+        editor.moveWaypoint('main', 1, 400, 100);
+        testRunner.assertTrue(editor.map === previewMap, 'Path edits should update the preview map in place');
+        testRunner.assertEqual(editor.map.paths.main[1].y, 96, 'Preview map should see the moved waypoint');
+        testRunner.assertTrue(editor.map.pathCache === null, 'Moving a waypoint should invalidate the cached path layer');
+        
+        editor.getState();
+        testRunner.assertEqual(validations, 2, 'Edits should invalidate the cached validation');
+        
+        editor.waveEditor.updateGroup(0, 'count', 0);
+        testRunner.assertFalse(editor.getState().valid, 'Wave editor changes should invalidate the cached validation');
+        
+        editor.paintCell(3, 3, 'block');
+        testRunner.assertFalse(editor.map === previewMap, 'Painting cells should rebuild the preview map');
+    } finally {
+        resetPaths();
+    }
+});
+
 // Test de integración básico
+/**
+ * Crea una partida completa sobre un canvas sin mostrar, con su propio reloj
+ * @param {number} seed - Semilla de la partida
+ * @returns {Game} Partida inicializada
+ */
+function createTestGame(seed = 1) {
+    const canvas = document.createElement('canvas');
+    canvas.width = GAME_CONFIG.CANVAS_WIDTH;
+    canvas.height = GAME_CONFIG.CANVAS_HEIGHT;
+    
+    const game = new Game(canvas, new GameClock());
+    game.init(seed);
+    return game;
+}
+
+/**
+ * Construye una torre en la primera celda libre y la deja seleccionada
+ * @param {Game} game - Partida de test
+ * @param {string} type - Tipo de torre
+ * @returns {Tower|null} Torre construida o null si no se pudo
+ */
+function buildTestTower(game, type) {
+    for (let gx = 0; gx < game.map.gridCols; gx++) {
+        for (let gy = 0; gy < game.map.gridRows; gy++) {
+            if (!game.map.isValidTowerPlacement(gx, gy)) continue;
+            
+            const position = game.map.gridToPixel(gx, gy);
+            const built = game.towers.length;
+            game.selectTowerType(type);
+            game.handleClick(position.pixelX, position.pixelY);
+            if (game.towers.length === built) return null;
+            
+            game.handleClick(position.pixelX, position.pixelY);
+            return game.selectedTower;
+        }
+    }
+    return null;
+}
+
+testRunner.addTest('UIManager - Tower Inspector Rows Per Attack Type', () => {
+    const game = createTestGame();
+    game.economyManager.addMoney(1000, 'test');
+    const getLabels = type => {
+        testRunner.assertNotNull(buildTestTower(game, type), `${type} tower should be built and selected`);
+        return game.uiManager.getTowerStatRows(game.getSelectedTowerState()).map(row => row.label);
+    };
+    
+    const projectile = getLabels('BASIC');
+    testRunner.assertEqual(projectile[0], 'Invertido', 'Invested value should be the first row');
+    ['Daño', 'Rango', 'Cadencia', 'Eliminados', 'Daño total', 'Precisión'].forEach(label => {
+        testRunner.assertTrue(projectile.includes(label), `Projectile towers should show ${label}`);
+    });
+    
+    const beam = getLabels('LASER');
+    testRunner.assertTrue(beam.includes('Daño/s'), 'Beam towers should show damage per second');
+    testRunner.assertFalse(beam.includes('Cadencia'), 'Beam towers should not show fire rate');
+    testRunner.assertFalse(beam.includes('Precisión'), 'Beam towers should not show accuracy');
+    
+    const aura = getLabels('SUPPORT');
+    testRunner.assertTrue(aura.includes('Rango vecinas') && aura.includes('Cadencia vecinas'), 'Aura towers should show their buffs');
+    testRunner.assertTrue(aura.includes('Tiempo activa'), 'Aura towers should show their active time');
+    testRunner.assertFalse(aura.includes('Daño'), 'Aura towers should not show damage');
+});
+
+testRunner.addTest('Game - Invested Value After Build, Upgrade And Sell', () => {
+    const game = createTestGame();
+    game.economyManager.addMoney(1000, 'test');
+    let money = game.economyManager.getMoney();
+    
+    const tower = buildTestTower(game, 'BASIC');
+    testRunner.assertEqual(tower.totalInvested, TOWER_TYPES.BASIC.cost, 'Invested value should start at the build price');
+    testRunner.assertEqual(money - game.economyManager.getMoney(), tower.totalInvested, 'Build should charge the invested value');
+    
+    money = game.economyManager.getMoney();
+    const upgradeCost = game.getTowerUpgradeCost(tower);
+    testRunner.assertTrue(game.upgradeSelectedTower(), 'Upgrade should succeed');
+    testRunner.assertEqual(tower.totalInvested, TOWER_TYPES.BASIC.cost + upgradeCost, 'Upgrade should add its price to the invested value');
+    testRunner.assertEqual(money - game.economyManager.getMoney(), upgradeCost, 'Upgrade should charge the price shown');
+    testRunner.assertEqual(game.getSelectedTowerState().totalInvested, tower.totalInvested, 'Inspector should show the invested value');
+    
+    money = game.economyManager.getMoney();
+    const sellValue = game.getSelectedTowerState().sellValue;
+    testRunner.assertEqual(sellValue, Math.floor(tower.totalInvested * GAME_CONFIG.SELL_REFUND_RATE), 'Sell value should be a share of the invested value');
+    testRunner.assertEqual(game.sellSelectedTower(), sellValue, 'Sale should refund the value shown');
+    testRunner.assertEqual(game.economyManager.getMoney() - money, sellValue, 'Refund should be added to the money');
+    testRunner.assertEqual(game.towers.length, 0, 'Sold tower should be removed');
+    testRunner.assertEqual(game.getSelectedTowerState(), null, 'Inspector should close after selling');
+});
+
+testRunner.addTest('Game - Speed Options', () => {
+    const game = createTestGame();
+    
+    testRunner.assertEqual(game.speed, 1, 'Game should start at 1x');
+    testRunner.assertFalse(game.setSpeed(3), 'Speeds outside SPEED_OPTIONS should be rejected');
+    testRunner.assertFalse(game.setSpeed('2'), 'Speeds should be numbers');
+    testRunner.assertEqual(game.speed, 1, 'Rejected speeds should not change the speed');
+    
+    const seen = GAME_CONFIG.SPEED_OPTIONS.slice(1).map(() => game.cycleSpeed());
+    testRunner.assertEqual(seen.join(','), GAME_CONFIG.SPEED_OPTIONS.slice(1).join(','), 'Cycling should go through every speed');
+    testRunner.assertEqual(game.cycleSpeed(), 1, 'Cycling past the fastest speed should wrap back to 1x');
+});
+
+testRunner.addTest('Game - Frames Run Fixed Sub-Steps Per Speed', () => {
+    const game = createTestGame();
+    const step = GAME_CONFIG.FIXED_TIMESTEP;
+    let steps = 0;
+    const simulateStep = game.simulateStep.bind(game);
+    game.simulateStep = deltaTime => {
+        testRunner.assertEqual(deltaTime, step, 'Every sub-step should use the fixed timestep');
+        steps++;
+        simulateStep(deltaTime);
+    };
+    
+    game.update(40);
+    testRunner.assertEqual(steps, Math.floor(40 / step), '1x frame should run the steps that fit in its time');
+    
+    game.accumulator = 0;
+    steps = 0;
+    game.setSpeed(4);
+    game.update(40);
+    testRunner.assertEqual(steps, Math.floor(40 * 4 / step), '4x frame should run four times the simulated time');
+    testRunner.assertApproxEqual(game.accumulator, 40 * 4 - steps * step, 0.001, 'Leftover time should carry to the next frame');
+    
+    game.accumulator = 0;
+    steps = 0;
+    game.update(5000);
+    testRunner.assertApproxEqual(steps * step + game.accumulator, GAME_CONFIG.MAX_FRAME_DELTA * 4, 0.001, 'Long frames should be clamped before applying the speed');
+});
+
+testRunner.addTest('Game - Step Frame Only While Paused', () => {
+    const game = createTestGame();
+    const step = GAME_CONFIG.FIXED_TIMESTEP;
+    
+    testRunner.assertFalse(game.stepFrame(), 'Stepping should be ignored while running');
+    testRunner.assertEqual(game.clock.now(), 0, 'Ignored step should not advance the clock');
+    
+    game.togglePause();
+    game.update(1000);
+    testRunner.assertEqual(game.clock.now(), 0, 'Paused updates should not advance the simulation');
+    
+    testRunner.assertTrue(game.stepFrame(), 'Stepping should work while paused');
+    testRunner.assertApproxEqual(game.clock.now(), step, 0.001, 'A step should advance exactly one fixed timestep');
+    testRunner.assertTrue(game.stepFrame(), 'Steps can be repeated');
+    testRunner.assertApproxEqual(game.clock.now(), step * 2, 0.001, 'Each step should advance one more timestep');
+    testRunner.assertTrue(game.isPaused(), 'Stepping should keep the game paused');
+});
+
 testRunner.addTest('Integration - Enemy and Tower Interaction', () => {
     const tower = new Tower('BASIC', 100, 100);
     const enemy = new Enemy('BASIC');
@@ -0,0 +1,208 @@
+/**
+ * Benchmark del índice espacial frente al recorrido lineal de enemigos
+ * Reproduce las búsquedas de un paso de juego (torres buscando objetivo y proyectiles
+ * comprobando impactos) sobre escenas aleatorias con semilla, para que sean comparables
+ */
+
+/**
+ * Escenarios medidos: enemigos, torres y proyectiles en juego a la vez
+ */
+const SPATIAL_BENCHMARK_CASES = [
+    { enemies: 50, towers: 20, projectiles: 20 },
+    { enemies: 200, towers: 40, projectiles: 60 },
+    { enemies: 1000, towers: 80, projectiles: 200 }
+];
+
+/**
+ * Crea una escena con posiciones aleatorias dentro del mapa
+ * @param {Object} config - { enemies, towers, projectiles }
+ * @param {SeededRandom} random - Generador aleatorio
+ * @returns {Object} Escena { enemies, towers, projectiles }
+ */
+function createBenchmarkScene(config, random) {
+    const width = GAME_CONFIG.CANVAS_WIDTH;
+    const height = GAME_CONFIG.CANVAS_HEIGHT;
+    const towerTypes = Object.keys(TOWER_TYPES).filter(type => TOWER_TYPES[type].range > 0);
+    const enemyTypes = Object.keys(ENEMY_TYPES);
+    
+    const enemies = [];
+    for (let i = 0; i < config.enemies; i++) {
+        const type = ENEMY_TYPES[enemyTypes[random.int(0, enemyTypes.length - 1)]];
+        enemies.push({
+            id: i,
+            size: type.size,
+            position: { x: random.range(0, width), y: random.range(0, height) },
+            velocity: { x: random.range(-1, 1) * type.speed, y: random.range(-1, 1) * type.speed }
+        });
+    }
+    
+    const towers = [];
+    for (let i = 0; i < config.towers; i++) {
+        towers.push({
+            position: { x: random.range(0, width), y: random.range(0, height) },
+            range: TOWER_TYPES[towerTypes[random.int(0, towerTypes.length - 1)]].range
+        });
+    }
+    
+    const projectiles = [];
+    for (let i = 0; i < config.projectiles; i++) {
+        projectiles.push({
+            position: { x: random.range(0, width), y: random.range(0, height) },
+            reach: random.range(10, 60) // Avance + tamaño + área, como Projectile.getQueryRadius
+        });
+    }
+    
+    // Radio del enemigo más grande, que se suma al alcance de los proyectiles
+    const enemyRadius = Math.max(...enemies.map(enemy => enemy.size / 2));
+    
+    return { enemies, towers, projectiles, enemyRadius };
+}
+
+/**
+ * Mueve los enemigos un paso rebotando en los bordes del mapa
+ * @param {Array} enemies - Enemigos de la escena
+ */
+function moveBenchmarkEnemies(enemies) {
+    const step = GAME_CONFIG.FIXED_TIMESTEP / 1000;
+    
+    for (const enemy of enemies) {
+        enemy.position.x += enemy.velocity.x * step;
+        enemy.position.y += enemy.velocity.y * step;
+        
+        if (enemy.position.x < 0 || enemy.position.x > GAME_CONFIG.CANVAS_WIDTH) enemy.velocity.x *= -1;
+        if (enemy.position.y < 0 || enemy.position.y > GAME_CONFIG.CANVAS_HEIGHT) enemy.velocity.y *= -1;
+    }
+}
+
+/**
+ * Búsquedas de un paso recorriendo todos los enemigos (como antes del índice)
+ * @param {Object} scene - Escena del benchmark
+ * @returns {Array} Ids encontrados por cada consulta
+ */
+function runLinearQueries(scene) {
+    const results = [];
+    const queries = getBenchmarkQueries(scene);
+    
+    for (const query of queries) {
+        const found = scene.enemies.filter(enemy =>
+            distance(query.x, query.y, enemy.position.x, enemy.position.y) <= query.radius
+        );
+        results.push(found.map(enemy => enemy.id));
+    }
+    
+    return results;
+}
+
+/**
+ * Búsquedas de un paso reconstruyendo el índice y consultándolo (como Game.updateEntities)
+ * @param {Object} scene - Escena del benchmark
+ * @param {SpatialHash} hash - Índice reutilizado entre pasos
+ * @returns {Array} Ids encontrados por cada consulta
+ */
+function runSpatialQueries(scene, hash) {
+    hash.rebuild(scene.enemies);
+    
+    const results = [];
+    const queries = getBenchmarkQueries(scene);
+    
+    for (const query of queries) {
+        results.push(hash.queryRadius(query.x, query.y, query.radius).map(enemy => enemy.id));
+    }
+    
+    return results;
+}
+
+/**
+ * Obtiene las consultas de un paso: el rango de cada torre y el alcance de cada proyectil
+ * @param {Object} scene - Escena del benchmark
+ * @returns {Array} Consultas { x, y, radius }
+ */
+function getBenchmarkQueries(scene) {
+    const queries = scene.towers.map(tower => ({
+        x: tower.position.x, y: tower.position.y, radius: tower.range
+    }));
+    
+    scene.projectiles.forEach(projectile => {
+        queries.push({ x: projectile.position.x, y: projectile.position.y, radius: projectile.reach + scene.enemyRadius });
+    });
+    
+    return queries;
+}
+
+/**
+ * Mide un escenario con los dos métodos y comprueba que encuentran los mismos enemigos
+ * @param {Object} config - { enemies, towers, projectiles }
+ * @param {number} iterations - Pasos simulados
+ * @param {number} seed - Semilla de la escena
+ * @returns {Object} { ...config, linearMs, spatialMs, speedup, matches }
+ */
+function benchmarkSpatialHash(config, iterations = 200, seed = 1) {
+    const scene = createBenchmarkScene(config, new SeededRandom(seed));
+    const hash = new SpatialHash(GAME_CONFIG.GRID_SIZE);
+    let linearMs = 0;
+    let spatialMs = 0;
+    let matches = true;
+    
+    for (let i = 0; i < iterations; i++) {
+        moveBenchmarkEnemies(scene.enemies);
+        
+        let start = performance.now();
+        const linear = runLinearQueries(scene);
+        linearMs += performance.now() - start;
+        
+        start = performance.now();
+        const spatial = runSpatialQueries(scene, hash);
+        spatialMs += performance.now() - start;
+        
+        for (let q = 0; q < linear.length; q++) {
+            if (linear[q].join(',') !== spatial[q].join(',')) {
+                matches = false;
+            }
+        }
+    }
+    
+    return {
+        ...config,
+        iterations: iterations,
+        linearMs: linearMs,
+        spatialMs: spatialMs,
+        speedup: spatialMs > 0 ? linearMs / spatialMs : 0,
+        matches: matches
+    };
+}
+
+/**
+ * Ejecuta todos los escenarios y muestra la tabla de resultados en la consola
+ * @param {Array} cases - Escenarios a medir
+ * @param {number} iterations - Pasos simulados por escenario
+ * @returns {Array} Resultados de cada escenario
+ */
+function runSpatialHashBenchmark(cases = SPATIAL_BENCHMARK_CASES, iterations = 200) {
+    console.log(`📊 Benchmark del índice espacial (${iterations} pasos por escenario)\n`);
+    console.log('Enemigos | Torres | Proyectiles | Lineal (ms/paso) | Índice (ms/paso) | Mejora | Resultados');
+    
+    const results = cases.map(config => {
+        const result = benchmarkSpatialHash(config, iterations);
+        console.log([
+            String(result.enemies).padStart(8),
+            String(result.towers).padStart(6),
+            String(result.projectiles).padStart(11),
+            (result.linearMs / iterations).toFixed(3).padStart(16),
+            (result.spatialMs / iterations).toFixed(3).padStart(16),
+            `${result.speedup.toFixed(1)}x`.padStart(6),
+            result.matches ? '✅ iguales' : '❌ distintos'
+        ].join(' | '));
+        return result;
+    });
+    
+    console.log('\nBenchmark completado');
+    return results;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SPATIAL_BENCHMARK_CASES,
+        benchmarkSpatialHash,
+        runSpatialHashBenchmark
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Reloj de simulación del juego
+ * Solo avanza cuando Game.update lo indica, por lo que la pausa o una pestaña
+ * en segundo plano no alteran los tiempos de spawn, cooldowns ni bonificaciones
+ */
+
+class GameClock {
+    /**
+     * Constructor del GameClock
+     * @param {number} startTime - Tiempo inicial en milisegundos
+     */
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.startTime = startTime;
+    }
+    
+    /**
+     * Obtiene el tiempo actual de simulación
+     * @returns {number} Tiempo en milisegundos
+     */
+    now() {
+        return this.time;
+    }
+    
+    /**
+     * Avanza el reloj
+     * @param {number} deltaTime - Tiempo a avanzar en milisegundos
+     * @returns {number} Nuevo tiempo de simulación
+     */
+    advance(deltaTime) {
+        if (deltaTime > 0) {
+            this.time += deltaTime;
+        }
+        return this.time;
+    }
+    
+    /**
+     * Obtiene el tiempo transcurrido desde el inicio del reloj
+     * @returns {number} Tiempo transcurrido en milisegundos
+     */
+    getElapsed() {
+        return this.time - this.startTime;
+    }
+    
+    /**
+     * Exporta el estado del reloj para guardado
+     * @returns {Object} Datos del reloj
+     */
+    exportData() {
+        return { time: this.time, startTime: this.startTime };
+    }
+    
+    /**
+     * Importa el estado del reloj desde un guardado
+     * @param {Object} data - Datos exportados con exportData()
+     */
+    importData(data) {
+        if (data.time !== undefined) this.time = data.time;
+        if (data.startTime !== undefined) this.startTime = data.startTime;
+    }
+    
+    /**
+     * Resetea el reloj
+     * @param {number} startTime - Tiempo inicial en milisegundos
+     */
+    reset(startTime = 0) {
+        this.time = startTime;
+        this.startTime = startTime;
+    }
+}
+
+// Reloj global de simulación compartido por el juego y los managers
+const gameClock = new GameClock();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameClock, gameClock };
+}
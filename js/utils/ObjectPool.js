@@ -0,0 +1,112 @@
+/**
+ * Pool genérico de objetos reutilizables
+ * Guarda los objetos que salen de juego para reiniciarlos en lugar de crear otros nuevos,
+ * evitando los picos del recolector de basura en las oleadas con muchas entidades
+ */
+
+class ObjectPool {
+    /**
+     * Constructor del ObjectPool
+     * @param {string} name - Nombre del pool (para estadísticas y logs)
+     * @param {Function} create - Crea un objeto nuevo: create(...args)
+     * @param {Function} reset - Reinicia un objeto reutilizado: reset(object, ...args)
+     * @param {number} maxActive - Máximo de objetos en uso a la vez (Infinity = sin límite)
+     */
+    constructor(name, create, reset, maxActive = Infinity) {
+        this.name = name;
+        this.create = create;
+        this.reset = reset;
+        this.maxActive = maxActive;
+        this.enabled = PERFORMANCE_CONFIG.useObjectPooling;
+        
+        this.free = []; // Objetos liberados listos para reutilizar
+        this.inUse = new Set(); // Objetos entregados por el pool que aún no se han liberado
+        
+        this.stats = {
+            created: 0,
+            reused: 0,
+            released: 0,
+            rejected: 0 // Peticiones denegadas por alcanzar maxActive
+        };
+    }
+    
+    /**
+     * Obtiene un objeto, reutilizando uno libre si lo hay
+     * @param {...*} args - Argumentos para create o reset
+     * @returns {Object|null} Objeto listo para usar o null si se alcanzó el límite
+     */
+    acquire(...args) {
+        if (this.inUse.size >= this.maxActive) {
+            this.stats.rejected++;
+            return null;
+        }
+        
+        let object;
+        if (this.free.length > 0) {
+            object = this.free.pop();
+            this.reset(object, ...args);
+            this.stats.reused++;
+        } else {
+            object = this.create(...args);
+            this.stats.created++;
+        }
+        
+        this.inUse.add(object);
+        return object;
+    }
+    
+    /**
+     * Devuelve un objeto al pool
+     * Los objetos que no salieron del pool (creados con new) se ignoran
+     * @param {Object} object - Objeto que ya no está en juego
+     * @returns {boolean} True si el objeto era del pool
+     */
+    release(object) {
+        if (!this.inUse.delete(object)) return false;
+        
+        if (this.enabled) {
+            this.free.push(object);
+        }
+        this.stats.released++;
+        return true;
+    }
+    
+    /**
+     * Devuelve varios objetos al pool
+     * @param {Array} objects - Objetos que ya no están en juego
+     */
+    releaseAll(objects) {
+        for (const object of objects) {
+            this.release(object);
+        }
+    }
+    
+    /**
+     * Descarta los objetos libres (los que están en uso siguen contando)
+     */
+    clear() {
+        this.free.length = 0;
+    }
+    
+    /**
+     * Obtiene las estadísticas del pool
+     * @returns {Object} Objetos en uso, libres y contadores de creación y reutilización
+     */
+    getStats() {
+        const requests = this.stats.created + this.stats.reused;
+        
+        return {
+            name: this.name,
+            enabled: this.enabled,
+            active: this.inUse.size,
+            free: this.free.length,
+            maxActive: this.maxActive,
+            ...this.stats,
+            reuseRate: requests > 0 ? this.stats.reused / requests : 0
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ObjectPool };
+}
@@ -5,6 +5,13 @@
 
 class Particle {
     constructor(x, y, vx, vy, life, color, size) {
+        this.reset(x, y, vx, vy, life, color, size);
+    }
+    
+    /**
+     * Reinicia la partícula (al crearla o al reutilizarla desde el pool)
+     */
+    reset(x, y, vx, vy, life, color, size) {
         this.x = x;
         this.y = y;
         this.vx = vx;
@@ -56,6 +63,25 @@ class ParticleSystem {
     constructor() {
         this.particles = [];
         this.maxParticles = PERFORMANCE_CONFIG.maxParticles || 200;
+        
+        // Las partículas que terminan vuelven al pool; nunca hay más de maxParticles en uso
+        this.pool = new ObjectPool(
+            'particles',
+            (...args) => new Particle(...args),
+            (particle, ...args) => particle.reset(...args),
+            this.maxParticles
+        );
+        
+        // Secuencia propia para que los efectos visuales no consuman tiradas de la simulación
+        this.random = new SeededRandom();
+    }
+    
+    /**
+     * Reinicia la secuencia aleatoria de las partículas
+     * @param {number} seed - Semilla
+     */
+    setSeed(seed) {
+        this.random.setSeed(seed);
     }
     
     /**
@@ -68,14 +94,14 @@ class ParticleSystem {
      */
     createExplosion(x, y, color = '#FF6B35', count = 12, intensity = 1) {
         for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 * i) / count + (Math.random() - 0.5) * 0.5;
-            const speed = (2 + Math.random() * 4) * intensity;
+            const angle = (Math.PI * 2 * i) / count + (this.random.next() - 0.5) * 0.5;
+            const speed = (2 + this.random.next() * 4) * intensity;
             const vx = Math.cos(angle) * speed;
             const vy = Math.sin(angle) * speed;
-            const life = 500 + Math.random() * 500;
-            const size = 2 + Math.random() * 3;
+            const life = 500 + this.random.next() * 500;
+            const size = 2 + this.random.next() * 3;
             
-            this.addParticle(new Particle(x, y, vx, vy, life, color, size));
+            this.spawnParticle(x, y, vx, vy, life, color, size);
         }
     }
     
@@ -89,14 +115,14 @@ class ParticleSystem {
     createImpact(x, y, angle, color = '#FFD700') {
         const count = 6;
         for (let i = 0; i < count; i++) {
-            const spreadAngle = angle + (Math.random() - 0.5) * Math.PI * 0.5;
-            const speed = 1 + Math.random() * 3;
+            const spreadAngle = angle + (this.random.next() - 0.5) * Math.PI * 0.5;
+            const speed = 1 + this.random.next() * 3;
             const vx = Math.cos(spreadAngle) * speed;
             const vy = Math.sin(spreadAngle) * speed;
-            const life = 300 + Math.random() * 200;
-            const size = 1 + Math.random() * 2;
+            const life = 300 + this.random.next() * 200;
+            const size = 1 + this.random.next() * 2;
             
-            this.addParticle(new Particle(x, y, vx, vy, life, color, size));
+            this.spawnParticle(x, y, vx, vy, life, color, size);
         }
     }
     
@@ -110,18 +136,33 @@ class ParticleSystem {
     createAreaDamage(x, y, radius, color = '#FF9800') {
         const count = Math.floor(radius / 5);
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * radius;
+            const angle = this.random.next() * Math.PI * 2;
+            const distance = this.random.next() * radius;
             const px = x + Math.cos(angle) * distance;
             const py = y + Math.sin(angle) * distance;
             
-            const speed = 0.5 + Math.random() * 1.5;
-            const vx = (Math.random() - 0.5) * speed;
-            const vy = (Math.random() - 0.5) * speed - 1;
-            const life = 400 + Math.random() * 300;
-            const size = 1 + Math.random() * 2;
+            const speed = 0.5 + this.random.next() * 1.5;
+            const vx = (this.random.next() - 0.5) * speed;
+            const vy = (this.random.next() - 0.5) * speed - 1;
+            const life = 400 + this.random.next() * 300;
+            const size = 1 + this.random.next() * 2;
             
-            this.addParticle(new Particle(px, py, vx, vy, life, color, size));
+            this.spawnParticle(px, py, vx, vy, life, color, size);
+        }
+    }
+    
+    /**
+     * Crea una partícula desde el pool
+     * Si se alcanzó el límite se recicla la más antigua
+     */
+    spawnParticle(x, y, vx, vy, life, color, size) {
+        if (this.particles.length >= this.maxParticles) {
+            this.pool.release(this.particles.shift());
+        }
+        
+        const particle = this.pool.acquire(x, y, vx, vy, life, color, size);
+        if (particle) {
+            this.particles.push(particle);
         }
     }
     
@@ -131,19 +172,22 @@ class ParticleSystem {
      */
     addParticle(particle) {
         if (this.particles.length >= this.maxParticles) {
-            this.particles.shift(); // Remover la más antigua
+            this.pool.release(this.particles.shift()); // Remover la más antigua
         }
         this.particles.push(particle);
     }
     
     /**
-     * Actualiza todas las partículas
+     * Actualiza todas las partículas y devuelve al pool las que terminan
      * @param {number} deltaTime - Tiempo transcurrido en ms
      */
     update(deltaTime) {
-        this.particles = this.particles.filter(particle => 
-            particle.update(deltaTime)
-        );
+        this.particles = this.particles.filter(particle => {
+            if (particle.update(deltaTime)) return true;
+            
+            this.pool.release(particle);
+            return false;
+        });
     }
     
     /**
@@ -158,6 +202,7 @@ class ParticleSystem {
      * Limpia todas las partículas
      */
     clear() {
+        this.pool.releaseAll(this.particles);
         this.particles = [];
     }
     
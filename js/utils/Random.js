@@ -0,0 +1,132 @@
+/**
+ * Generador de números pseudoaleatorios con semilla
+ * Toda tirada aleatoria que afecte a la simulación debe pasar por aquí para que
+ * dos partidas con la misma semilla sean idénticas y los bugs se puedan reproducir
+ */
+
+class SeededRandom {
+    /**
+     * Constructor del SeededRandom
+     * @param {number|string} seed - Semilla inicial (aleatoria si no se indica)
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Genera una semilla nueva a partir de la entropía del navegador
+     * @returns {number} Semilla entera sin signo de 32 bits
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+    
+    /**
+     * Convierte una semilla numérica o de texto a un entero de 32 bits
+     * @param {number|string} seed - Semilla a normalizar
+     * @returns {number} Semilla normalizada
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+        
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        
+        // Hash FNV-1a para semillas de texto
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Reinicia el generador con una semilla
+     * @param {number|string} seed - Nueva semilla
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+        this.idCounter = 0;
+    }
+    
+    /**
+     * Obtiene la semilla actual
+     * @returns {number} Semilla con la que se inició la secuencia
+     */
+    getSeed() {
+        return this.seed;
+    }
+    
+    /**
+     * Exporta el estado del generador para guardado
+     * @returns {Object} Semilla, estado interno y contador de IDs
+     */
+    exportData() {
+        return { seed: this.seed, state: this.state, idCounter: this.idCounter };
+    }
+    
+    /**
+     * Importa el estado del generador para continuar exactamente la misma secuencia
+     * @param {Object} data - Datos exportados con exportData()
+     */
+    importData(data) {
+        if (data.seed !== undefined) this.seed = data.seed >>> 0;
+        if (data.state !== undefined) this.state = data.state >>> 0;
+        if (data.idCounter !== undefined) this.idCounter = data.idCounter;
+    }
+    
+    /**
+     * Genera el siguiente número de la secuencia (algoritmo mulberry32)
+     * @returns {number} Número en el rango [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Genera un número decimal entre min y max
+     * @param {number} min - Valor mínimo
+     * @param {number} max - Valor máximo
+     * @returns {number} Número aleatorio
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+    
+    /**
+     * Genera un entero entre min y max (inclusive)
+     * @param {number} min - Valor mínimo
+     * @param {number} max - Valor máximo
+     * @returns {number} Entero aleatorio
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+    
+    /**
+     * Genera un ID secuencial para entidades. No consume números de la secuencia
+     * aleatoria, así que crear entidades no altera las tiradas posteriores
+     * @returns {string} ID único dentro de la partida actual
+     */
+    nextId() {
+        this.idCounter++;
+        return this.idCounter.toString(36).padStart(6, '0');
+    }
+}
+
+// Generador global para la simulación (oleadas, helpers, IDs de entidades)
+const rng = new SeededRandom();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, rng };
+}
@@ -0,0 +1,135 @@
+/**
+ * Índice espacial de rejilla uniforme
+ * Reparte objetos con position { x, y } en celdas cuadradas para que las búsquedas por radio
+ * solo recorran las celdas cercanas en lugar de todos los objetos
+ */
+
+class SpatialHash {
+    /**
+     * Constructor del SpatialHash
+     * @param {number} cellSize - Lado de cada celda en píxeles (conviene que sea del orden de los radios buscados)
+     */
+    constructor(cellSize = GAME_CONFIG.GRID_SIZE) {
+        this.cellSize = cellSize;
+        this.buckets = {}; // Índices de items por celda ("cx,cy"); los arrays se reutilizan entre reconstrucciones
+        this.activeKeys = []; // Celdas con algún item en la reconstrucción actual
+        this.items = [];
+        this.maxRadius = 0; // Mayor radio (size / 2) entre los items insertados
+    }
+    
+    /**
+     * Vacía el índice conservando las celdas para la siguiente reconstrucción
+     */
+    clear() {
+        for (const key of this.activeKeys) {
+            this.buckets[key].length = 0;
+        }
+        this.activeKeys.length = 0;
+        this.items.length = 0;
+        this.maxRadius = 0;
+    }
+    
+    /**
+     * Reconstruye el índice con una lista de items
+     * @param {Array} items - Objetos con position { x, y } y opcionalmente size
+     * @param {Function|null} filter - Si se indica, solo se insertan los items que lo cumplen
+     */
+    rebuild(items, filter = null) {
+        this.clear();
+        for (const item of items) {
+            if (!filter || filter(item)) {
+                this.insert(item);
+            }
+        }
+    }
+    
+    /**
+     * Inserta un item en la celda de su posición actual
+     * @param {Object} item - Objeto con position { x, y } y opcionalmente size
+     */
+    insert(item) {
+        const key = this.getKey(this.toCell(item.position.x), this.toCell(item.position.y));
+        let bucket = this.buckets[key];
+        
+        if (!bucket) {
+            bucket = [];
+            this.buckets[key] = bucket;
+        }
+        if (bucket.length === 0) {
+            this.activeKeys.push(key);
+        }
+        
+        bucket.push(this.items.length);
+        this.items.push(item);
+        
+        if (item.size) {
+            this.maxRadius = Math.max(this.maxRadius, item.size / 2);
+        }
+    }
+    
+    /**
+     * Busca los items cuyo centro está a una distancia máxima de un punto
+     * El resultado conserva el orden de inserción, igual que recorrer la lista original,
+     * para que los desempates (por ejemplo al elegir objetivo) no cambien
+     * @param {number} x - Coordenada X del centro
+     * @param {number} y - Coordenada Y del centro
+     * @param {number} radius - Radio de búsqueda en píxeles
+     * @returns {Array} Items dentro del radio
+     */
+    queryRadius(x, y, radius) {
+        const minX = this.toCell(x - radius);
+        const maxX = this.toCell(x + radius);
+        const minY = this.toCell(y - radius);
+        const maxY = this.toCell(y + radius);
+        const radiusSquared = radius * radius;
+        const indices = [];
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const bucket = this.buckets[this.getKey(cx, cy)];
+                if (!bucket) continue;
+                
+                for (const index of bucket) {
+                    const position = this.items[index].position;
+                    if (distanceSquared(x, y, position.x, position.y) <= radiusSquared) {
+                        indices.push(index);
+                    }
+                }
+            }
+        }
+        
+        indices.sort((a, b) => a - b);
+        return indices.map(index => this.items[index]);
+    }
+    
+    /**
+     * Convierte una coordenada en píxeles a índice de celda
+     * @param {number} value - Coordenada en píxeles
+     * @returns {number} Índice de celda
+     */
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+    
+    /**
+     * Obtiene la clave de una celda
+     * @param {number} cx - Columna de la celda
+     * @param {number} cy - Fila de la celda
+     * @returns {string} Clave de la celda
+     */
+    getKey(cx, cy) {
+        return cx + ',' + cy;
+    }
+    
+    /**
+     * Obtiene el número de items indexados
+     * @returns {number} Cantidad de items
+     */
+    size() {
+        return this.items.length;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialHash };
+}
@@ -0,0 +1,179 @@
+/**
+ * Validador de definiciones de oleadas (formato de WAVE_DATA)
+ * Detecta antes de empezar la partida los errores que de otro modo
+ * aparecerían como una excepción en new Enemy() a mitad de una oleada
+ */
+
+class WaveValidator {
+    /**
+     * Valida una lista de oleadas
+     * @param {Array} waves - Oleadas a validar
+     * @param {Object} options - { paths } caminos conocidos para validar el campo path (opcional)
+     * @returns {Object} { valid, errors } donde cada error es { wave, group, field, message }
+     */
+    validate(waves, options = {}) {
+        const errors = [];
+        
+        if (!Array.isArray(waves) || waves.length === 0) {
+            errors.push(this.createError(null, null, 'waves', '"waves" debe ser una lista no vacía de oleadas'));
+            return { valid: false, errors: errors };
+        }
+        
+        waves.forEach((wave, waveIndex) => {
+            errors.push(...this.validateWave(wave, waveIndex, options));
+        });
+        
+        return { valid: errors.length === 0, errors: errors };
+    }
+    
+    /**
+     * Valida una oleada
+     * @param {Object} wave - Datos de la oleada
+     * @param {number} waveIndex - Índice de la oleada (desde 0)
+     * @param {Object} options - { paths } caminos conocidos (opcional)
+     * @returns {Array} Errores encontrados
+     */
+    validateWave(wave, waveIndex, options = {}) {
+        const errors = [];
+        
+        // Una oleada de jefe puede no tener más enemigos
+        if (!wave || !Array.isArray(wave.enemies) || (wave.enemies.length === 0 && !wave.boss)) {
+            errors.push(this.createError(waveIndex, null, 'enemies', '"enemies" debe ser una lista no vacía'));
+            return errors;
+        }
+        
+        wave.enemies.forEach((group, groupIndex) => {
+            errors.push(...this.validateGroup(group, waveIndex, groupIndex, options));
+        });
+        
+        if (wave.boss !== undefined) {
+            errors.push(...this.validateBoss(wave.boss, waveIndex, options));
+        }
+        
+        if (wave.reward !== undefined && (typeof wave.reward !== 'number' || wave.reward < 0)) {
+            errors.push(this.createError(waveIndex, null, 'reward', '"reward" debe ser un número mayor o igual a 0'));
+        }
+        
+        if (wave.healthMultiplier !== undefined && (typeof wave.healthMultiplier !== 'number' || wave.healthMultiplier <= 0)) {
+            errors.push(this.createError(waveIndex, null, 'healthMultiplier', '"healthMultiplier" debe ser un número mayor que 0'));
+        }
+        
+        if (wave.waveNumber !== undefined && !(Number.isInteger(wave.waveNumber) && wave.waveNumber > 0)) {
+            errors.push(this.createError(waveIndex, null, 'waveNumber', '"waveNumber" debe ser un entero mayor que 0'));
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Valida un grupo de enemigos de una oleada
+     * @param {Object} group - { type, count, spawnInterval, path }
+     * @param {number} waveIndex - Índice de la oleada
+     * @param {number} groupIndex - Índice del grupo dentro de la oleada
+     * @param {Object} options - { paths } caminos conocidos (opcional)
+     * @returns {Array} Errores encontrados
+     */
+    validateGroup(group, waveIndex, groupIndex, options = {}) {
+        const errors = [];
+        const add = (field, message) => errors.push(this.createError(waveIndex, groupIndex, field, message));
+        
+        if (!group || typeof group !== 'object') {
+            add('group', 'el grupo debe ser un objeto { type, count, spawnInterval }');
+            return errors;
+        }
+        
+        if (!ENEMY_TYPES[group.type]) {
+            add('type', `tipo de enemigo desconocido "${group.type}"`);
+        }
+        if (!(Number.isInteger(group.count) && group.count > 0)) {
+            add('count', '"count" debe ser un entero mayor que 0');
+        }
+        if (typeof group.spawnInterval !== 'number' || !Number.isFinite(group.spawnInterval) || group.spawnInterval <= 0) {
+            add('spawnInterval', '"spawnInterval" debe ser un número mayor que 0');
+        }
+        if (group.path !== undefined) {
+            if (typeof group.path !== 'string' || group.path === '') {
+                add('path', '"path" debe ser el nombre de un camino');
+            } else if (options.paths && !options.paths[group.path]) {
+                add('path', `camino desconocido "${group.path}"`);
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Valida el jefe de una oleada
+     * @param {Object} boss - { type, bonusReward, path, delay }
+     * @param {number} waveIndex - Índice de la oleada
+     * @param {Object} options - { paths } caminos conocidos (opcional)
+     * @returns {Array} Errores encontrados
+     */
+    validateBoss(boss, waveIndex, options = {}) {
+        const errors = [];
+        const add = (message) => errors.push(this.createError(waveIndex, null, 'boss', message));
+        
+        if (!boss || typeof boss !== 'object') {
+            add('"boss" debe ser un objeto { type, bonusReward }');
+            return errors;
+        }
+        
+        if (!ENEMY_TYPES[boss.type]) {
+            add(`jefe de tipo desconocido "${boss.type}"`);
+        } else if (!ENEMY_TYPES[boss.type].boss) {
+            add(`el tipo "${boss.type}" no es un jefe`);
+        }
+        if (boss.bonusReward !== undefined && (typeof boss.bonusReward !== 'number' || boss.bonusReward < 0)) {
+            add('"bonusReward" del jefe debe ser un número mayor o igual a 0');
+        }
+        if (boss.delay !== undefined && (typeof boss.delay !== 'number' || !Number.isFinite(boss.delay) || boss.delay < 0)) {
+            add('"delay" del jefe debe ser un número mayor o igual a 0');
+        }
+        if (boss.path !== undefined && options.paths && !options.paths[boss.path]) {
+            add(`camino desconocido "${boss.path}" para el jefe`);
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Crea un error de validación
+     * @param {number|null} wave - Índice de la oleada (null si afecta a la lista)
+     * @param {number|null} group - Índice del grupo (null si afecta a la oleada)
+     * @param {string} field - Campo con el problema
+     * @param {string} message - Descripción del problema
+     * @returns {Object} Error de validación
+     */
+    createError(wave, group, field, message) {
+        return { wave: wave, group: group, field: field, message: message };
+    }
+    
+    /**
+     * Convierte un error en texto legible ("Oleada 2, grupo 1: ...")
+     * @param {Object} error - Error de validación
+     * @returns {string} Texto del error
+     */
+    formatError(error) {
+        if (error.wave === null) return error.message;
+        
+        const label = error.group === null ?
+            `Oleada ${error.wave + 1}` :
+            `Oleada ${error.wave + 1}, grupo ${error.group + 1}`;
+            
+        return `${label}: ${error.message}`;
+    }
+    
+    /**
+     * Valida y convierte los errores a texto
+     * @param {Array} waves - Oleadas a validar
+     * @param {Object} options - { paths } caminos conocidos (opcional)
+     * @returns {Array} Lista de errores como texto
+     */
+    getErrorMessages(waves, options = {}) {
+        return this.validate(waves, options).errors.map(error => this.formatError(error));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WaveValidator };
+}
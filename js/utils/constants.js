@@ -13,7 +13,11 @@ const GAME_CONFIG = {
     STARTING_MONEY: 500,
     TOTAL_WAVES: 10,
     WAVE_INTERVAL: 8000, // 8 segundos entre oleadas
-    ENEMY_SPAWN_INTERVAL: 1000 // 1 segundo entre enemigos
+    ENEMY_SPAWN_INTERVAL: 1000, // 1 segundo entre enemigos
+    SELL_REFUND_RATE: 0.7, // 70% de lo invertido al vender una torre
+    MAX_FRAME_DELTA: 100, // ms máximos de simulación por frame (evita saltos al volver de una pestaña en segundo plano)
+    FIXED_TIMESTEP: 1000 / 60, // ms simulados en cada paso, independientes de la tasa de refresco del monitor
+    SPEED_OPTIONS: [1, 2, 4] // Velocidades de simulación disponibles
 };
 
 // Estados del juego
@@ -26,7 +30,64 @@ const GAME_STATES = {
     VICTORY: 'victory'
 };
 
+// Modos de juego
+const GAME_MODES = {
+    NORMAL: 'normal',   // Termina al completar las oleadas del nivel
+    ENDLESS: 'endless'  // Tras las oleadas del nivel se generan oleadas nuevas sin fin
+};
+
+// Configuración del modo infinito (oleadas generadas por WaveGenerator)
+const ENDLESS_CONFIG = {
+    // Coste de cada enemigo en el presupuesto de dificultad
+    enemyCosts: {
+        BASIC: 1,
+        FAST: 1.5,
+        TANK: 3,
+        SHIELDED: 2.5,
+        HEALER: 3,
+        FLYER: 2,
+        SPLITTER: 3.5 // Incluye a los dos rápidos que suelta al morir
+    },
+    // Número de oleada desde el que puede aparecer cada tipo
+    unlockWave: {
+        BASIC: 1,
+        FAST: 2,
+        TANK: 3,
+        SHIELDED: 4,
+        HEALER: 5,
+        FLYER: 6,
+        SPLITTER: 7
+    },
+    baseBudget: 20,          // Presupuesto si no hay oleadas previas
+    budgetGrowth: 1.1,       // Multiplicador del presupuesto por oleada generada
+    healthGrowth: 0.05,      // Vida extra de los enemigos por oleada generada (+5%)
+    rewardPerBudget: 3,      // Recompensa de la oleada por punto de presupuesto
+    maxGroups: 3,            // Máximo de grupos distintos por oleada
+    baseSpawnInterval: 800,  // ms entre enemigos de la primera oleada generada
+    minSpawnInterval: 250,
+    spawnIntervalDecay: 0.95 // El intervalo se reduce un 5% por oleada generada
+};
+
+// Tipos de daño de las torres
+// armorPenetration es la fracción de armadura que ignora (ver Enemy.getDamageMultiplier)
+const DAMAGE_TYPES = {
+    PHYSICAL: { name: 'Físico', armorPenetration: 0 },
+    PIERCING: { name: 'Perforante', armorPenetration: 0.5 },
+    EXPLOSIVE: { name: 'Explosivo', armorPenetration: 0 },
+    MAGIC: { name: 'Mágico', armorPenetration: 1 }
+};
+
 // Tipos de enemigos
+// armor: puntos de armadura, reducen el daño en armor / (armor + 100)
+// resistances: fracción de daño que se resiste por tipo de daño (negativa = debilidad)
+// Comportamientos opcionales (ver Enemy.updateBehaviours):
+//   heal: cura a los aliados cercanos cada interval ms
+//   split: al morir suelta count enemigos de otro tipo en su posición del camino
+//   shield: escudo que absorbe daño y se regenera tras regenDelay ms sin recibir golpes
+//   flying: ignora el camino y vuela en línea recta hacia PATH_CONFIG.targetPoint
+//   boss: jefe con fases que se activan al bajar su vida de cada threshold (fracción de la vida máxima):
+//         speedMultiplier cambia su velocidad, spawn invoca esbirros { type, count } e
+//         invulnerable lo hace inmune al daño durante esos ms
 const ENEMY_TYPES = {
     BASIC: {
         name: 'Básico',
@@ -36,7 +97,9 @@ const ENEMY_TYPES = {
         reward: 10,
         color: '#4CAF50',
         size: 20,
-        pathSpeed: 1.0 // Multiplicador de velocidad en el camino
+        pathSpeed: 1.0, // Multiplicador de velocidad en el camino
+        armor: 0,
+        resistances: {}
     },
     TANK: {
         name: 'Tanque',
@@ -46,7 +109,9 @@ const ENEMY_TYPES = {
         reward: 25,
         color: '#9E9E9E',
         size: 25,
-        pathSpeed: 0.8
+        pathSpeed: 0.8,
+        armor: 50,
+        resistances: { MAGIC: -0.2 }
     },
     FAST: {
         name: 'Rápido',
@@ -56,14 +121,124 @@ const ENEMY_TYPES = {
         reward: 15,
         color: '#F44336',
         size: 18,
-        pathSpeed: 1.5
+        pathSpeed: 1.5,
+        armor: 0,
+        resistances: { EXPLOSIVE: 0.4 } // Esquiva buena parte de las explosiones
+    },
+    HEALER: {
+        name: 'Sanador',
+        health: 120,
+        maxHealth: 120,
+        speed: 50,
+        reward: 20,
+        color: '#F06292',
+        size: 22,
+        pathSpeed: 1.0,
+        armor: 0,
+        resistances: { MAGIC: 0.3 },
+        heal: { radius: 80, amount: 15, interval: 1500 }
+    },
+    SPLITTER: {
+        name: 'Divisor',
+        health: 150,
+        maxHealth: 150,
+        speed: 45,
+        reward: 15,
+        color: '#BA68C8',
+        size: 24,
+        pathSpeed: 1.0,
+        armor: 10,
+        resistances: {},
+        split: { type: 'FAST', count: 2 }
+    },
+    SHIELDED: {
+        name: 'Escudado',
+        health: 120,
+        maxHealth: 120,
+        speed: 50,
+        reward: 20,
+        color: '#64B5F6',
+        size: 22,
+        pathSpeed: 1.0,
+        armor: 20,
+        resistances: {},
+        shield: { max: 80, regenRate: 20, regenDelay: 2000 } // regenRate en puntos por segundo
+    },
+    FLYER: {
+        name: 'Volador',
+        health: 80,
+        maxHealth: 80,
+        speed: 70,
+        reward: 15,
+        color: '#FFD54F',
+        size: 18,
+        pathSpeed: 1.0,
+        armor: 0,
+        resistances: { EXPLOSIVE: 0.5 },
+        flying: true
+    },
+    WARLORD: {
+        name: 'Señor de la Guerra',
+        health: 2500,
+        maxHealth: 2500,
+        speed: 25,
+        reward: 100,
+        color: '#B71C1C',
+        size: 36,
+        pathSpeed: 1.0,
+        armor: 40,
+        resistances: { EXPLOSIVE: 0.2 },
+        boss: {
+            phases: [
+                { threshold: 0.75, speedMultiplier: 1.3, spawn: { type: 'BASIC', count: 4 } },
+                { threshold: 0.5, invulnerable: 2000, spawn: { type: 'SHIELDED', count: 2 } },
+                { threshold: 0.25, speedMultiplier: 1.8, invulnerable: 1500, spawn: { type: 'FAST', count: 6 } }
+            ]
+        }
+    }
+};
+
+// Efectos de estado que pueden sufrir los enemigos (ver Enemy.applyEffect)
+// stacking: 'refresh' una sola instancia (se queda la mayor magnitud y duración),
+//           'independent' instancias con su propio temporizador hasta maxStacks,
+//           'intensity' una instancia cuyas acumulaciones comparten temporizador
+const STATUS_EFFECTS = {
+    SLOW: {
+        name: 'Ralentizado',
+        stacking: 'refresh',
+        color: '#4FC3F7',
+        maxMagnitude: 0.9 // Fracción de velocidad perdida como máximo
+    },
+    POISON: {
+        name: 'Envenenado',
+        stacking: 'independent',
+        maxStacks: 5,
+        tickInterval: 500, // ms entre golpes; magnitude es daño por segundo
+        damageType: 'MAGIC',
+        color: '#8BC34A'
+    },
+    STUN: {
+        name: 'Aturdido',
+        stacking: 'refresh',
+        color: '#FFEB3B'
+    },
+    ARMOR_BREAK: {
+        name: 'Armadura rota',
+        stacking: 'intensity',
+        maxStacks: 4, // magnitude es el daño extra recibido por acumulación
+        color: '#FF7043'
     }
 };
 
 // Tipos de torres
+// Cada mejora define su costo y multiplicadores sobre las estadísticas base (nivel 1)
+// attackType: 'projectile' (por defecto) dispara proyectiles, 'beam' daña de forma continua
+// (damage es daño por segundo) y 'aura' no ataca pero mejora a las torres vecinas del grid
 const TOWER_TYPES = {
     BASIC: {
         name: 'Torre Básica',
+        damageType: 'PHYSICAL',
+        targetsAir: true,
         damage: 25,
         range: 100,
         fireRate: 2.0, // disparos por segundo
@@ -74,10 +249,17 @@ const TOWER_TYPES = {
         projectileColor: '#64B5F6',
         projectileSize: 6,
         splash: false,
-        splashRadius: 0
+        splashRadius: 0,
+        upgrades: [
+            { cost: 75, multipliers: { damage: 1.3, range: 1.1, fireRate: 1.15, splashRadius: 1.0 } },
+            { cost: 125, multipliers: { damage: 1.7, range: 1.2, fireRate: 1.3, splashRadius: 1.0 } },
+            { cost: 200, multipliers: { damage: 2.2, range: 1.3, fireRate: 1.5, splashRadius: 1.0 } }
+        ]
     },
     SNIPER: {
         name: 'Torre Sniper',
+        damageType: 'PIERCING',
+        targetsAir: true,
         damage: 80,
         range: 180,
         fireRate: 0.8,
@@ -88,10 +270,17 @@ const TOWER_TYPES = {
         projectileColor: '#BA68C8',
         projectileSize: 8,
         splash: false,
-        splashRadius: 0
+        splashRadius: 0,
+        upgrades: [
+            { cost: 150, multipliers: { damage: 1.4, range: 1.1, fireRate: 1.1, splashRadius: 1.0 } },
+            { cost: 250, multipliers: { damage: 1.9, range: 1.2, fireRate: 1.2, splashRadius: 1.0 } },
+            { cost: 400, multipliers: { damage: 2.6, range: 1.3, fireRate: 1.35, splashRadius: 1.0 } }
+        ]
     },
     AREA: {
         name: 'Torre de Área',
+        damageType: 'EXPLOSIVE',
+        targetsAir: false, // Los proyectiles de artillería no alcanzan a los voladores
         damage: 40,
         range: 80,
         fireRate: 1.2,
@@ -102,7 +291,75 @@ const TOWER_TYPES = {
         projectileColor: '#FFB74D',
         projectileSize: 10,
         splash: true,
-        splashRadius: 50
+        splashRadius: 50,
+        upgrades: [
+            { cost: 100, multipliers: { damage: 1.25, range: 1.1, fireRate: 1.1, splashRadius: 1.2 } },
+            { cost: 175, multipliers: { damage: 1.6, range: 1.2, fireRate: 1.2, splashRadius: 1.4 } },
+            { cost: 275, multipliers: { damage: 2.1, range: 1.3, fireRate: 1.3, splashRadius: 1.7 } }
+        ]
+    },
+    FROST: {
+        name: 'Torre de Hielo',
+        damageType: 'MAGIC',
+        targetsAir: true,
+        damage: 10,
+        range: 90,
+        fireRate: 1.0,
+        cost: 150,
+        color: '#4FC3F7',
+        size: 40,
+        projectileSpeed: 220,
+        projectileColor: '#B3E5FC',
+        projectileSize: 7,
+        splash: false,
+        splashRadius: 0,
+        effects: [{ type: 'SLOW', duration: 1500, magnitude: 0.35 }],
+        // effects multiplica la magnitud de los efectos (la ralentización)
+        upgrades: [
+            { cost: 100, multipliers: { damage: 1.2, range: 1.1, fireRate: 1.1, effects: 1.15 } },
+            { cost: 150, multipliers: { damage: 1.4, range: 1.2, fireRate: 1.2, effects: 1.3 } },
+            { cost: 225, multipliers: { damage: 1.7, range: 1.3, fireRate: 1.3, effects: 1.5 } }
+        ]
+    },
+    LASER: {
+        name: 'Torre Láser',
+        damageType: 'MAGIC',
+        targetsAir: true,
+        attackType: 'beam',
+        damage: 45, // daño por segundo mientras el rayo alcanza al objetivo
+        range: 110,
+        fireRate: 0,
+        cost: 225,
+        color: '#F44336',
+        beamColor: '#FF5252',
+        size: 40,
+        splash: false,
+        splashRadius: 0,
+        upgrades: [
+            { cost: 150, multipliers: { damage: 1.35, range: 1.1 } },
+            { cost: 225, multipliers: { damage: 1.8, range: 1.2 } },
+            { cost: 350, multipliers: { damage: 2.4, range: 1.3 } }
+        ]
+    },
+    SUPPORT: {
+        name: 'Torre de Apoyo',
+        attackType: 'aura',
+        damage: 0,
+        range: 0,
+        fireRate: 0,
+        cost: 200,
+        color: '#66BB6A',
+        size: 40,
+        splash: false,
+        splashRadius: 0,
+        // Mejora de las torres a `radius` celdas o menos: +15% rango y +20% cadencia
+        // (con varias torres de apoyo cerca se aplica la mayor, no se suman)
+        aura: { radius: 1, range: 0.15, fireRate: 0.2 },
+        upgrades: [
+            { cost: 125, multipliers: { aura: 1.3 } },
+            { cost: 200, multipliers: { aura: 1.6 } },
+            { cost: 300, multipliers: { aura: 2.0 } }
+        ]
     }
 };
 
@@ -119,6 +376,13 @@ const MAP_CONFIG = {
 };
 
 // Configuración de las oleadas
+// Cada grupo de enemigos puede indicar `path` con el nombre del camino
+// (ver PATHS en pathData.js) por el que aparece; por defecto se usa 'main'
+// Una oleada de jefe declara `boss: { type, bonusReward, path, delay }`: el jefe (un tipo con `boss`
+// en ENEMY_TYPES) aparece delay ms después del último enemigo (por defecto BOSS_SPAWN_DELAY)
+// y al eliminarlo se paga bonusReward además de su recompensa normal
+const BOSS_SPAWN_DELAY = 3000;
+
 const WAVE_DATA = [
     // Oleada 1: 10 enemigos básicos
     {
@@ -164,54 +428,63 @@ const WAVE_DATA = [
         ],
         reward: 150
     },
-    // Oleada 6: 25 básicos + 10 tanques + 5 rápidos
+    // Oleada 6: 25 básicos + 10 tanques + 5 rápidos + 4 escudados
     {
         waveNumber: 6,
         enemies: [
             { type: 'BASIC', count: 25, spawnInterval: 500 },
             { type: 'TANK', count: 10, spawnInterval: 1200 },
-            { type: 'FAST', count: 5, spawnInterval: 2500 }
+            { type: 'FAST', count: 5, spawnInterval: 2500 },
+            { type: 'SHIELDED', count: 4, spawnInterval: 3000 }
         ],
         reward: 200
     },
-    // Oleada 7: 30 básicos + 12 tanques + 8 rápidos
+    // Oleada 7: 30 básicos + 12 tanques + 8 rápidos + 3 sanadores
     {
         waveNumber: 7,
         enemies: [
             { type: 'BASIC', count: 30, spawnInterval: 400 },
             { type: 'TANK', count: 12, spawnInterval: 1000 },
-            { type: 'FAST', count: 8, spawnInterval: 2000 }
+            { type: 'FAST', count: 8, spawnInterval: 2000 },
+            { type: 'HEALER', count: 3, spawnInterval: 3000 }
         ],
         reward: 250
     },
-    // Oleada 8: 35 básicos + 15 tanques + 12 rápidos
+    // Oleada 8: 35 básicos + 15 tanques + 12 rápidos + 8 voladores
     {
         waveNumber: 8,
         enemies: [
             { type: 'BASIC', count: 35, spawnInterval: 350 },
             { type: 'TANK', count: 15, spawnInterval: 800 },
-            { type: 'FAST', count: 12, spawnInterval: 1500 }
+            { type: 'FAST', count: 12, spawnInterval: 1500 },
+            { type: 'FLYER', count: 8, spawnInterval: 1500 }
         ],
         reward: 300
     },
-    // Oleada 9: 40 básicos + 20 tanques + 15 rápidos
+    // Oleada 9: 40 básicos + 20 tanques + 15 rápidos + 6 divisores
     {
         waveNumber: 9,
         enemies: [
             { type: 'BASIC', count: 40, spawnInterval: 300 },
             { type: 'TANK', count: 20, spawnInterval: 600 },
-            { type: 'FAST', count: 15, spawnInterval: 1200 }
+            { type: 'FAST', count: 15, spawnInterval: 1200 },
+            { type: 'SPLITTER', count: 6, spawnInterval: 2000 }
         ],
         reward: 400
     },
-    // Oleada 10: 50 básicos + 25 tanques + 20 rápidos (Final)
+    // Oleada 10: 50 básicos + 25 tanques + 20 rápidos + especiales + jefe (Final)
     {
         waveNumber: 10,
         enemies: [
             { type: 'BASIC', count: 50, spawnInterval: 250 },
             { type: 'TANK', count: 25, spawnInterval: 500 },
-            { type: 'FAST', count: 20, spawnInterval: 1000 }
+            { type: 'FAST', count: 20, spawnInterval: 1000 },
+            { type: 'SHIELDED', count: 6, spawnInterval: 2000 },
+            { type: 'HEALER', count: 4, spawnInterval: 2500 },
+            { type: 'FLYER', count: 10, spawnInterval: 1200 },
+            { type: 'SPLITTER', count: 6, spawnInterval: 2000 }
         ],
+        boss: { type: 'WARLORD', bonusReward: 300 },
         reward: 500
     }
 ];
@@ -249,10 +522,17 @@ const VISUAL_CONFIG = {
     }
 };
 
-// Configuración de audio (para futuras implementaciones)
+// Configuración de audio (ver AudioManager)
 const AUDIO_CONFIG = {
-    enabled: false, // Deshabilitado por defecto
-    volume: 0.5,
+    enabled: true, // Con false no se crea el AudioContext y el juego queda en silencio
+    masterVolume: 0.5,
+    sfxVolume: 0.8,
+    musicVolume: 0.6,
+    storageKey: 'towerDefense_audio', // Clave de localStorage con el volumen y el silencio del jugador
+    maxConcurrentPerSound: 3, // Voces simultáneas de un mismo sonido; las peticiones que sobran no suenan
+    concurrencyLimits: { shoot: 6, explosion: 4 },
+    musicSounds: ['waveStart', 'gameOver', 'victory'], // Sintonías que van por el canal de música
+    // Archivos opcionales: si no cargan se usa el sonido sintetizado de SYNTH_SOUNDS
     sounds: {
         shoot: 'assets/sounds/shoot.wav',
         explosion: 'assets/sounds/explosion.wav',
@@ -273,17 +553,31 @@ const PERFORMANCE_CONFIG = {
     debugMode: false
 };
 
+// Configuración de guardado de partidas
+const SAVE_CONFIG = {
+    storagePrefix: 'towerDefense_save_',
+    slots: 3,
+    schemaVersion: 1, // Incrementar al cambiar el formato y añadir su migración en SaveManager
+    recordsKey: 'towerDefense_records' // Mejores marcas (oleada más alta del modo infinito)
+};
+
 // Exportar todas las constantes (para compatibilidad con módulos ES6 si se necesita)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         GAME_CONFIG,
         GAME_STATES,
+        GAME_MODES,
+        ENDLESS_CONFIG,
+        DAMAGE_TYPES,
         ENEMY_TYPES,
+        STATUS_EFFECTS,
         TOWER_TYPES,
         MAP_CONFIG,
+        BOSS_SPAWN_DELAY,
         WAVE_DATA,
         VISUAL_CONFIG,
         AUDIO_CONFIG,
-        PERFORMANCE_CONFIG
+        PERFORMANCE_CONFIG,
+        SAVE_CONFIG
     };
 }
\ No newline at end of file
@@ -134,23 +134,23 @@ function clamp(value, min, max) {
 }
 
 /**
- * Genera un número aleatorio entre min y max (inclusive)
+ * Genera un número aleatorio entre min y max (inclusive) usando el generador con semilla
  * @param {number} min - Valor mínimo
  * @param {number} max - Valor máximo
  * @returns {number} Número aleatorio
  */
 function randomBetween(min, max) {
-    return Math.random() * (max - min) + min;
+    return rng.range(min, max);
 }
 
 /**
- * Genera un entero aleatorio entre min y max (inclusive)
+ * Genera un entero aleatorio entre min y max (inclusive) usando el generador con semilla
  * @param {number} min - Valor mínimo
  * @param {number} max - Valor máximo
  * @returns {number} Entero aleatorio
  */
 function randomIntBetween(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return rng.int(min, max);
 }
 
 /**
@@ -0,0 +1,135 @@
+/**
+ * Estrategias de selección de objetivo de las torres
+ * Cada estrategia puntúa a los enemigos que la torre puede atacar y la torre elige el de
+ * mayor puntuación; con registerTargetingStrategy se añaden modos nuevos sin tocar Tower
+ */
+
+/**
+ * Estrategias registradas por modo: { name, score(enemy, tower) }
+ */
+const TARGETING_STRATEGIES = {};
+
+/**
+ * Modo con el que se crean las torres
+ */
+const DEFAULT_TARGETING_MODE = 'first';
+
+/**
+ * Nombres antiguos de modos que se siguen aceptando (partidas guardadas)
+ */
+const TARGETING_ALIASES = {
+    closest_to_end: 'first'
+};
+
+/**
+ * Registra (o reemplaza) una estrategia de targeting
+ * @param {string} mode - Identificador del modo
+ * @param {Object} strategy - { name, score } donde score(enemy, tower) devuelve la prioridad del enemigo
+ */
+function registerTargetingStrategy(mode, strategy) {
+    if (!strategy || typeof strategy.score !== 'function') {
+        throw new Error(`La estrategia de targeting ${mode} necesita una función score`);
+    }
+    TARGETING_STRATEGIES[mode] = { name: strategy.name || mode, score: strategy.score };
+}
+
+/**
+ * Convierte un modo (o un alias antiguo) en un modo registrado
+ * @param {string} mode - Modo de targeting
+ * @returns {string|null} Modo registrado o null si no existe
+ */
+function resolveTargetingMode(mode) {
+    const resolved = TARGETING_ALIASES[mode] || mode;
+    return Object.prototype.hasOwnProperty.call(TARGETING_STRATEGIES, resolved) ? resolved : null;
+}
+
+/**
+ * Obtiene los modos registrados para mostrarlos en la UI
+ * @returns {Array} Lista de { mode, name } en orden de registro
+ */
+function getTargetingModes() {
+    return Object.keys(TARGETING_STRATEGIES).map(mode => ({
+        mode: mode,
+        name: TARGETING_STRATEGIES[mode].name
+    }));
+}
+
+/**
+ * Elige el enemigo con mayor puntuación según un modo
+ * En caso de empate se queda con el primero de la lista
+ * @param {string} mode - Modo de targeting
+ * @param {Array} enemies - Enemigos válidos (vivos, en rango y atacables)
+ * @param {Tower} tower - Torre que elige
+ * @returns {Enemy|null} Objetivo elegido
+ */
+function selectTarget(mode, enemies, tower) {
+    if (enemies.length === 0) return null;
+    
+    const strategy = TARGETING_STRATEGIES[resolveTargetingMode(mode) || DEFAULT_TARGETING_MODE];
+    let best = null;
+    let bestScore = -Infinity;
+    
+    for (const enemy of enemies) {
+        const score = strategy.score(enemy, tower);
+        if (best === null || score > bestScore) {
+            best = enemy;
+            bestScore = score;
+        }
+    }
+    
+    return best;
+}
+
+// Estrategias incluidas
+registerTargetingStrategy('first', {
+    name: 'Primero',
+    score: enemy => -enemy.getDistanceToEnd()
+});
+
+registerTargetingStrategy('last', {
+    name: 'Último',
+    score: enemy => enemy.getDistanceToEnd()
+});
+
+registerTargetingStrategy('closest_to_tower', {
+    name: 'Más cercano',
+    score: (enemy, tower) => -distance(tower.position.x, tower.position.y, enemy.position.x, enemy.position.y)
+});
+
+registerTargetingStrategy('strongest', {
+    name: 'Más fuerte',
+    score: enemy => enemy.health
+});
+
+registerTargetingStrategy('weakest', {
+    name: 'Más débil',
+    score: enemy => -enemy.health
+});
+
+registerTargetingStrategy('fastest', {
+    name: 'Más rápido',
+    score: enemy => enemy.speed * enemy.pathSpeed
+});
+
+registerTargetingStrategy('most_armored', {
+    name: 'Más blindado',
+    score: enemy => (enemy.config.armor || 0) + enemy.shield
+});
+
+registerTargetingStrategy('highest_reward', {
+    name: 'Mayor recompensa',
+    score: enemy => enemy.getReward() + enemy.bonusReward
+});
+
+// Exportar para compatibilidad con módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TARGETING_STRATEGIES,
+        DEFAULT_TARGETING_MODE,
+        TARGETING_ALIASES,
+        registerTargetingStrategy,
+        resolveTargetingMode,
+        getTargetingModes,
+        selectTarget
+    };
+}